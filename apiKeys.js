@@ -0,0 +1,126 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const db = require("./db");
+const { logger } = require("./logger");
+const { hashToken } = require("./sessions");
+
+// every key starts with this so it's easy to spot (and to tell apart from a JWT)
+const KEY_PREFIX = "bl_";
+
+/**
+ * API keys are scoped per resource (the /api/<resource> mount path) and access:
+ * GET/HEAD need "<resource>:read", everything else "<resource>:write".
+ * Resources not listed here (auth, admin, api-keys) can't be used with a key at all.
+ */
+const SCOPE_RESOURCES = [
+  "bets",
+  "tasks",
+  "calendar",
+  "promotions",
+  "finances",
+  "messages",
+  "notifications",
+  "onboarding",
+];
+
+const SCOPES = SCOPE_RESOURCES.flatMap((r) => [`${r}:read`, `${r}:write`]);
+
+function isApiKey(token) {
+  return typeof token === "string" && token.startsWith(KEY_PREFIX);
+}
+
+// scope a request needs, or null if the route can't be used with an API key
+function requiredScope(req) {
+  const match = /^\/api\/([^/]+)/.exec(req.baseUrl || "");
+  if (!match || !SCOPE_RESOURCES.includes(match[1])) {
+    return null;
+  }
+  const access = req.method === "GET" || req.method === "HEAD" ? "read" : "write";
+  return `${match[1]}:${access}`;
+}
+
+/**
+ * Creates a key. Returns { key, apiKey }: key is the plaintext value, it
+ * can't be recovered later.
+ */
+async function createApiKey(userId, { name, scopes, expiresInDays }) {
+  const publicPart = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+  const key = `${KEY_PREFIX}${publicPart}_${secret}`;
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+  const insertRes = await db.query(
+    `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, name, prefix, scopes, created_at, last_used_at, expires_at`,
+    [userId, name, `${KEY_PREFIX}${publicPart}`, hashToken(key), [...new Set(scopes)], expiresAt]
+  );
+  return { key, apiKey: insertRes.rows[0] };
+}
+
+// a user's keys that haven't been revoked, newest first
+async function listApiKeys(userId) {
+  const result = await db.query(
+    `SELECT id, name, prefix, scopes, created_at, last_used_at, expires_at,
+            (expires_at IS NOT NULL AND expires_at <= NOW()) AS expired
+     FROM api_keys
+     WHERE user_id=$1 AND revoked_at IS NULL
+     ORDER BY id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// returns false if the key doesn't exist, isn't the user's, or is already revoked
+async function revokeApiKey(userId, keyId) {
+  const updateRes = await db.query(
+    `UPDATE api_keys SET revoked_at=NOW()
+     WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL`,
+    [keyId, userId]
+  );
+  return updateRes.rowCount > 0;
+}
+
+/**
+ * Looks up a presented key. Returns { apiKeyId, userId, role, status, scopes,
+ * twoFactorEnabled } or null if unknown, revoked or expired.
+ */
+async function resolveApiKey(key) {
+  const keyRes = await db.query(
+    `SELECT k.id, k.user_id, k.scopes, k.last_used_at, u.role, u.status, u.totp_enabled
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash=$1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [hashToken(key)]
+  );
+  if (keyRes.rows.length === 0) {
+    return null;
+  }
+  const row = keyRes.rows[0];
+  // at most one write per key per minute
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > 60000) {
+    db.query("UPDATE api_keys SET last_used_at=NOW() WHERE id=$1", [row.id])
+      .catch((err) => logger.error("api key last_used_at error", { apiKeyId: row.id, err }));
+  }
+  return {
+    apiKeyId: row.id,
+    userId: row.user_id,
+    role: row.role,
+    status: row.status,
+    scopes: row.scopes,
+    twoFactorEnabled: row.totp_enabled,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  requiredScope,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveApiKey,
+};
@@ -0,0 +1,86 @@
+const express = require("express");
+const { requireAuth, denyImpersonation } = require("./authMiddleware");
+const { SCOPES, createApiKey, listApiKeys, revokeApiKey } = require("./apiKeys");
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
+const { NotFoundError } = require("./errors");
+
+const router = express.Router();
+
+const createKeySchema = {
+  body: {
+    name: v.string({ min: 1, max: 100 }),
+    scopes: v.array(v.oneOf(SCOPES), { min: 1 }),
+    expiresInDays: v.integer({ min: 1, max: 3650 }).nullable().optional(),
+  },
+};
+
+/**
+ * GET /api/api-keys
+ * the current user's active API keys (never the key itself)
+ */
+router.get("/", requireAuth, async (req, res, next) => {
+  try {
+    const keys = await listApiKeys(req.user.userId);
+    return res.json(keys);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/api-keys/scopes
+ * scopes that can be granted to a key
+ */
+router.get("/scopes", requireAuth, (req, res) => {
+  return res.json(SCOPES);
+});
+
+/**
+ * POST /api/api-keys
+ * expects { name, scopes: ["bets:read", ...], expiresInDays? }
+ * returns the key once; send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+router.post("/", requireAuth, denyImpersonation, rateLimit("api-keys"), validate(createKeySchema), async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { key, apiKey } = await createApiKey(req.user.userId, {
+      name,
+      scopes,
+      expiresInDays: expiresInDays || null,
+    });
+    return res.json({
+      message: "API key created. Copy it now, it won't be shown again.",
+      key,
+      apiKey
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/revoke
+ * the key stops working immediately
+ */
+router.post("/:id/revoke", requireAuth, denyImpersonation, rateLimit("api-keys"), validate({ params: { id: v.id() } }), async (req, res, next) => {
+  try {
+    const revoked = await revokeApiKey(req.user.userId, req.params.id);
+    if (!revoked) {
+      throw new NotFoundError("API key not found");
+    }
+    return res.json({ message: "API key revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /": "List the current user's active API keys",
+  "GET /scopes": "List the scopes a key can be granted",
+  "POST /": "Create an API key (the key is only returned once)",
+  "POST /:id/revoke": "Revoke an API key",
+};
+
+module.exports = router;
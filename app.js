@@ -0,0 +1,92 @@
+require("dotenv").config();
+const express = require("express");
+const cors = require("cors");
+const healthRoutes = require("./healthRoutes");
+const authRoutes = require("./authRoutes");
+const adminRoutes = require("./adminRoutes");
+const financesRoutes = require("./financesRoutes");
+const promotionsRoutes = require("./promotionsRoutes");
+const tasksRoutes = require("./tasksRoutes");
+const betsRoutes = require("./betsRoutes");
+const calendarRoutes = require("./calendarRoutes");
+const messagesRoutes = require("./messagesRoutes");
+const notificationsRoutes = require("./notificationsRoutes");
+const onboardingRoutes = require("./onboardingRoutes");
+const apiKeysRoutes = require("./apiKeysRoutes");
+const requestId = require("./requestId");
+const { closeConnectionsWhenDraining } = require("./shutdown");
+const { rateLimit } = require("./rateLimit");
+const { requestLogger } = require("./logger");
+const { routeLabeler, httpMetrics } = require("./metrics");
+const { docsRouter } = require("./openapi");
+const { notFoundHandler, errorHandler } = require("./errors");
+const { IMPORT_BODY_LIMIT } = require("./betImport");
+
+// every router and where it's mounted; the API docs are built from this list,
+// so a router mounted without being listed here won't be documented
+const routers = [
+  ["/api", healthRoutes],
+  ["/api/auth", authRoutes],
+  ["/api/admin", adminRoutes],
+  ["/api/finances", financesRoutes],
+  ["/api/promotions", promotionsRoutes],
+  ["/api/tasks", tasksRoutes],
+  ["/api/bets", betsRoutes],
+  ["/api/calendar", calendarRoutes],
+  ["/api/messages", messagesRoutes],
+  ["/api/notifications", notificationsRoutes],
+  ["/api/onboarding", onboardingRoutes],
+  ["/api/api-keys", apiKeysRoutes],
+];
+// OpenAPI document at /api/docs/openapi.json, browsable UI at /api/docs
+routers.push(["/api/docs", docsRouter(routers)]);
+
+const app = express();
+// behind Render/another proxy, set TRUST_PROXY so req.ip is the client and not the proxy
+// (login throttling counts failures per IP)
+// ("true", a hop count like "1", or a subnet list like "loopback, 10.0.0.0/8")
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy
+  );
+}
+// "/api/bets/{id}" style route names for logs and metrics
+const routeOf = routeLabeler(routers);
+app.use(requestId);
+app.use(requestLogger(routeOf));
+app.use(httpMetrics(routeOf));
+app.use(closeConnectionsWhenDraining);
+app.use(
+  cors({
+    exposedHeaders: [
+      "X-Request-Id",
+      "X-Total-Count",
+      "Link",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
+  })
+);
+// every /api request counts against the per-IP "api" limit; busy routes add their own (rateLimit.js)
+app.use("/api", rateLimit("api"));
+// CSV exports outgrow the default 100kb; the schema still caps the csv itself
+app.use(
+  "/api/bets/import",
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT })
+);
+app.use(express.json());
+for (const [path, router] of routers) {
+  app.use(path, router);
+}
+
+// unknown /api routes and every error: { code, message, details, requestId }
+app.use("/api", notFoundHandler);
+app.use(errorHandler);
+
+module.exports = { app, routers };
@@ -1,44 +1,189 @@
 require("dotenv").config();
 const jwt = require("jsonwebtoken");
+const { getSessionPrincipal } = require("./sessions");
+const { roleHasPermission } = require("./permissions");
+const { resolveImpersonation, logImpersonatedRequest } = require("./impersonation");
+const { isApiKey, requiredScope, resolveApiKey } = require("./apiKeys");
+const { ForbiddenError, UnauthorizedError } = require("./errors");
 
-// Checks for Authorization: Bearer token, verifies it, sets req.user
-function requireAuth(req, res, next) {
+// REQUIRE_ADMIN_2FA=true => every role above plain "user" (admin, superadmin and
+// custom roles) must have TOTP enabled before using any permission-gated route
+function twoFactorRequiredFor(role) {
+  return process.env.REQUIRE_ADMIN_2FA === "true" && !!role && role !== "user";
+}
+
+// 403 for admins who still have to enroll in 2FA
+function twoFactorSetupRequired() {
+  return new ForbiddenError(
+    "Two-factor authentication must be enabled for this account",
+    { twoFactorSetupRequired: true },
+    "TWO_FACTOR_SETUP_REQUIRED"
+  );
+}
+
+function accountNotActive() {
+  return new ForbiddenError("Account is not active", null, "ACCOUNT_NOT_ACTIVE");
+}
+
+// Authenticates with a personal API key (bl_...) instead of a JWT.
+// The key must carry the scope of the route group; role permissions still apply on top.
+async function authenticateApiKey(key, req, res, next) {
+  const scope = requiredScope(req);
+  if (!scope) {
+    return next(new ForbiddenError("API keys can't be used for this endpoint", null, "API_KEY_NOT_ALLOWED"));
+  }
+  let principal;
+  try {
+    principal = await resolveApiKey(key);
+  } catch (err) {
+    return next(err);
+  }
+  if (!principal) {
+    return next(new UnauthorizedError("Invalid or revoked API key"));
+  }
+  if (principal.status !== "active") {
+    return next(accountNotActive());
+  }
+  if (!principal.scopes.includes(scope)) {
+    return next(new ForbiddenError("API key is missing scope", { scope }, "MISSING_SCOPE"));
+  }
+  req.user = {
+    userId: principal.userId,
+    role: principal.role,
+    twoFactorEnabled: principal.twoFactorEnabled,
+    apiKeyId: principal.apiKeyId,
+    scopes: principal.scopes,
+  };
+  next();
+}
+
+// Checks for Authorization: Bearer token (or X-API-Key), verifies it, sets req.user
+// the token's session must also still be active (not logged out / revoked),
+// and the user's current role/status are loaded from the DB (cached)
+async function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: "No token provided" });
+  const apiKeyHeader = req.headers["x-api-key"];
+  if (!authHeader && !apiKeyHeader) {
+    return next(new UnauthorizedError("No token provided"));
   }
-  const token = authHeader.split(" ")[1];
+  const token = authHeader ? authHeader.split(" ")[1] : apiKeyHeader;
   if (!token) {
-    return res.status(401).json({ error: "Invalid token format" });
+    return next(new UnauthorizedError("Invalid token format"));
+  }
+  if (isApiKey(token)) {
+    return authenticateApiKey(token, req, res, next);
   }
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    req.log.debug("jwt verification failed", { err });
+    return next(new UnauthorizedError("Invalid or expired token"));
+  }
+  // impersonation token: act as the target, remember the real actor
+  if (decoded.impersonationId) {
+    let impersonated;
+    try {
+      impersonated = await resolveImpersonation(decoded);
+    } catch (err) {
+      return next(err);
+    }
+    if (!impersonated) {
+      return next(new UnauthorizedError("Impersonation has ended"));
+    }
+    if (impersonated.status !== "active") {
+      return next(accountNotActive());
+    }
+    req.user = impersonated;
+    res.on("finish", () => logImpersonatedRequest(req, res));
+    return next();
+  }
+
+  let principal;
+  try {
+    principal = decoded.sessionId
+      ? await getSessionPrincipal(decoded.sessionId, decoded.userId)
+      : null;
   } catch (err) {
-    console.error("<// JWT verification error >", err);
-    return res.status(401).json({ error: "Invalid or expired token" });
+    return next(err);
+  }
+  if (!principal) {
+    return next(new UnauthorizedError("Session has been revoked"));
+  }
+  if (principal.status !== "active") {
+    return next(accountNotActive());
   }
+  // role from the DB wins over the (possibly stale) role in the token
+  req.user = {
+    ...decoded,
+    role: principal.role,
+    twoFactorEnabled: principal.twoFactorEnabled,
+  };
+  next();
+}
+
+// true if req.user's role grants the permission (for checks inside handlers,
+// e.g. "see everyone's bets" vs "only mine"). Privileged roles without the
+// required 2FA don't get any permission.
+async function can(req, permission) {
+  if (!req.user) {
+    return false;
+  }
+  if (twoFactorRequiredFor(req.user.role) && !req.user.twoFactorEnabled) {
+    return false;
+  }
+  return roleHasPermission(req.user.role, permission);
+}
+
+// Only allows if req.user's role grants every listed permission
+// (the list is kept on the middleware for the API docs)
+function requirePermission(...permissions) {
+  const middleware = async (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError("Not authenticated"));
+    }
+    try {
+      for (const permission of permissions) {
+        if (!(await roleHasPermission(req.user.role, permission))) {
+          return next(new ForbiddenError("Forbidden: missing permission", { permission }, "MISSING_PERMISSION"));
+        }
+      }
+    } catch (err) {
+      return next(err);
+    }
+    if (twoFactorRequiredFor(req.user.role) && !req.user.twoFactorEnabled) {
+      return next(twoFactorSetupRequired());
+    }
+    next();
+  };
+  middleware.permissions = permissions;
+  return middleware;
 }
 
-// Allows if req.user.role is "admin" or "superadmin"
-function requireAdmin(req, res, next) {
-  if (!req.user || (req.user.role !== "admin" && req.user.role !== "superadmin")) {
-    return res.status(403).json({ error: "Forbidden: Admins only" });
+// Refuses impersonated requests (account security: 2FA, logout-all, starting another impersonation)
+function denyImpersonation(req, res, next) {
+  if (req.user && req.user.impersonator) {
+    return next(new ForbiddenError("Not allowed while impersonating", null, "IMPERSONATION_NOT_ALLOWED"));
   }
   next();
 }
 
-// Only allows if req.user.role is "superadmin"
-function requireSuperadmin(req, res, next) {
-  if (!req.user || req.user.role !== "superadmin") {
-    return res.status(403).json({ error: "Forbidden: Superadmin only" });
+// Put on routes that move money, including every write to bets: impersonated
+// requests only pass if the impersonation was started with allowFinancial
+function financialMutation(req, res, next) {
+  if (req.user && req.user.impersonator && !req.user.allowFinancial) {
+    return next(
+      new ForbiddenError("Financial changes are blocked while impersonating", null, "IMPERSONATION_NOT_ALLOWED")
+    );
   }
   next();
 }
 
 module.exports = {
   requireAuth,
-  requireAdmin,
-  requireSuperadmin,
+  requirePermission,
+  can,
+  denyImpersonation,
+  financialMutation,
+  twoFactorRequiredFor,
 };
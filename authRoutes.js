@@ -2,186 +2,709 @@ require("dotenv").config();
 const express = require("express");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
-const { Pool } = require("pg");
-const nodemailer = require("nodemailer");
+const db = require("./db");
+const { withTransaction } = db;
 const crypto = require("crypto");
+const { requireAuth, denyImpersonation, twoFactorRequiredFor } = require("./authMiddleware");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  hashToken,
+  invalidateUser,
+} = require("./sessions");
+const { endImpersonation } = require("./impersonation");
+const {
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("./totp");
+const { queueMail, flushOutbox } = require("./mailer");
+const { getRolePermissions } = require("./permissions");
+const { checkThrottle, recordFailure, recordSuccess } = require("./loginThrottle");
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
+const { isApiKey } = require("./apiKeys");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} = require("./errors");
 
 const router = express.Router();
 
-// create pg pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // if your Render DB needs SSL, uncomment the next line:
-  // ssl: { rejectUnauthorized: false },
-});
+// bcrypt only looks at the first 72 bytes, longer passwords would be silently cut
+const newPasswordField = () => v.string({ min: 1, max: 72, trim: false });
+const passwordField = () => v.string({ min: 1, max: 200, trim: false });
+const tokenParams = { token: v.string({ min: 1, max: 200 }) };
+const emailBody = { email: v.string({ min: 1, max: 200 }) };
+
+// a TOTP code, or a recovery code instead of it
+const secondFactorRequired = (body) =>
+  body.code || body.recoveryCode ? null : "code or recoveryCode is required";
 
-// nodemailer transporter (gmail example)
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
+const authSchemas = {
+  register: {
+    body: {
+      email: v.email(),
+      password: newPasswordField(),
+      firstName: v.string({ max: 100 }).optional(),
+      lastName: v.string({ max: 100 }).optional(),
+    },
   },
-});
+  acceptInvite: {
+    body: {
+      token: v.string({ min: 1, max: 200 }),
+      password: newPasswordField(),
+      firstName: v.string({ max: 100 }).optional(),
+      lastName: v.string({ max: 100 }).optional(),
+    },
+  },
+  login: {
+    body: { email: v.string({ min: 1, max: 200 }), password: passwordField() },
+  },
+  loginTwoFactor: {
+    body: v
+      .object({
+        challengeToken: v.string({ min: 1 }),
+        code: v.string({ max: 20 }).optional(),
+        recoveryCode: v.string({ max: 50 }).optional(),
+      })
+      .check(secondFactorRequired),
+  },
+  twoFactorCode: {
+    body: { code: v.string({ min: 1, max: 20 }) },
+  },
+  disableTwoFactor: {
+    body: v
+      .object({
+        password: passwordField(),
+        code: v.string({ max: 20 }).optional(),
+        recoveryCode: v.string({ max: 50 }).optional(),
+      })
+      .check(secondFactorRequired),
+  },
+  refresh: {
+    body: { refreshToken: v.string({ min: 1, max: 200 }) },
+  },
+  reset: {
+    body: { token: v.string({ min: 1, max: 200 }), newPassword: newPasswordField() },
+  },
+};
+
+// lifetime of emailed links
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS, 10) || 48;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 60;
 
-// generate JWT
-function generateToken(payload) {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "1d" });
+// ALLOW_OPEN_REGISTRATION=false => /register is closed, people join through invitations only
+function openRegistrationAllowed() {
+  return process.env.ALLOW_OPEN_REGISTRATION !== "false";
 }
 
-// send verification email
-async function sendVerificationEmail(toEmail, token) {
-  const verifyURL = `${process.env.SERVER_URL}/api/auth/verify/${token}`;
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: toEmail,
-    subject: "BetLogic - Verify Your Account",
-    text: `Please verify your account by clicking: ${verifyURL}`,
+// random token for an emailed link; only its hash is stored
+function generateEmailToken(ttlMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
   };
-  await transporter.sendMail(mailOptions);
 }
 
-// utility: send forgot/reset email
-async function sendResetEmail(toEmail, resetToken) {
-  const resetURL = `${process.env.SERVER_URL}/auth/reset?token=${resetToken}`;
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: toEmail,
-    subject: "BetLogic - Reset Your Password",
-    text: `Click here to reset your password: ${resetURL}`,
+function newVerificationToken() {
+  return generateEmailToken(VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+}
+
+function newResetToken() {
+  return generateEmailToken(RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+}
+
+// queue verification email (sent by the mail outbox) for a newVerificationToken()
+// pass client to queue it inside a transaction
+async function sendVerificationEmail(toEmail, verification, firstName, client) {
+  const verifyURL = `${process.env.SERVER_URL}/api/auth/verify/${verification.token}`;
+  await queueMail("verification", toEmail, {
+    url: verifyURL,
+    firstName,
+    expiresInHours: VERIFICATION_TOKEN_TTL_HOURS,
+  }, client, { expiresAt: verification.expiresAt });
+}
+
+// utility: queue forgot/reset email for a newResetToken()
+async function sendResetEmail(toEmail, reset, firstName) {
+  const resetURL = `${process.env.SERVER_URL}/auth/reset?token=${reset.token}`;
+  await queueMail("reset", toEmail, {
+    url: resetURL,
+    firstName,
+    expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+  }, undefined, { expiresAt: reset.expiresAt });
+}
+
+// 429 for a throttled or locked-out email/IP
+function throttled(res, verdict) {
+  res.set("Retry-After", String(verdict.retryAfter));
+  return new TooManyRequestsError(
+    verdict.locked
+      ? "Too many failed attempts. Account temporarily locked."
+      : "Too many attempts. Please wait before trying again.",
+    { retryAfter: verdict.retryAfter },
+    verdict.locked ? "ACCOUNT_LOCKED" : "TOO_MANY_ATTEMPTS"
+  );
+}
+
+// why a user who isn't active can't log in: deactivated by an admin, or not verified yet
+function notActive(user) {
+  if (user.status === "deactivated") {
+    return new ForbiddenError("This account has been deactivated", null, "ACCOUNT_DEACTIVATED");
+  }
+  return new ForbiddenError("Please verify your email first.");
+}
+
+// starts a session and builds the login response body
+async function completeLogin(user, req) {
+  await recordSuccess("login", user.email);
+  // short-lived access token + rotating refresh token, tied to a session row
+  const { token, refreshToken } = await createSession(user, req);
+  return {
+    message: "Login successful",
+    token,
+    refreshToken,
+    role: user.role,
+    // lets the frontend show/hide admin screens ("*" = everything)
+    permissions: [...(await getRolePermissions(user.role))],
+    firstName: user.first_name,
+    lastName: user.last_name,
+    onboardingCompleted: user.onboarding_completed,
+    // admins who must use 2FA but haven't enrolled yet are sent to /2fa/setup
+    twoFactorSetupRequired: twoFactorRequiredFor(user.role) && !user.totp_enabled,
   };
-  await transporter.sendMail(mailOptions);
+}
+
+// the second login step only accepts this short-lived challenge, never a session token
+function generateTwoFactorChallenge(userId) {
+  return jwt.sign({ userId, purpose: "2fa-login" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+}
+
+/**
+ * Checks a TOTP code or a recovery code for a user with 2FA enabled.
+ * TOTP codes can't be replayed, recovery codes are burned on use.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const useRes = await db.query(
+      `UPDATE user_recovery_codes SET used_at=NOW()
+       WHERE user_id=$1 AND code_hash=$2 AND used_at IS NULL`,
+      [user.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return useRes.rowCount === 1;
+  }
+  if (!user.totp_secret) {
+    return false;
+  }
+  const step = verifyCode(user.totp_secret, code);
+  if (step === null) {
+    return false;
+  }
+  const stepRes = await db.query(
+    `UPDATE users SET totp_last_step=$1
+     WHERE id=$2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+    [step, user.id]
+  );
+  return stepRes.rowCount === 1;
+}
+
+// replaces a user's recovery codes, returns the plaintext codes (shown once)
+// client is the caller's transaction
+async function issueRecoveryCodes(client, userId) {
+  const codes = generateRecoveryCodes();
+  await client.query("DELETE FROM user_recovery_codes WHERE user_id=$1", [userId]);
+  for (const c of codes) {
+    await client.query(
+      "INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(c))]
+    );
+  }
+  return codes;
 }
 
 // POST /api/auth/register
-router.post("/register", async (req, res) => {
+router.post("/register", rateLimit("auth"), validate(authSchemas.register), async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: "Missing email or password" });
+    if (!openRegistrationAllowed()) {
+      throw new ForbiddenError("Registration is by invitation only");
     }
+    const { email, password, firstName, lastName } = req.body;
     // check if user exists
-    const existing = await pool.query("SELECT id FROM users WHERE email=$1", [email]);
+    const existing = await db.query("SELECT id FROM users WHERE email=$1", [email]);
     if (existing.rows.length > 0) {
-      return res.status(400).json({ error: "User already exists" });
+      throw new ConflictError("User already exists");
     }
     // hash password
     const hashed = await bcrypt.hash(password, 10);
-    // generate verification token
-    const verificationToken = crypto.randomBytes(20).toString("hex");
-    // insert user
-    const insertRes = await pool.query(
-      `INSERT INTO users
-       (email, password_hash, first_name, last_name, role, status, verification_token)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, email, role, status`,
-      [
-        email,
-        hashed,
-        firstName || null,
-        lastName || null,
-        "user",
-        "pendingVerification",
-        verificationToken,
-      ]
-    );
-    const newUser = insertRes.rows[0];
-    // send verification email
-    await sendVerificationEmail(email, verificationToken);
+    // generate verification token (stored hashed, expires)
+    const verification = newVerificationToken();
+    // insert user and queue the verification email together:
+    // either both exist or neither does
+    const newUser = await withTransaction(async (client) => {
+      const insertRes = await client.query(
+        `INSERT INTO users
+         (email, password_hash, first_name, last_name, role, status,
+          verification_token, verification_token_expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id, email, role, status`,
+        [
+          email,
+          hashed,
+          firstName || null,
+          lastName || null,
+          "user",
+          "pendingVerification",
+          verification.hash,
+          verification.expiresAt,
+        ]
+      );
+      await sendVerificationEmail(email, verification, firstName, client);
+      return insertRes.rows[0];
+    });
+    flushOutbox();
     return res.json({
       message: "User registered. Check your email for verification link.",
       user: newUser,
     });
   } catch (err) {
-    console.error("// register error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
+  }
+});
+
+// GET /api/auth/invite/:token
+// lets the signup page show who/what the invitation is for
+router.get("/invite/:token", validate({ params: tokenParams }), async (req, res, next) => {
+  try {
+    const inviteRes = await db.query(
+      `SELECT email, role, expires_at FROM invitations
+       WHERE token_hash=$1 AND status='pending' AND expires_at > NOW()`,
+      [hashToken(req.params.token)]
+    );
+    if (inviteRes.rows.length === 0) {
+      throw new BadRequestError("Invalid or expired invitation");
+    }
+    return res.json(inviteRes.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/accept-invite
+// expects { token, password, firstName?, lastName? }
+// creates an active account (the invite email proves the address) with the invited role
+router.post("/accept-invite", rateLimit("auth"), validate(authSchemas.acceptInvite), async (req, res, next) => {
+  try {
+    const { token, password, firstName, lastName } = req.body;
+    const hashed = await bcrypt.hash(password, 10);
+    const newUser = await withTransaction(async (client) => {
+      // lock the invitation so it can only be accepted once
+      const inviteRes = await client.query(
+        `SELECT id, email, role, promotion_ids FROM invitations
+         WHERE token_hash=$1 AND status='pending' AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      if (inviteRes.rows.length === 0) {
+        throw new BadRequestError("Invalid or expired invitation");
+      }
+      const invite = inviteRes.rows[0];
+
+      const existing = await client.query("SELECT id FROM users WHERE email=$1", [invite.email]);
+      if (existing.rows.length > 0) {
+        throw new ConflictError("User already exists");
+      }
+
+      const insertRes = await client.query(
+        `INSERT INTO users (email, password_hash, first_name, last_name, role, status)
+         VALUES ($1, $2, $3, $4, $5, 'active')
+         RETURNING id, email, role, status`,
+        [invite.email, hashed, firstName || null, lastName || null, invite.role]
+      );
+      const user = insertRes.rows[0];
+
+      for (const promotionId of invite.promotion_ids) {
+        await client.query(
+          `INSERT INTO user_promotions_assigned (user_id, promotion_id)
+           VALUES ($1, $2)`,
+          [user.id, promotionId]
+        );
+      }
+
+      await client.query(
+        `UPDATE invitations
+         SET status='accepted', accepted_user_id=$1, accepted_at=NOW(), updated_at=NOW()
+         WHERE id=$2`,
+        [user.id, invite.id]
+      );
+      return user;
+    });
+
+    return res.json({
+      message: "Account created. You can now log in.",
+      user: newUser,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // GET /api/auth/verify/:token
-router.get("/verify/:token", async (req, res) => {
+router.get("/verify/:token", validate({ params: tokenParams }), async (req, res, next) => {
   try {
     const { token } = req.params;
-    const userRes = await pool.query(
-      "SELECT id, status FROM users WHERE verification_token=$1",
-      [token]
+    const userRes = await db.query(
+      `SELECT id, status FROM users
+       WHERE verification_token=$1 AND verification_token_expires_at > NOW()`,
+      [hashToken(token)]
     );
     if (userRes.rows.length === 0) {
-      return res.status(400).json({ error: "Invalid or expired token" });
+      throw new BadRequestError("Invalid or expired token");
     }
     const user = userRes.rows[0];
     if (user.status === "active") {
       return res.json({ message: "Account already verified." });
     }
-    // mark user active
-    await pool.query(
+    // mark user active, the token can't be used again
+    await db.query(
       `UPDATE users
-       SET status='active', verification_token=NULL
+       SET status='active', verification_token=NULL, verification_token_expires_at=NULL,
+           updated_at=NOW()
        WHERE id=$1`,
       [user.id]
     );
     return res.json({ message: "Email verified successfully. You can now log in." });
   } catch (err) {
-    console.error("// verify error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
 /// POST /api/auth/login (Updated)
-router.post("/login", async (req, res) => {
+router.post("/login", rateLimit("auth"), validate(authSchemas.login), async (req, res, next) => {
     try {
       const { email, password } = req.body;
-      if (!email || !password) {
-        return res.status(400).json({ error: "Missing email or password" });
+
+      const verdict = await checkThrottle("login", email, req.ip);
+      if (!verdict.allowed) {
+        throw throttled(res, verdict);
       }
   
-      const userRes = await pool.query(
-        `SELECT id, email, password_hash, role, status, first_name, last_name, onboarding_completed
+      const userRes = await db.query(
+        `SELECT id, email, password_hash, role, status, first_name, last_name, onboarding_completed,
+                totp_enabled
          FROM users WHERE email=$1`,
         [email]
       );
   
       if (userRes.rows.length === 0) {
-        return res.status(401).json({ error: "Invalid credentials" });
+        await recordFailure("login", email, req.ip);
+        throw new UnauthorizedError("Invalid credentials");
       }
   
       const user = userRes.rows[0];
       const match = await bcrypt.compare(password, user.password_hash);
       if (!match) {
-        return res.status(401).json({ error: "Invalid credentials" });
+        await recordFailure("login", email, req.ip, user.id);
+        throw new UnauthorizedError("Invalid credentials");
       }
   
       if (user.status !== "active") {
-        return res.status(403).json({ error: "Please verify your email first." });
+        throw notActive(user);
       }
   
-      const token = generateToken({ userId: user.id, role: user.role });
+      // 2FA enabled => no session yet, client must call /login/2fa with a code
+      if (user.totp_enabled) {
+        return res.json({
+          message: "Two-factor code required",
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user.id),
+        });
+      }
   
-      return res.json({
-        message: "Login successful",
-        token,
-        role: user.role,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        onboardingCompleted: user.onboarding_completed,
-      });
+      return res.json(await completeLogin(user, req));
     } catch (err) {
-      console.error("// login error", err);
-      res.status(500).json({ error: "Server error" });
+      next(err);
     }
   });
+
+// POST /api/auth/login/2fa
+// second login step, expects { challengeToken, code } or { challengeToken, recoveryCode }
+router.post("/login/2fa", rateLimit("auth"), validate(authSchemas.loginTwoFactor), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      throw new UnauthorizedError("Invalid or expired challenge");
+    }
+    if (challenge.purpose !== "2fa-login") {
+      throw new UnauthorizedError("Invalid or expired challenge");
+    }
+
+    const userRes = await db.query(
+      `SELECT id, email, role, status, first_name, last_name, onboarding_completed,
+              totp_enabled, totp_secret
+       FROM users WHERE id=$1`,
+      [challenge.userId]
+    );
+    if (userRes.rows.length === 0 || !userRes.rows[0].totp_enabled) {
+      throw new UnauthorizedError("Invalid or expired challenge");
+    }
+    const user = userRes.rows[0];
+    if (user.status !== "active") {
+      throw notActive(user);
+    }
+
+    // 2FA failures count against the same email/IP budget as passwords
+    const verdict = await checkThrottle("login", user.email, req.ip);
+    if (!verdict.allowed) {
+      throw throttled(res, verdict);
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailure("login", user.email, req.ip, user.id);
+      throw new UnauthorizedError("Invalid two-factor code");
+    }
+
+    return res.json(await completeLogin(user, req));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/setup
+// generates a new TOTP secret (not enforced until /2fa/enable confirms a code)
+router.post("/2fa/setup", requireAuth, denyImpersonation, rateLimit("auth"), async (req, res, next) => {
+  try {
+    const userRes = await db.query(
+      "SELECT id, email, totp_enabled FROM users WHERE id=$1",
+      [req.user.userId]
+    );
+    if (userRes.rows.length === 0) {
+      throw new NotFoundError("User not found");
+    }
+    const user = userRes.rows[0];
+    if (user.totp_enabled) {
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+    const secret = generateSecret();
+    await db.query(
+      "UPDATE users SET totp_secret=$1, totp_last_step=NULL, updated_at=NOW() WHERE id=$2",
+      [secret, user.id]
+    );
+    return res.json({
+      secret,
+      otpauthUrl: provisioningUri(secret, user.email),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/enable
+// expects { code } from the authenticator app, returns one-time recovery codes
+router.post("/2fa/enable", requireAuth, denyImpersonation, rateLimit("auth"), validate(authSchemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const userRes = await db.query(
+      "SELECT id, totp_enabled, totp_secret FROM users WHERE id=$1",
+      [req.user.userId]
+    );
+    if (userRes.rows.length === 0) {
+      throw new NotFoundError("User not found");
+    }
+    const user = userRes.rows[0];
+    if (user.totp_enabled) {
+      throw new BadRequestError("Two-factor authentication is already enabled");
+    }
+    if (!user.totp_secret) {
+      throw new BadRequestError("Call /2fa/setup first");
+    }
+    if (!(await verifySecondFactor(user, { code }))) {
+      throw new BadRequestError("Invalid two-factor code");
+    }
+    const recoveryCodes = await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE users SET totp_enabled=true, totp_enabled_at=NOW(), updated_at=NOW() WHERE id=$1",
+        [user.id]
+      );
+      return issueRecoveryCodes(client, user.id);
+    });
+    invalidateUser(user.id);
+    return res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/disable
+// expects { password, code } (or recoveryCode instead of code)
+router.post("/2fa/disable", requireAuth, denyImpersonation, rateLimit("auth"), validate(authSchemas.disableTwoFactor), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const userRes = await db.query(
+      "SELECT id, role, password_hash, totp_enabled, totp_secret FROM users WHERE id=$1",
+      [req.user.userId]
+    );
+    if (userRes.rows.length === 0) {
+      throw new NotFoundError("User not found");
+    }
+    const user = userRes.rows[0];
+    if (!user.totp_enabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+    if (twoFactorRequiredFor(user.role)) {
+      throw new ForbiddenError("Two-factor authentication is required for your role");
+    }
+    const match = await bcrypt.compare(password, user.password_hash);
+    if (!match || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      throw new UnauthorizedError("Invalid credentials");
+    }
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET totp_enabled=false, totp_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL,
+             updated_at=NOW()
+         WHERE id=$1`,
+        [user.id]
+      );
+      await client.query("DELETE FROM user_recovery_codes WHERE user_id=$1", [user.id]);
+    });
+    invalidateUser(user.id);
+    return res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes
+// expects { code }, replaces all recovery codes with a fresh set
+router.post("/2fa/recovery-codes", requireAuth, denyImpersonation, rateLimit("auth"), validate(authSchemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const userRes = await db.query(
+      "SELECT id, totp_enabled, totp_secret FROM users WHERE id=$1",
+      [req.user.userId]
+    );
+    if (userRes.rows.length === 0 || !userRes.rows[0].totp_enabled) {
+      throw new BadRequestError("Two-factor authentication is not enabled");
+    }
+    if (!(await verifySecondFactor(userRes.rows[0], { code }))) {
+      throw new UnauthorizedError("Invalid two-factor code");
+    }
+    const recoveryCodes = await withTransaction((client) =>
+      issueRecoveryCodes(client, req.user.userId)
+    );
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+});
   
 
+// POST /api/auth/refresh
+// expects { refreshToken }, returns a new access token and a new refresh token
+router.post("/refresh", rateLimit("auth"), validate(authSchemas.refresh), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const rotated = await rotateSession(refreshToken);
+    if (!rotated) {
+      throw new UnauthorizedError("Invalid or expired refresh token");
+    }
+    return res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      role: rotated.role,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// logout ends a session; API keys are revoked under /api/api-keys instead
+function notASession() {
+  return new BadRequestError("Only a session can be logged out", null, "NOT_A_SESSION");
+}
+
+// answers 400 for an API key before requireAuth turns it away as not allowed here
+function rejectApiKey(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader ? authHeader.split(" ")[1] : req.headers["x-api-key"];
+  return token && isApiKey(token) ? next(notASession()) : next();
+}
+
+// POST /api/auth/logout
+// revokes the session of the current access token
+// (with an impersonation token it only ends the impersonation; anything else is a 400)
+router.post("/logout", rejectApiKey, requireAuth, rateLimit("auth"), async (req, res, next) => {
+  try {
+    if (req.user.impersonator) {
+      await endImpersonation(req.user.impersonationId, req.user.impersonator.userId);
+      return res.json({ message: "Impersonation ended" });
+    }
+    if (!req.user.sessionId) {
+      throw notASession();
+    }
+    await revokeSession(req.user.sessionId);
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/logout-all
+// revokes every session of the current user (log out all devices)
+router.post("/logout-all", requireAuth, denyImpersonation, rateLimit("auth"), async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    return res.json({ message: "Logged out of all devices", revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/auth/sessions
+// lists the current user's active sessions (devices)
+router.get("/sessions", requireAuth, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    return res.json(
+      sessions.map((s) => ({ ...s, current: s.id === req.user.sessionId }))
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
 // POST /api/auth/forgot
-router.post("/forgot", async (req, res) => {
+router.post("/forgot", rateLimit("auth"), validate({ body: emailBody }), async (req, res, next) => {
   try {
     const { email } = req.body;
-    if (!email) {
-      return res.status(400).json({ error: "Missing email" });
+    // every reset request counts, so this can't be used to spam inboxes
+    const verdict = await checkThrottle("forgot", email, req.ip);
+    if (!verdict.allowed) {
+      throw throttled(res, verdict);
     }
+    await recordFailure("forgot", email, req.ip);
     // find user
-    const userRes = await pool.query(
-      "SELECT id, email, status FROM users WHERE email=$1",
+    const userRes = await db.query(
+      "SELECT id, email, status, first_name FROM users WHERE email=$1",
       [email]
     );
     // for security, do not reveal if user doesn't exist
@@ -189,50 +712,100 @@ router.post("/forgot", async (req, res) => {
       return res.json({ message: "If that email exists, reset link sent." });
     }
     const user = userRes.rows[0];
-    // generate reset token
-    const resetToken = crypto.randomBytes(20).toString("hex");
-    // store in DB
-    await pool.query(
-      "UPDATE users SET reset_token=$1 WHERE id=$2",
-      [resetToken, user.id]
+    // generate reset token, replaces any earlier one
+    const reset = newResetToken();
+    // store the hash in DB
+    await db.query(
+      "UPDATE users SET reset_token=$1, reset_token_expires_at=$2 WHERE id=$3",
+      [reset.hash, reset.expiresAt, user.id]
     );
     // send reset email
-    await sendResetEmail(email, resetToken);
+    await sendResetEmail(email, reset, user.first_name);
     return res.json({ message: "If that email exists, reset link sent." });
   } catch (err) {
-    console.error("// forgot error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
-// POST /api/auth/reset
-router.post("/reset", async (req, res) => {
+// POST /api/auth/resend-verification
+// expects { email }, sends a fresh verification link if the account is still unverified
+router.post("/resend-verification", rateLimit("auth"), validate({ body: emailBody }), async (req, res, next) => {
   try {
-    const { token, newPassword } = req.body;
-    if (!token || !newPassword) {
-      return res.status(400).json({ error: "Missing token or newPassword" });
+    const { email } = req.body;
+    const verdict = await checkThrottle("resend", email, req.ip);
+    if (!verdict.allowed) {
+      throw throttled(res, verdict);
     }
-    // find user by reset_token
-    const userRes = await pool.query(
-      "SELECT id FROM users WHERE reset_token=$1",
-      [token]
+    await recordFailure("resend", email, req.ip);
+
+    const userRes = await db.query(
+      "SELECT id, status, first_name FROM users WHERE email=$1",
+      [email]
     );
-    if (userRes.rows.length === 0) {
-      return res.status(400).json({ error: "Invalid reset token" });
+    // same answer whether or not the account exists / is already verified
+    if (userRes.rows.length === 0 || userRes.rows[0].status !== "pendingVerification") {
+      return res.json({ message: "If that account needs verification, a new link was sent." });
     }
-    const user = userRes.rows[0];
+    // a new link invalidates the previous one
+    const verification = newVerificationToken();
+    await db.query(
+      `UPDATE users
+       SET verification_token=$1, verification_token_expires_at=$2, updated_at=NOW()
+       WHERE id=$3`,
+      [verification.hash, verification.expiresAt, userRes.rows[0].id]
+    );
+    await sendVerificationEmail(email, verification, userRes.rows[0].first_name);
+    return res.json({ message: "If that account needs verification, a new link was sent." });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/reset
+router.post("/reset", rateLimit("auth"), validate(authSchemas.reset), async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
     // hash new password
     const hashed = await bcrypt.hash(newPassword, 10);
-    // update user
-    await pool.query(
-      "UPDATE users SET password_hash=$1, reset_token=NULL WHERE id=$2",
-      [hashed, user.id]
+    // consume the reset token and update the password in one statement,
+    // so the same link can't be used twice
+    const updateRes = await db.query(
+      `UPDATE users
+       SET password_hash=$1, reset_token=NULL, reset_token_expires_at=NULL, updated_at=NOW()
+       WHERE reset_token=$2 AND reset_token_expires_at > NOW()
+       RETURNING id`,
+      [hashed, hashToken(token)]
     );
+    if (updateRes.rows.length === 0) {
+      throw new BadRequestError("Invalid or expired reset token");
+    }
+    // whoever had the old password loses every session
+    await revokeAllSessions(updateRes.rows[0].id);
     return res.json({ message: "Password reset successful. You can now log in." });
   } catch (err) {
-    console.error("// reset error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "POST /register": "Register a new account and email a verification link",
+  "GET /invite/:token": "Show who an invitation is for (email, role)",
+  "POST /accept-invite": "Create an active account from an invitation",
+  "GET /verify/:token": "Verify an email address",
+  "POST /login": "Log in with email and password (returns a 2FA challenge when enabled)",
+  "POST /login/2fa": "Second login step with a TOTP or recovery code",
+  "POST /2fa/setup": "Generate a new TOTP secret",
+  "POST /2fa/enable": "Turn on 2FA by confirming a code, returns recovery codes",
+  "POST /2fa/disable": "Turn off 2FA",
+  "POST /2fa/recovery-codes": "Replace all recovery codes with a fresh set",
+  "POST /refresh": "Exchange a refresh token for new access and refresh tokens",
+  "POST /logout": "Revoke the current session (or end the current impersonation)",
+  "POST /logout-all": "Revoke every session of the current user",
+  "GET /sessions": "List the current user's active sessions",
+  "POST /forgot": "Email a password reset link",
+  "POST /resend-verification": "Send a fresh verification link to an unverified account",
+  "POST /reset": "Set a new password with a reset token",
+};
+
 module.exports = router;
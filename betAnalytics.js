@@ -0,0 +1,121 @@
+const db = require("./db");
+const { BETS_FROM, decimalToAmerican } = require("./bets");
+const { whereFilters } = require("./pagination");
+
+/**
+ * Betting performance (GET /api/bets/analytics), over settled bets only:
+ *   staked: stakes at risk; voided bets and free bets don't count
+ *   net_profit, roi (net_profit / staked, in %)
+ *   win_rate: Won out of Won + Lost, in %; pushes, voids and cashouts are left out
+ *   average_odds: mean decimal odds (and the American equivalent)
+ *   longest_win_streak / longest_losing_streak: consecutive Won / Lost bets in
+ *     date order; pushes, voids and cashouts don't break a streak
+ * Optionally per group (GROUPS), each group with the same numbers as the totals.
+ */
+
+// group_by values: the SQL key and a readable label for each group;
+// sportsbook is the book's name, so every member's FanDuel account is one FanDuel
+const GROUPS = {
+  user: { key: "b.user_id", label: "u.email" },
+  sportsbook: { key: "LOWER(a.name)", label: "a.name" },
+  bet_type: { key: "b.bet_type", label: "b.bet_type" },
+  sport: { key: "b.sport", label: "b.sport" },
+  week: {
+    key: "to_char(date_trunc('week', b.date), 'YYYY-MM-DD')",
+    label: `to_char(b.date, 'IYYY-"W"IW')`,
+  },
+  month: { key: "to_char(b.date, 'YYYY-MM')", label: "to_char(b.date, 'YYYY-MM')" },
+};
+
+const ANALYTICS_FROM = `${BETS_FROM} JOIN users u ON u.id = b.user_id`;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100, 2) : null);
+
+function metrics(row, streaks) {
+  const staked = Number(row.staked);
+  const netProfit = Number(row.net_profit);
+  const averageOdds = row.average_odds === null ? null : round(Number(row.average_odds), 4);
+  return {
+    bets: row.bets,
+    won: row.won,
+    lost: row.lost,
+    push: row.push,
+    void: row.void,
+    cashout: row.cashout,
+    staked: round(staked, 2),
+    net_profit: round(netProfit, 2),
+    roi: percent(netProfit, staked),
+    win_rate: percent(row.won, row.won + row.lost),
+    average_odds: averageOdds,
+    average_odds_american: averageOdds !== null && averageOdds > 1 ? decimalToAmerican(averageOdds) : null,
+    longest_win_streak: (streaks && streaks.Won) || 0,
+    longest_losing_streak: (streaks && streaks.Lost) || 0,
+  };
+}
+
+async function summarize(keySql, labelSql, whereSql, values) {
+  const keyColumns = keySql ? `${keySql} AS key, MIN(${labelSql}) AS label,` : "";
+  const summaryRes = await db.query(
+    `SELECT ${keyColumns}
+       COUNT(*)::int AS bets,
+       COUNT(*) FILTER (WHERE b.result = 'Won')::int AS won,
+       COUNT(*) FILTER (WHERE b.result = 'Lost')::int AS lost,
+       COUNT(*) FILTER (WHERE b.result = 'Push')::int AS push,
+       COUNT(*) FILTER (WHERE b.result = 'Void')::int AS void,
+       COUNT(*) FILTER (WHERE b.result = 'Cashout')::int AS cashout,
+       COALESCE(SUM(b.amount) FILTER (WHERE b.result <> 'Void' AND b.stake_type <> 'free_bet'), 0) AS staked,
+       COALESCE(SUM(b.profit), 0) AS net_profit,
+       AVG(b.odds_decimal) AS average_odds
+     FROM ${ANALYTICS_FROM}
+     ${whereSql}
+     ${keySql ? `GROUP BY ${keySql} ORDER BY ${keySql} NULLS LAST` : ""}`,
+    values
+  );
+
+  // gaps and islands: within a run of one result both row numbers grow together
+  const streakKey = keySql || "NULL";
+  const streakRes = await db.query(
+    `WITH decided AS (
+       SELECT ${streakKey} AS key, b.result,
+              ROW_NUMBER() OVER (PARTITION BY ${streakKey} ORDER BY b.date, b.id)
+                - ROW_NUMBER() OVER (PARTITION BY ${streakKey}, b.result ORDER BY b.date, b.id) AS run
+       FROM ${ANALYTICS_FROM}
+       ${whereSql} AND b.result IN ('Won', 'Lost')
+     )
+     SELECT key, result, MAX(length)::int AS longest
+     FROM (SELECT key, result, run, COUNT(*) AS length FROM decided GROUP BY key, result, run) runs
+     GROUP BY key, result`,
+    values
+  );
+  const streaks = new Map();
+  for (const row of streakRes.rows) {
+    const byResult = streaks.get(row.key) || {};
+    byResult[row.result] = row.longest;
+    streaks.set(row.key, byResult);
+  }
+
+  return summaryRes.rows.map((row) =>
+    keySql
+      ? { key: row.key, label: row.label, ...metrics(row, streaks.get(row.key)) }
+      : metrics(row, streaks.get(null))
+  );
+}
+
+/**
+ * Totals, and one entry per group when groupBy (a GROUPS key) is given, for the
+ * settled bets matching query's filters (a listing's filters, see pagination.js).
+ * Returns { group_by, totals, groups }.
+ */
+async function betAnalytics(filters, query, groupBy) {
+  const { whereSql, values } = whereFilters(filters, query, { where: ["b.result <> 'Open'"] });
+  const [totals] = await summarize(null, null, whereSql, values);
+  const group = GROUPS[groupBy];
+  const groups = group ? await summarize(group.key, group.label, whereSql, values) : [];
+  return { group_by: groupBy || null, totals, groups };
+}
+
+module.exports = {
+  GROUPS,
+  betAnalytics,
+};
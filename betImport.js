@@ -0,0 +1,522 @@
+require("dotenv").config();
+const db = require("./db");
+const { v, validateValue } = require("./validation");
+const { AppError, BadRequestError } = require("./errors");
+const { betFields, createBetFields, computeOutcome, prepareBet, createBet, settleLocked } = require("./bets");
+
+/**
+ * Bet imports from sportsbook history exports (POST /api/bets/import).
+ *
+ * A format maps our bet fields to the CSV's column headers (matched without
+ * regard to case) and says how its dates and numbers are written. The defaults
+ * below follow the sportsbooks' exports; BET_IMPORT_FORMATS overrides or adds
+ * formats as JSON:
+ *   BET_IMPORT_FORMATS='{"betmgm":{"columns":{"date":"Bet Date","amount":"Risk"},"date_format":"MM/DD/YYYY"}}'
+ * and a request can override single columns, the date format and the decimal
+ * separator on top of its format. A number that doesn't fit the decimal
+ * separator ("10,50" when it's ".") makes its row invalid rather than guessed at.
+ *
+ * Rows go through the same validation and computation as POST /api/bets. A row
+ * with a final result (Won, Lost, ...) is created and then settled like POST
+ * /api/bets/:id/settle, ledger entry and account balance included, so it needs
+ * the import's sportsbook account and, for a Cashout, the cashed out amount.
+ * A row with the same date, matchup and amount as an existing bet of the user
+ * (or an earlier row) is a duplicate and skipped. Nothing is created unless
+ * every row is valid.
+ */
+
+// the bet fields a CSV column can fill
+const IMPORT_FIELDS = [
+  "date",
+  "matchup",
+  "sport",
+  "bet_type",
+  "market",
+  "selection",
+  "stake_type",
+  "amount",
+  "odds_american",
+  "odds_decimal",
+  "result",
+  "cashout_amount",
+];
+
+const DATE_FORMATS = ["YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"];
+
+// "1,234.50" or "1.234,50"; the other one may only group thousands
+const DECIMAL_SEPARATORS = [".", ","];
+
+// fields written as plain numbers, read with the format's decimal separator
+const NUMBER_FIELDS = ["amount", "odds_decimal", "cashout_amount"];
+
+// more rows than this is better split into several imports
+const MAX_IMPORT_ROWS = 1000;
+
+// characters of CSV per import, room for MAX_IMPORT_ROWS of a wordy export
+const MAX_CSV_LENGTH = 1000000;
+
+// JSON body limit for POST /api/bets/import (app.js): MAX_CSV_LENGTH characters
+// can take up to 4 bytes each once encoded, plus the other options
+const IMPORT_BODY_LIMIT = "5mb";
+
+const DEFAULT_FORMATS = {
+  generic: {
+    columns: Object.fromEntries(IMPORT_FIELDS.map((field) => [field, field])),
+    date_format: "YYYY-MM-DD",
+    decimal_separator: ".",
+  },
+  draftkings: {
+    columns: {
+      date: "Placed Date",
+      matchup: "Event",
+      sport: "Sport",
+      market: "Market",
+      selection: "Selection",
+      amount: "Stake",
+      odds_american: "Odds",
+      result: "Status",
+      cashout_amount: "Cash Out Amount",
+    },
+    date_format: "MM/DD/YYYY",
+    decimal_separator: ".",
+  },
+  fanduel: {
+    columns: {
+      date: "Placed",
+      matchup: "Event",
+      sport: "Sport",
+      market: "Bet Type",
+      selection: "Selection",
+      amount: "Wager",
+      odds_american: "Odds",
+      result: "Result",
+      cashout_amount: "Cash Out",
+    },
+    date_format: "MM/DD/YYYY",
+    decimal_separator: ".",
+  },
+};
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// what's wrong with one BET_IMPORT_FORMATS entry, as messages
+function formatProblems(name, format) {
+  if (!isPlainObject(format)) {
+    return [`${name} must be an object`];
+  }
+  const problems = [];
+  for (const key of Object.keys(format)) {
+    if (!["columns", "date_format", "decimal_separator"].includes(key)) {
+      problems.push(`${name}.${key} is not a format setting`);
+    }
+  }
+  if (format.columns !== undefined) {
+    if (!isPlainObject(format.columns)) {
+      problems.push(`${name}.columns must be an object`);
+    } else {
+      for (const [field, header] of Object.entries(format.columns)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+          problems.push(`${name}.columns.${field} is not one of ${IMPORT_FIELDS.join(", ")}`);
+        } else if (typeof header !== "string" || header.trim() === "") {
+          problems.push(`${name}.columns.${field} must be a column header`);
+        }
+      }
+    }
+  }
+  if (format.date_format !== undefined && !DATE_FORMATS.includes(format.date_format)) {
+    problems.push(`${name}.date_format must be one of ${DATE_FORMATS.join(", ")}`);
+  }
+  if (format.decimal_separator !== undefined && !DECIMAL_SEPARATORS.includes(format.decimal_separator)) {
+    problems.push(`${name}.decimal_separator must be "." or ","`);
+  }
+  return problems;
+}
+
+// DEFAULT_FORMATS with BET_IMPORT_FORMATS on top; a bad override stops startup with what's wrong
+function loadFormats() {
+  const formats = JSON.parse(JSON.stringify(DEFAULT_FORMATS));
+  if (!process.env.BET_IMPORT_FORMATS) {
+    return formats;
+  }
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.BET_IMPORT_FORMATS);
+  } catch (err) {
+    throw new Error(`BET_IMPORT_FORMATS is not valid JSON: ${err.message}`);
+  }
+  if (!isPlainObject(overrides)) {
+    throw new Error("BET_IMPORT_FORMATS must be a JSON object of formats by name");
+  }
+  const problems = Object.entries(overrides).flatMap(([name, format]) => formatProblems(name, format));
+  if (problems.length > 0) {
+    throw new Error(`BET_IMPORT_FORMATS is invalid: ${problems.join("; ")}`);
+  }
+  for (const [name, format] of Object.entries(overrides)) {
+    const base = formats[name] || { columns: {}, date_format: "YYYY-MM-DD", decimal_separator: "." };
+    formats[name] = { ...base, ...format, columns: { ...base.columns, ...format.columns } };
+  }
+  return formats;
+}
+
+const IMPORT_FORMATS = loadFormats();
+
+// a row may come settled; the bet is created Open and then settled with these
+const rowFields = {
+  ...createBetFields,
+  result: betFields.result.default("Open"),
+  cashout_amount: v.number({ min: 0 }).optional(),
+};
+
+// how sportsbooks write a result, lowercased; anything else is left for validation to reject
+const RESULT_ALIASES = {
+  "": "Open",
+  open: "Open",
+  pending: "Open",
+  unsettled: "Open",
+  won: "Won",
+  win: "Won",
+  w: "Won",
+  lost: "Lost",
+  loss: "Lost",
+  lose: "Lost",
+  l: "Lost",
+  push: "Push",
+  tie: "Push",
+  void: "Void",
+  voided: "Void",
+  cancelled: "Void",
+  canceled: "Void",
+  refunded: "Void",
+  cashout: "Cashout",
+  "cash out": "Cashout",
+  "cashed out": "Cashout",
+};
+
+/**
+ * RFC 4180 CSV: comma separated, fields may be quoted ("" is a quote inside
+ * one) and span lines. Returns the records as arrays of strings, blank lines
+ * dropped, each with the line it starts on.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const input = text.replace(/^\uFEFF/, ""); // byte order mark from spreadsheet exports
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== "") {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line += 1;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    throw new BadRequestError("CSV has an unterminated quoted field", { line: recordLine }, "CSV_INVALID");
+  }
+  if (field !== "" || record.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+// "03/15/2025" -> "2025-03-15" for the format's date order; a time after the date is ignored
+function normalizeDate(value, dateFormat) {
+  const datePart = value.trim().split(/[\sT]/)[0];
+  if (dateFormat === "YYYY-MM-DD") {
+    return datePart;
+  }
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(datePart);
+  if (!match) {
+    return datePart;
+  }
+  const [, first, second, year] = match;
+  const [month, day] = dateFormat === "MM/DD/YYYY" ? [first, second] : [second, first];
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+// "$1,234.50" -> "1234.50" (decimalSeparator "."), "1.234,50 €" -> "1234.50" (","); null if it isn't one
+function normalizeNumber(value, decimalSeparator) {
+  const number = value.replace(/[$€£\s]/g, "");
+  const [decimal, group] = decimalSeparator === "," ? [",", "\\."] : ["\\.", ","];
+  const pattern = new RegExp(`^[-+]?(\\d+|\\d{1,3}(${group}\\d{3})+)(${decimal}\\d+)?$`);
+  if (!pattern.test(number)) {
+    return null;
+  }
+  return number.replace(new RegExp(group, "g"), "").replace(",", ".");
+}
+
+// one CSV value into what createBetFields expects; undefined means "not given", null a number it can't read
+function normalizeValue(field, value, format) {
+  const trimmed = value.trim();
+  if (field === "result") {
+    const alias = RESULT_ALIASES[trimmed.toLowerCase()];
+    return alias === undefined ? trimmed : alias;
+  }
+  if (trimmed === "") {
+    return undefined;
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    return normalizeNumber(trimmed, format.decimal_separator);
+  }
+  switch (field) {
+    case "date":
+      return normalizeDate(trimmed, format.date_format);
+    case "odds_american":
+      return /^ev(en)?$/i.test(trimmed) ? "100" : trimmed.replace(/^\+/, "");
+    case "bet_type":
+    case "stake_type":
+      return trimmed.toLowerCase().replace(/[\s-]+/g, "_");
+    default:
+      return trimmed;
+  }
+}
+
+/**
+ * The format for a request: the named one (an IMPORT_FORMATS key), else the one
+ * named after the sportsbook account ("Fan Duel" -> fanduel), else generic;
+ * columns, dateFormat and decimalSeparator override parts of it.
+ */
+function resolveFormat({ name, sportsbook, columns, dateFormat, decimalSeparator }) {
+  const sportsbookKey = sportsbook ? sportsbook.toLowerCase().replace(/[^a-z0-9]/g, "") : null;
+  const formatName = name || (IMPORT_FORMATS[sportsbookKey] ? sportsbookKey : "generic");
+  const format = IMPORT_FORMATS[formatName];
+  return {
+    name: formatName,
+    columns: { ...format.columns, ...columns },
+    date_format: dateFormat || format.date_format,
+    decimal_separator: decimalSeparator || format.decimal_separator,
+  };
+}
+
+// the CSV rows as createBetFields input, { line, input, errors } with errors for values it can't read
+function mapRows(records, format) {
+  if (records.length < 2) {
+    throw new BadRequestError("CSV needs a header row and at least one bet", null, "CSV_EMPTY");
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(
+      `At most ${MAX_IMPORT_ROWS} bets per import`,
+      { rows: records.length - 1, max: MAX_IMPORT_ROWS },
+      "IMPORT_TOO_LARGE"
+    );
+  }
+  const headers = records[0].values.map((header) => header.trim().toLowerCase());
+  const indexes = {};
+  for (const [field, header] of Object.entries(format.columns)) {
+    const index = headers.indexOf(String(header).trim().toLowerCase());
+    if (index !== -1) indexes[field] = index;
+  }
+  if (indexes.matchup === undefined || indexes.amount === undefined) {
+    throw new BadRequestError(
+      "CSV is missing the matchup or amount column for this format",
+      { format: format.name, columns: format.columns, headers: records[0].values },
+      "IMPORT_COLUMNS_MISSING"
+    );
+  }
+
+  return records.slice(1).map(({ line, values }) => {
+    const input = {};
+    const errors = [];
+    for (const [field, index] of Object.entries(indexes)) {
+      const raw = values[index] === undefined ? "" : values[index];
+      const value = normalizeValue(field, raw, format);
+      if (value === null) {
+        errors.push({
+          in: "csv",
+          field,
+          message: `"${raw.trim()}" is not a number with "${format.decimal_separator}" as the decimal separator`,
+        });
+      } else if (value !== undefined) {
+        input[field] = value;
+      }
+    }
+    return { line, input, errors };
+  });
+}
+
+const duplicateKey = (date, matchup, amount) =>
+  `${date}|${matchup.trim().toLowerCase()}|${Number(amount).toFixed(2)}`;
+
+// existing bets of the user on the dates in the file, by duplicateKey
+async function existingBets(runner, userId, dates) {
+  const betsRes = await runner.query(
+    `SELECT id, to_char(date, 'YYYY-MM-DD') AS date, matchup, amount
+     FROM bets
+     WHERE user_id=$1 AND date = ANY($2::date[])`,
+    [userId, dates]
+  );
+  return new Map(betsRes.rows.map((bet) => [duplicateKey(bet.date, bet.matchup, bet.amount), bet.id]));
+}
+
+/**
+ * Checks every row: validation, odds and account (prepareBet), what settling it
+ * would post if its result is final, and duplicates. Returns one report entry
+ * per row, { row, status, bet | duplicate_of | errors } with status "new",
+ * "duplicate" or "invalid"; row is the CSV line number. A new row has the
+ * createBet fields and its settlement ({ result, cashoutAmount } or null).
+ */
+async function checkRows(runner, userId, rows, { accountId, allowDuplicates }) {
+  const report = [];
+  for (const { line, input, errors: readErrors } of rows) {
+    const { value, errors } = await validateValue(rowFields, input, "csv");
+    if (readErrors.length > 0 || errors.length > 0) {
+      report.push({ row: line, status: "invalid", errors: [...readErrors, ...errors] });
+      continue;
+    }
+    const { result, cashout_amount: cashoutAmount, ...fields } = value;
+    try {
+      const bet = await prepareBet(runner, userId, { ...fields, result: "Open", account_id: accountId });
+      if (result === "Open") {
+        report.push({ row: line, status: "new", fields, settlement: null, bet });
+        continue;
+      }
+      if (!accountId) {
+        throw new BadRequestError(
+          `A ${result} bet is settled on import; give the sportsbook account (account_id) it pays out to`,
+          null,
+          "ACCOUNT_REQUIRED"
+        );
+      }
+      // throws ODDS_REQUIRED / CASHOUT_AMOUNT_REQUIRED like settling would
+      const outcome = computeOutcome({ ...bet, result, cashout_amount: cashoutAmount });
+      report.push({
+        row: line,
+        status: "new",
+        fields,
+        settlement: { result, cashoutAmount },
+        bet: { ...bet, ...outcome, result, cashout_amount: result === "Cashout" ? cashoutAmount : null },
+      });
+    } catch (err) {
+      if (!(err instanceof AppError)) throw err;
+      report.push({ row: line, status: "invalid", errors: [{ in: "csv", code: err.code, message: err.message }] });
+    }
+  }
+
+  if (!allowDuplicates) {
+    const candidates = report.filter((entry) => entry.status === "new");
+    const existing = await existingBets(runner, userId, [...new Set(candidates.map((entry) => entry.bet.date))]);
+    const seen = new Map();
+    for (const entry of candidates) {
+      const key = duplicateKey(entry.bet.date, entry.bet.matchup, entry.bet.amount);
+      if (existing.has(key) || seen.has(key)) {
+        entry.status = "duplicate";
+        entry.duplicate_of = existing.has(key) ? { bet_id: existing.get(key) } : { row: seen.get(key) };
+      } else {
+        seen.set(key, entry.row);
+      }
+    }
+  }
+  return report;
+}
+
+// { rows, <status>: count, ... } for the given statuses
+function summarize(report, statuses) {
+  const count = (status) => report.filter((entry) => entry.status === status).length;
+  return { rows: report.length, ...Object.fromEntries(statuses.map((status) => [status, count(status)])) };
+}
+
+// what the response shows per row
+function reportEntry({ row, status, bet, duplicate_of: duplicateOf, errors }) {
+  if (status === "invalid") return { row, status, errors };
+  if (status === "duplicate") return { row, status, duplicate_of: duplicateOf };
+  const { legs, ...preview } = bet;
+  return { row, status, bet: preview };
+}
+
+/**
+ * Imports csv for userId. A dry run only reports what would happen. Otherwise
+ * the bets are created, and those with a final result settled by actorId, in
+ * one transaction, or, if any row is invalid, none are and it's a 400
+ * IMPORT_INVALID with the row errors as details.
+ * Returns { format, dry_run, summary, rows }.
+ */
+async function importBets(
+  userId,
+  csv,
+  { format: formatName, columns, dateFormat, decimalSeparator, accountId, allowDuplicates, dryRun, actorId }
+) {
+  let sportsbook = null;
+  if (accountId) {
+    const accountRes = await db.query("SELECT name FROM accounts WHERE id=$1 AND user_id=$2", [accountId, userId]);
+    if (accountRes.rows.length === 0) {
+      throw new BadRequestError("No such sportsbook account for this user", { account_id: accountId }, "INVALID_ACCOUNT");
+    }
+    sportsbook = accountRes.rows[0].name;
+  }
+  const format = resolveFormat({ name: formatName, sportsbook, columns, dateFormat, decimalSeparator });
+  const rows = mapRows(parseCsv(csv), format);
+
+  if (dryRun) {
+    const report = await checkRows(db, userId, rows, { accountId, allowDuplicates });
+    const summary = summarize(report, ["new", "duplicate", "invalid"]);
+    return { format, dry_run: true, summary, rows: report.map(reportEntry) };
+  }
+
+  return db.withTransaction(async (client) => {
+    // one import per user at a time, so two uploads of the same file can't both get in
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('bet-import'), $1)", [userId]);
+    const report = await checkRows(client, userId, rows, { accountId, allowDuplicates });
+    const invalid = report.filter((entry) => entry.status === "invalid");
+    if (invalid.length > 0) {
+      throw new BadRequestError(
+        `${invalid.length} row(s) can't be imported, nothing was created`,
+        invalid.flatMap((entry) => entry.errors.map((error) => ({ row: entry.row, ...error }))),
+        "IMPORT_INVALID"
+      );
+    }
+    for (const entry of report) {
+      if (entry.status === "new") {
+        entry.bet = await createBet(client, userId, { ...entry.fields, result: "Open", account_id: accountId });
+        if (entry.settlement) {
+          ({ bet: entry.bet } = await settleLocked(client, entry.bet, entry.settlement, actorId));
+        }
+        entry.status = "created";
+      }
+    }
+    const summary = summarize(report, ["created", "duplicate"]);
+    return { format, dry_run: false, summary, rows: report.map(reportEntry) };
+  });
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  MAX_CSV_LENGTH,
+  IMPORT_BODY_LIMIT,
+  loadFormats,
+  parseCsv,
+  importBets,
+};
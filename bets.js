@@ -0,0 +1,637 @@
+const db = require("./db");
+const { v } = require("./validation");
+const { BadRequestError, ConflictError, NotFoundError } = require("./errors");
+const { BET_RESULTS, LEG_RESULTS, BET_TYPES, STAKE_TYPES } = require("./enums");
+const { applyToBalances } = require("./ledger");
+const { listing, filter, equals, dateRange } = require("./pagination");
+
+/**
+ * Bets: odds, payout and profit. Clients send the stake and the odds (American,
+ * decimal, or both if they agree); potential_payout and profit are always
+ * computed here from odds, stake type and result.
+ *
+ * Settling a bet (settleBet) fixes its result, locks it against edits and posts
+ * the profit to the ledger: a "Bet Win" or "Bet Loss" transaction on the bet's
+ * sportsbook account, whose balance moves with it (ledger.js). unsettleBet
+ * reverses that with "Bet Reversal" entries.
+ *
+ * A parlay has legs (bet_legs), each with its own event, selection and odds.
+ * Its odds are the product of the legs' odds, with pushed/voided legs counting
+ * as 1.00, and it settles by itself once every leg is graded (gradeLeg).
+ */
+
+// what every bets endpoint returns, from BETS_FROM, plus legs (see attachLegs)
+const BET_COLUMNS = `b.id, b.user_id, b.account_id, a.name AS sportsbook, b.date, b.matchup,
+  b.sport, b.bet_type, b.market, b.selection, b.stake_type, b.amount,
+  b.odds_american, b.odds_decimal, b.potential_payout, b.result, b.profit,
+  b.cashout_amount, b.settled_at, b.settled_by, b.created_at, b.updated_at`;
+const BETS_FROM = "bets b LEFT JOIN accounts a ON a.id = b.account_id";
+
+// filters of the bet lists (GET /api/bets, /api/admin/bets) and analytics, over BETS_FROM
+const betFilters = {
+  user_id: equals("b.user_id", v.id()),
+  result: equals("b.result", v.oneOf(BET_RESULTS)),
+  bet_type: equals("b.bet_type", v.oneOf(BET_TYPES)),
+  stake_type: equals("b.stake_type", v.oneOf(STAKE_TYPES)),
+  account_id: equals("b.account_id", v.id()),
+  sportsbook: filter(v.string({ min: 1, max: 100 }), (p) => `LOWER(a.name) = LOWER(${p})`),
+  sport: filter(v.string({ min: 1, max: 50 }), (p) => `LOWER(b.sport) = LOWER(${p})`),
+  ...dateRange("b.date"),
+};
+
+// sorts and filters of GET /api/bets and GET /api/admin/bets, see pagination.js
+const betList = listing({
+  sort: {
+    date: "b.date",
+    amount: "b.amount",
+    profit: "b.profit",
+    result: "b.result",
+    odds: "b.odds_decimal",
+    created_at: "b.created_at",
+    id: "b.id",
+  },
+  defaultSort: "-id",
+  tiebreaker: "b.id",
+  filters: betFilters,
+});
+
+// decimal odds closer than this count as the same price (American odds are rounded)
+const ODDS_TOLERANCE = 0.01;
+// the longest parlay price we store (bets.odds_decimal is DECIMAL(10,4))
+const MAX_PARLAY_ODDS = 100000;
+
+const betFields = {
+  date: v.date(),
+  matchup: v.string({ max: 255 }),
+  sport: v.string({ max: 50 }).nullable().describe("e.g. NBA, NFL, Soccer"),
+  amount: v.number({ min: 0 }),
+  result: v.oneOf(BET_RESULTS),
+  account_id: v.id().nullable(),
+  bet_type: v.oneOf(BET_TYPES),
+  market: v.string({ max: 100 }).nullable(),
+  selection: v.string({ max: 255 }).nullable(),
+  stake_type: v.oneOf(STAKE_TYPES),
+  odds_american: v
+    .integer({ min: -100000, max: 100000 })
+    .nullable()
+    .describe("e.g. -110 or +150")
+    .check(async (odds) => (odds !== null && Math.abs(odds) < 100 ? "must be +100 or more, or -100 or less" : null)),
+  odds_decimal: v.number({ min: 1.0001, max: 1001 }).nullable().describe("e.g. 1.91 or 2.5"),
+};
+
+const legFields = {
+  event: v.string({ min: 1, max: 255 }),
+  sport: v.string({ max: 50 }).nullable().optional(),
+  market: v.string({ max: 100 }).nullable().optional(),
+  selection: v.string({ min: 1, max: 255 }),
+  odds_american: betFields.odds_american.optional(),
+  odds_decimal: betFields.odds_decimal.optional(),
+};
+
+// create: everything optional except what has a default
+const createBetFields = {
+  ...betFields,
+  date: betFields.date.default(() => new Date().toISOString().slice(0, 10)),
+  matchup: betFields.matchup.default(""),
+  sport: betFields.sport.optional().describe("a parlay whose legs share a sport takes it by default"),
+  amount: betFields.amount.default(0),
+  result: v
+    .oneOf(["Open"])
+    .default("Open")
+    .describe("bets start open; a final result is posted with POST /api/bets/:id/settle"),
+  account_id: betFields.account_id.optional(),
+  bet_type: betFields.bet_type.optional().describe("defaults to parlay when legs are given, straight otherwise"),
+  market: betFields.market.optional(),
+  selection: betFields.selection.optional(),
+  stake_type: betFields.stake_type.default("cash"),
+  odds_american: betFields.odds_american.optional(),
+  odds_decimal: betFields.odds_decimal.optional(),
+  legs: v
+    .array(v.object(legFields), { min: 2, max: 25 })
+    .optional()
+    .describe("parlay legs; the bet's odds are computed from them"),
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function americanToDecimal(american) {
+  return american > 0 ? 1 + american / 100 : 1 + 100 / Math.abs(american);
+}
+
+function decimalToAmerican(decimal) {
+  return decimal >= 2 ? Math.round((decimal - 1) * 100) : Math.round(-100 / (decimal - 1));
+}
+
+/**
+ * { odds_american, odds_decimal } with both filled in from whichever was given
+ * (both null if neither). 400 ODDS_MISMATCH if both were given and disagree.
+ */
+function resolveOdds(oddsAmerican, oddsDecimal) {
+  const american = oddsAmerican === null || oddsAmerican === undefined ? null : Number(oddsAmerican);
+  const decimal = oddsDecimal === null || oddsDecimal === undefined ? null : Number(oddsDecimal);
+  if (american !== null && decimal !== null) {
+    if (Math.abs(americanToDecimal(american) - decimal) > ODDS_TOLERANCE) {
+      throw new BadRequestError(
+        "American and decimal odds don't match",
+        { odds_american: american, odds_decimal: decimal },
+        "ODDS_MISMATCH"
+      );
+    }
+    return { odds_american: american, odds_decimal: round(decimal, 4) };
+  }
+  if (american !== null) {
+    return { odds_american: american, odds_decimal: round(americanToDecimal(american), 4) };
+  }
+  if (decimal !== null) {
+    return { odds_american: decimalToAmerican(decimal), odds_decimal: round(decimal, 4) };
+  }
+  return { odds_american: null, odds_decimal: null };
+}
+
+// a parlay's odds: the product of its legs, pushed/voided legs count as 1.00
+// (no odds left once every leg has dropped out)
+function combinedOdds(legs) {
+  const decimal = legs.reduce(
+    (product, leg) => (leg.result === "Push" || leg.result === "Void" ? product : product * Number(leg.odds_decimal)),
+    1
+  );
+  if (decimal > MAX_PARLAY_ODDS) {
+    throw new BadRequestError("Parlay odds are too long", { odds_decimal: decimal, max: MAX_PARLAY_ODDS }, "ODDS_TOO_LONG");
+  }
+  return decimal > 1 ? resolveOdds(null, decimal) : { odds_american: null, odds_decimal: null };
+}
+
+// the parlay's result once every leg is graded
+function parlayResult(legs) {
+  if (legs.some((leg) => leg.result === "Lost")) return "Lost";
+  if (legs.every((leg) => leg.result === "Void")) return "Void";
+  if (legs.every((leg) => leg.result === "Push" || leg.result === "Void")) return "Push";
+  return "Won";
+}
+
+/**
+ * potential_payout: what comes back if the bet wins (a free bet's stake doesn't)
+ * profit: realized so far from result; 0 while Open or on a Push/Void, minus the
+ *   stake when Lost (nothing for a free bet), cashout_amount minus the stake on
+ *   a Cashout. A Won bet needs odds (400 ODDS_REQUIRED), a Cashout its amount.
+ */
+function computeOutcome({
+  amount,
+  odds_decimal: oddsDecimal,
+  stake_type: stakeType,
+  result,
+  cashout_amount: cashoutAmount,
+}) {
+  const stake = Number(amount);
+  const decimal = oddsDecimal === null ? null : Number(oddsDecimal);
+  const winnings = decimal === null ? null : stake * (decimal - 1);
+  const potentialPayout = winnings === null ? null : stakeType === "free_bet" ? winnings : stake + winnings;
+
+  let profit = 0;
+  if (result === "Won") {
+    if (winnings === null) {
+      throw new BadRequestError("Odds are needed to settle a bet as won", null, "ODDS_REQUIRED");
+    }
+    profit = winnings;
+  } else if (result === "Lost") {
+    profit = stakeType === "free_bet" ? 0 : -stake;
+  } else if (result === "Cashout") {
+    if (cashoutAmount === null || cashoutAmount === undefined) {
+      throw new BadRequestError("A cashout needs the cashed out amount", null, "CASHOUT_AMOUNT_REQUIRED");
+    }
+    profit = Number(cashoutAmount) - (stakeType === "free_bet" ? 0 : stake);
+  }
+  return {
+    potential_payout: potentialPayout === null ? null : round(potentialPayout, 2),
+    profit: round(profit, 2),
+  };
+}
+
+// the account must be one of the bet owner's sportsbook accounts
+async function checkAccount(runner, userId, accountId) {
+  if (accountId === null || accountId === undefined) return;
+  const accountRes = await runner.query("SELECT id FROM accounts WHERE id=$1 AND user_id=$2", [accountId, userId]);
+  if (accountRes.rows.length === 0) {
+    throw new BadRequestError("No such sportsbook account for this user", { account_id: accountId }, "INVALID_ACCOUNT");
+  }
+}
+
+/**
+ * Sets legs on each of bets (rows with BET_COLUMNS) with one query for all of
+ * them, in leg order; [] for bets that aren't parlays. Returns bets.
+ */
+async function attachLegs(runner, bets) {
+  if (bets.length === 0) {
+    return bets;
+  }
+  const legsRes = await runner.query(
+    `SELECT bet_id, id, leg_number, event, sport, market, selection,
+            odds_american, odds_decimal, result, graded_at
+     FROM bet_legs
+     WHERE bet_id = ANY($1::int[])
+     ORDER BY bet_id, leg_number`,
+    [bets.map((bet) => bet.id)]
+  );
+  const byBet = new Map(bets.map((bet) => [bet.id, []]));
+  for (const { bet_id: betId, ...leg } of legsRes.rows) {
+    byBet.get(betId).push(leg);
+  }
+  for (const bet of bets) {
+    bet.legs = byBet.get(bet.id);
+  }
+  return bets;
+}
+
+/**
+ * One bet with BET_COLUMNS and its legs, or null. forUpdate locks the bet row
+ * until the transaction ends (runner must be a withTransaction client).
+ */
+async function getBet(runner, betId, { forUpdate = false } = {}) {
+  const betRes = await runner.query(
+    `SELECT ${BET_COLUMNS} FROM ${BETS_FROM} WHERE b.id=$1 ${forUpdate ? "FOR UPDATE OF b" : ""}`,
+    [betId]
+  );
+  const [bet] = await attachLegs(runner, betRes.rows);
+  return bet || null;
+}
+
+// legs with both odds formats filled in; every leg needs its odds
+function resolveLegs(legs) {
+  return legs.map((leg, i) => {
+    if (leg.odds_american === undefined && leg.odds_decimal === undefined) {
+      throw new BadRequestError("Every leg needs its odds", { leg: i + 1 }, "LEG_ODDS_REQUIRED");
+    }
+    return { ...leg, ...resolveOdds(leg.odds_american, leg.odds_decimal), result: "Open" };
+  });
+}
+
+/**
+ * The bets row createBet would insert for userId from validated createBetFields
+ * values, with the odds, payout and profit computed and { legs }. Throws the same
+ * 400s as createBet, so it doubles as a preview (bet imports' dry run).
+ */
+async function prepareBet(runner, userId, fields) {
+  await checkAccount(runner, userId, fields.account_id);
+  const betType = fields.bet_type || (fields.legs ? "parlay" : "straight");
+  let legs = [];
+  let odds;
+  if (fields.legs) {
+    if (betType !== "parlay") {
+      throw new BadRequestError("Only parlays have legs", { bet_type: betType }, "LEGS_NOT_ALLOWED");
+    }
+    if (fields.odds_american !== undefined || fields.odds_decimal !== undefined) {
+      throw new BadRequestError("A parlay's odds come from its legs", null, "PRICED_BY_LEGS");
+    }
+    legs = resolveLegs(fields.legs);
+    odds = combinedOdds(legs);
+  } else {
+    odds = resolveOdds(fields.odds_american, fields.odds_decimal);
+  }
+  const matchup = fields.matchup || legs.map((leg) => leg.event).join(" / ");
+  const legSports = new Set(legs.map((leg) => leg.sport || null));
+  const sport = fields.sport !== undefined ? fields.sport : legSports.size === 1 ? [...legSports][0] : null;
+  const outcome = computeOutcome({ ...fields, ...odds });
+  return {
+    user_id: userId,
+    account_id: fields.account_id || null,
+    date: fields.date,
+    matchup,
+    sport,
+    bet_type: betType,
+    market: fields.market || null,
+    selection: fields.selection || null,
+    stake_type: fields.stake_type,
+    amount: fields.amount,
+    odds_american: odds.odds_american,
+    odds_decimal: odds.odds_decimal,
+    potential_payout: outcome.potential_payout,
+    result: fields.result,
+    profit: outcome.profit,
+    legs,
+  };
+}
+
+/**
+ * Inserts a bet for userId from validated createBetFields values, with its legs
+ * if it's a parlay. runner must be a withTransaction client when there are legs.
+ * Returns the bet with BET_COLUMNS.
+ */
+async function createBet(runner, userId, fields) {
+  const bet = await prepareBet(runner, userId, fields);
+  const insertRes = await runner.query(
+    `INSERT INTO bets
+       (user_id, account_id, date, matchup, sport, bet_type, market, selection, stake_type,
+        amount, odds_american, odds_decimal, potential_payout, result, profit)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING id`,
+    [
+      bet.user_id,
+      bet.account_id,
+      bet.date,
+      bet.matchup,
+      bet.sport,
+      bet.bet_type,
+      bet.market,
+      bet.selection,
+      bet.stake_type,
+      bet.amount,
+      bet.odds_american,
+      bet.odds_decimal,
+      bet.potential_payout,
+      bet.result,
+      bet.profit,
+    ]
+  );
+  const betId = insertRes.rows[0].id;
+  for (const [i, leg] of bet.legs.entries()) {
+    await runner.query(
+      `INSERT INTO bet_legs
+         (bet_id, leg_number, event, sport, market, selection, odds_american, odds_decimal)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [betId, i + 1, leg.event, leg.sport || null, leg.market || null, leg.selection, leg.odds_american, leg.odds_decimal]
+    );
+  }
+  return getBet(runner, betId);
+}
+
+// columns a client may change; odds, payout and profit are recomputed from them
+const EDITABLE_COLUMNS = [
+  "date",
+  "matchup",
+  "sport",
+  "amount",
+  "result",
+  "account_id",
+  "bet_type",
+  "market",
+  "selection",
+  "stake_type",
+];
+
+/**
+ * Applies changes (validated betFields, all optional) to an existing bet row.
+ * Changing one odds format replaces the other. Returns the updated bet,
+ * or null if nothing was given. Settled bets can't change (409 BET_SETTLED)
+ * and the result only changes by settling (400 SETTLE_TO_CHANGE_RESULT).
+ */
+async function updateBet(runner, bet, changes) {
+  const given = Object.keys(changes).filter((key) => changes[key] !== undefined);
+  if (given.length === 0) {
+    return null;
+  }
+  if (bet.settled_at) {
+    throw new ConflictError("Settled bets can't be edited", { settled_at: bet.settled_at }, "BET_SETTLED");
+  }
+  if (changes.result !== undefined && changes.result !== bet.result) {
+    throw new BadRequestError(
+      "Use POST /api/bets/:id/settle to set a bet's result",
+      null,
+      "SETTLE_TO_CHANGE_RESULT"
+    );
+  }
+  if (bet.legs.length > 0) {
+    const repriced = changes.odds_american !== undefined || changes.odds_decimal !== undefined;
+    if (repriced || (changes.bet_type !== undefined && changes.bet_type !== "parlay")) {
+      throw new BadRequestError("A parlay's odds come from its legs", null, "PRICED_BY_LEGS");
+    }
+  }
+  if (changes.account_id !== undefined) {
+    await checkAccount(runner, bet.user_id, changes.account_id);
+  }
+
+  const merged = { ...bet };
+  for (const key of EDITABLE_COLUMNS) {
+    if (changes[key] !== undefined) merged[key] = changes[key];
+  }
+  let odds;
+  if (changes.odds_american !== undefined || changes.odds_decimal !== undefined) {
+    odds = resolveOdds(changes.odds_american, changes.odds_decimal);
+  } else {
+    odds = resolveOdds(bet.odds_american, bet.odds_decimal);
+  }
+  const outcome = computeOutcome({ ...merged, ...odds });
+
+  // only what changed, plus the computed columns (rewriting a DATE read back as a JS Date could shift it)
+  const changed = EDITABLE_COLUMNS.filter((key) => changes[key] !== undefined);
+  const columns = { ...Object.fromEntries(changed.map((key) => [key, changes[key]])), ...odds, ...outcome };
+  const names = Object.keys(columns);
+  const setParts = names.map((name, i) => `${name}=$${i + 1}`);
+  await runner.query(
+    `UPDATE bets SET ${setParts.join(", ")}, updated_at=NOW() WHERE id=$${names.length + 1}`,
+    [...Object.values(columns), bet.id]
+  );
+  return getBet(runner, bet.id);
+}
+
+const LEDGER_COLUMNS =
+  "id, user_id, bet_id, reversal_of, from_account, to_account, amount, type, description, status, date, created_at";
+
+async function logActivity(client, userId, action, details) {
+  await client.query(
+    `INSERT INTO activity_log (user_id, action, details)
+     VALUES ($1, $2, $3)`,
+    [userId, action, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Settles a bet in one transaction: locks it, computes the profit for result
+ * (cashoutAmount for a Cashout), writes the ledger entry (none if the profit is 0)
+ * and moves the account balance. The bet needs a sportsbook account
+ * (400 ACCOUNT_REQUIRED) and mustn't be settled already (409 BET_ALREADY_SETTLED).
+ * A parlay settles by grading its legs (gradeLeg), not here (400 SETTLE_BY_LEGS).
+ * authorize(bet) runs on the locked bet and may throw.
+ * Returns { bet, transactions }.
+ */
+async function settleBet(betId, { result, cashoutAmount }, actorId, authorize = () => {}) {
+  return db.withTransaction(async (client) => {
+    const bet = await lockUnsettled(client, betId, authorize);
+    if (bet.legs.length > 0) {
+      throw new BadRequestError(
+        "A parlay settles once its legs are graded; grade each leg instead",
+        { legs: bet.legs.filter((leg) => leg.result === "Open").map((leg) => leg.id) },
+        "SETTLE_BY_LEGS"
+      );
+    }
+    return settleLocked(client, bet, { result, cashoutAmount }, actorId);
+  });
+}
+
+// the bet, locked for the rest of the transaction, if it's there, authorized and still open
+async function lockUnsettled(client, betId, authorize) {
+  const bet = await getBet(client, betId, { forUpdate: true });
+  if (!bet) {
+    throw new NotFoundError("Bet not found");
+  }
+  await authorize(bet);
+  if (bet.settled_at) {
+    throw new ConflictError("Bet is already settled", { settled_at: bet.settled_at }, "BET_ALREADY_SETTLED");
+  }
+  return bet;
+}
+
+// settleBet on an open bet that client's transaction already holds, locked or
+// just created (bet imports); same 400s and { bet, transactions }
+async function settleLocked(client, bet, { result, cashoutAmount }, actorId) {
+  if (!bet.account_id) {
+    throw new BadRequestError("Link the bet to a sportsbook account before settling it", null, "ACCOUNT_REQUIRED");
+  }
+
+  const outcome = computeOutcome({ ...bet, result, cashout_amount: cashoutAmount });
+  await client.query(
+    `UPDATE bets
+     SET result=$1, profit=$2, potential_payout=$3, cashout_amount=$4,
+         settled_at=NOW(), settled_by=$5, updated_at=NOW()
+     WHERE id=$6`,
+    [result, outcome.profit, outcome.potential_payout, result === "Cashout" ? cashoutAmount : null, actorId, bet.id]
+  );
+
+  const transactions = [];
+  if (outcome.profit !== 0) {
+    const won = outcome.profit > 0;
+    const entryRes = await client.query(
+      `INSERT INTO transactions
+         (user_id, bet_id, from_account, to_account, amount, type, description, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'Completed')
+       RETURNING ${LEDGER_COLUMNS}`,
+      [
+        bet.user_id,
+        bet.id,
+        won ? null : bet.account_id,
+        won ? bet.account_id : null,
+        Math.abs(outcome.profit),
+        won ? "Bet Win" : "Bet Loss",
+        `Bet #${bet.id} ${result}${bet.matchup ? `: ${bet.matchup}` : ""}`,
+      ]
+    );
+    await applyToBalances(client, entryRes.rows[0]);
+    transactions.push(entryRes.rows[0]);
+  }
+  await logActivity(client, actorId, "BET_SETTLED", { betId: bet.id, result, profit: outcome.profit });
+  return { bet: await getBet(client, bet.id), transactions };
+}
+
+/**
+ * Grades one leg of an open parlay (a graded leg can be regraded until the bet
+ * settles). A pushed or voided leg reprices the bet; once no leg is Open the
+ * bet settles with parlayResult, in the same transaction, so grading the last
+ * leg of a bet without a sportsbook account fails with 400 ACCOUNT_REQUIRED.
+ * Returns { bet, transactions, settled }.
+ */
+async function gradeLeg(betId, legId, result, actorId, authorize = () => {}) {
+  return db.withTransaction(async (client) => {
+    const bet = await lockUnsettled(client, betId, authorize);
+    const legRes = await client.query(
+      "UPDATE bet_legs SET result=$1, graded_at=NOW(), updated_at=NOW() WHERE id=$2 AND bet_id=$3 RETURNING id",
+      [result, legId, bet.id]
+    );
+    if (legRes.rows.length === 0) {
+      throw new NotFoundError("Leg not found");
+    }
+
+    const legsRes = await client.query("SELECT result, odds_decimal FROM bet_legs WHERE bet_id=$1", [bet.id]);
+    const legs = legsRes.rows;
+    const odds = combinedOdds(legs);
+    const { potential_payout: potentialPayout } = computeOutcome({ ...bet, ...odds, result: "Open" });
+    await client.query(
+      "UPDATE bets SET odds_american=$1, odds_decimal=$2, potential_payout=$3, updated_at=NOW() WHERE id=$4",
+      [odds.odds_american, odds.odds_decimal, potentialPayout, bet.id]
+    );
+    await logActivity(client, actorId, "BET_LEG_GRADED", { betId: bet.id, legId, result });
+
+    if (legs.some((leg) => leg.result === "Open")) {
+      return { bet: await getBet(client, bet.id), transactions: [], settled: false };
+    }
+    const repriced = await getBet(client, bet.id);
+    const settlement = await settleLocked(client, repriced, { result: parlayResult(legs) }, actorId);
+    return { ...settlement, settled: true };
+  });
+}
+
+/**
+ * Undoes a settlement in one transaction: every ledger entry of the bet that
+ * isn't reversed yet gets a "Bet Reversal" entry with the same amount and the
+ * accounts swapped (balances move back), and the bet
+ * is Open and editable again. 409 BET_NOT_SETTLED if there's nothing to undo.
+ * Returns { bet, transactions } with the reversing entries.
+ */
+async function unsettleBet(betId, actorId, reason) {
+  return db.withTransaction(async (client) => {
+    const bet = await getBet(client, betId, { forUpdate: true });
+    if (!bet) {
+      throw new NotFoundError("Bet not found");
+    }
+    if (!bet.settled_at) {
+      throw new ConflictError("Bet is not settled", null, "BET_NOT_SETTLED");
+    }
+
+    const entriesRes = await client.query(
+      `SELECT ${LEDGER_COLUMNS}
+       FROM transactions t
+       WHERE bet_id=$1 AND reversal_of IS NULL
+         AND NOT EXISTS (SELECT 1 FROM transactions r WHERE r.reversal_of = t.id)
+       ORDER BY id
+       FOR UPDATE`,
+      [bet.id]
+    );
+    const transactions = [];
+    for (const entry of entriesRes.rows) {
+      const reversalRes = await client.query(
+        `INSERT INTO transactions
+           (user_id, bet_id, reversal_of, from_account, to_account, amount, type, description, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'Completed')
+         RETURNING ${LEDGER_COLUMNS}`,
+        [
+          entry.user_id,
+          bet.id,
+          entry.id,
+          entry.to_account,
+          entry.from_account,
+          entry.amount,
+          "Bet Reversal",
+          `Reversal of ${entry.type} #${entry.id} (bet #${bet.id} unsettled)`,
+        ]
+      );
+      // the reversal has from/to swapped, so applying it moves the balances back
+      await applyToBalances(client, reversalRes.rows[0]);
+      transactions.push(reversalRes.rows[0]);
+    }
+
+    const outcome = computeOutcome({ ...bet, result: "Open" });
+    await client.query(
+      `UPDATE bets
+       SET result='Open', profit=$1, cashout_amount=NULL, settled_at=NULL, settled_by=NULL, updated_at=NOW()
+       WHERE id=$2`,
+      [outcome.profit, bet.id]
+    );
+    await logActivity(client, actorId, "BET_UNSETTLED", {
+      betId: bet.id,
+      previousResult: bet.result,
+      reversed: entriesRes.rows.map((entry) => entry.id),
+      reason: reason || null,
+    });
+    return { bet: await getBet(client, bet.id), transactions };
+  });
+}
+
+module.exports = {
+  BET_COLUMNS,
+  BETS_FROM,
+  betFilters,
+  betList,
+  attachLegs,
+  betFields,
+  createBetFields,
+  americanToDecimal,
+  decimalToAmerican,
+  resolveOdds,
+  computeOutcome,
+  getBet,
+  prepareBet,
+  createBet,
+  updateBet,
+  settleBet,
+  settleLocked,
+  unsettleBet,
+  gradeLeg,
+};
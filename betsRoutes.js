@@ -1,174 +1,343 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
-const { requireAuth } = require("./authMiddleware");
-// if you want a requireAdmin, we can incorporate that in the logic below
+const db = require("./db");
+const { requireAuth, requirePermission, can, financialMutation } = require("./authMiddleware");
+const { v, validate } = require("./validation");
+const { ForbiddenError, NotFoundError } = require("./errors");
+const { SETTLED_RESULTS, LEG_RESULTS } = require("./enums");
+const { fetchPage } = require("./pagination");
+const { rateLimit } = require("./rateLimit");
+const { GROUPS, betAnalytics } = require("./betAnalytics");
+const {
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  MAX_CSV_LENGTH,
+  importBets,
+} = require("./betImport");
+const {
+  BET_COLUMNS,
+  BETS_FROM,
+  betFilters,
+  betList,
+  attachLegs,
+  betFields,
+  createBetFields,
+  getBet,
+  createBet,
+  updateBet,
+  settleBet,
+  unsettleBet,
+  gradeLeg,
+} = require("./bets");
 
 const router = express.Router();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // if needed:
-  // ssl: { rejectUnauthorized: false },
-});
+const analyticsSchema = {
+  query: {
+    group_by: v.oneOf(Object.keys(GROUPS)).optional(),
+    ...Object.fromEntries(Object.entries(betFilters).map(([name, f]) => [name, f.schema.optional()])),
+  },
+};
+
+const createBetSchema = {
+  body: {
+    ...createBetFields,
+    user_id: v.id().optional(),
+  },
+};
+
+const importBetsSchema = {
+  body: {
+    csv: v.string({ min: 1, max: MAX_CSV_LENGTH, trim: false }).describe("the CSV export, header row first"),
+    format: v
+      .oneOf(Object.keys(IMPORT_FORMATS))
+      .optional()
+      .describe("column mapping; defaults to the account's sportsbook if there's one for it, else generic"),
+    columns: v
+      .object(Object.fromEntries(IMPORT_FIELDS.map((field) => [field, v.string({ min: 1, max: 100 }).optional()])))
+      .optional()
+      .describe("CSV header per bet field, on top of the format's"),
+    date_format: v.oneOf(DATE_FORMATS).optional(),
+    decimal_separator: v
+      .oneOf(DECIMAL_SEPARATORS)
+      .optional()
+      .describe('"," for exports written like 1.234,50; numbers that don\'t fit it are rejected'),
+    account_id: v.id().optional().describe("sportsbook account for every imported bet"),
+    allow_duplicates: v.boolean().default(false).describe("import rows matching an existing bet's date, matchup and amount"),
+    dry_run: v.boolean().default(false),
+    user_id: v.id().optional(),
+  },
+};
+
+const updateBetSchema = {
+  params: { id: v.id() },
+  body: Object.fromEntries(Object.entries(betFields).map(([key, s]) => [key, s.optional()])),
+};
+
+const settleBetSchema = {
+  params: { id: v.id() },
+  body: {
+    result: v.oneOf(SETTLED_RESULTS),
+    cashout_amount: v.number({ min: 0 }).optional().describe("what the sportsbook paid out, for a Cashout"),
+  },
+};
+
+const gradeLegSchema = {
+  params: { id: v.id(), legId: v.id() },
+  body: { result: v.oneOf(LEG_RESULTS.filter((result) => result !== "Open")) },
+};
+
+const unsettleBetSchema = {
+  params: { id: v.id() },
+  body: { reason: v.string({ max: 500 }).optional() },
+};
+
+// owner, or bets:write:any for anyone's bet
+async function checkCanWrite(req, bet) {
+  if (bet.user_id !== req.user.userId && !(await can(req, "bets:write:any"))) {
+    throw new ForbiddenError("Not your bet");
+  }
+}
 
 /**
  * GET /api/bets
- * - if user.role in ["admin","superadmin"], return all bets
+ * - if user has bets:read:any, return all bets (or ?user_id=xx)
  * - else return only bets for req.user.userId
+ * paginated, filters: user_id, result, bet_type, stake_type, account_id,
+ * sportsbook (account name), sport, from/to (bet date); see pagination.js
  */
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, validate({ query: betList.query }), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
-    let query = `
-      SELECT id, user_id, date, matchup, amount, result, profit, created_at, updated_at
-      FROM bets
-      ORDER BY id DESC
-    `;
-    let params = [];
-
-    if (role !== "admin" && role !== "superadmin") {
+    if (!(await can(req, "bets:read:any"))) {
       // normal user => filter by user_id
-      query = `
-        SELECT id, user_id, date, matchup, amount, result, profit, created_at, updated_at
-        FROM bets
-        WHERE user_id=$1
-        ORDER BY id DESC
-      `;
-      params = [userId];
+      req.query.user_id = req.user.userId;
     }
-    const result = await pool.query(query, params);
-    return res.json(result.rows);
+    const bets = await fetchPage(req, res, betList, { select: BET_COLUMNS, from: BETS_FROM });
+    return res.json(await attachLegs(db, bets));
   } catch (err) {
-    console.error("// get bets error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bets/analytics?group_by=user|sportsbook|bet_type|sport|week|month
+ * staked, net profit, ROI, win rate, average odds and streaks over settled bets
+ * (betAnalytics.js); same filters as GET /api/bets.
+ * - with bets:read:any, the whole team (or ?user_id=xx)
+ * - else only req.user.userId's bets
+ */
+router.get("/analytics", requireAuth, validate(analyticsSchema), async (req, res, next) => {
+  try {
+    if (!(await can(req, "bets:read:any"))) {
+      req.query.user_id = req.user.userId;
+    }
+    const analytics = await betAnalytics(betFilters, req.query, req.query.group_by);
+    return res.json(analytics);
+  } catch (err) {
+    next(err);
   }
 });
 
 /**
  * POST /api/bets
  * - if normal user, forced to create bet for themselves
- * - if admin/superadmin, can pass user_id
- * expects { date, matchup, amount, result, profit, user_id? }
+ * - with bets:write:any, can pass user_id
+ * expects { date, matchup, amount, odds_american or odds_decimal,
+ *   account_id, bet_type, market, selection, stake_type, user_id? }
+ * potential_payout and profit are computed (bets.js), never taken from the body;
+ * the bet is Open until settled with POST /:id/settle
+ * with legs: [{ event, selection, odds_american|odds_decimal, sport?, market? }, ...]
+ * it's a parlay priced from its legs
  */
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, financialMutation, rateLimit("bets"), validate(createBetSchema), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
-    let { date, matchup, amount, result, profit, user_id } = req.body;
-
-    // parse or default
-    date = date || new Date().toISOString().slice(0,10);
-    matchup = matchup || "";
-    amount = parseFloat(amount) || 0;
-    result = result || "Open";
-    profit = parseFloat(profit) || 0;
+    const { userId } = req.user;
+    // defaults (today, "Open", "cash"...) are filled in by createBetSchema
+    const { user_id, ...fields } = req.body;
 
     // if normal user, user_id is themselves
     let assignedUserId = userId;
     // if admin, can override
-    if ((role === "admin" || role === "superadmin") && user_id) {
+    if (user_id && (await can(req, "bets:write:any"))) {
       assignedUserId = user_id;
     }
 
-    const insertRes = await pool.query(
-      `INSERT INTO bets (user_id, date, matchup, amount, result, profit)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, user_id, date, matchup, amount, result, profit, created_at, updated_at`,
-      [
-        assignedUserId,
-        date,
-        matchup,
-        amount,
-        result,
-        profit
-      ]
-    );
+    const bet = await db.withTransaction((client) => createBet(client, assignedUserId, fields));
     return res.json({
       message: "Bet created",
-      bet: insertRes.rows[0]
+      bet
     });
   } catch (err) {
-    console.error("// create bet error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// POST /import also takes the file itself as a text/csv body, with the other
+// options in the query string (?account_id=3&dry_run=true&columns[date]=When)
+function csvUpload(req, res, next) {
+  if (req.is("text/csv")) {
+    req.body = { ...req.query, csv: typeof req.body === "string" ? req.body : "" };
+  }
+  next();
+}
+csvUpload.requestContent = { "text/csv": { schema: { type: "string" } } };
+
 /**
- * PATCH /api/bets/:id
- * - if normal user, can only patch their own bets
- * - if admin, can patch any user’s bet
- * expects any of { date, matchup, amount, result, profit }
+ * POST /api/bets/import
+ * Body: { csv, format?, columns?, date_format?, decimal_separator?, account_id?, allow_duplicates?,
+ *   dry_run?, user_id? }, or the CSV as text/csv with the rest in the query string
+ * - dry_run: report per row what would be created, skipped as duplicate or rejected
+ * - else all rows are created in one transaction, or none if any is invalid
+ *   (400 IMPORT_INVALID, details per row); see betImport.js
+ * - rows with a final result are settled too, which needs account_id
+ * - with bets:write:any, user_id imports for someone else; without it, a user_id
+ *   other than the caller's is 403
  */
-router.patch("/:id", requireAuth, async (req, res) => {
+router.post("/import", requireAuth, financialMutation, rateLimit("bets"), csvUpload, validate(importBetsSchema), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
-    const betId = req.params.id;
-    let { date, matchup, amount, result, profit } = req.body;
-
-    // fetch existing bet
-    const betRes = await pool.query(
-      `SELECT id, user_id, date, matchup, amount, result, profit
-       FROM bets
-       WHERE id=$1`,
-      [betId]
-    );
-    if (betRes.rows.length === 0) {
-      return res.status(404).json({ error: "Bet not found" });
-    }
-    const bet = betRes.rows[0];
+    const { user_id, csv, format, columns, date_format, decimal_separator, account_id, allow_duplicates, dry_run } =
+      req.body;
 
-    // if normal user, must be their bet
-    if (role !== "admin" && role !== "superadmin") {
-      if (bet.user_id !== userId) {
-        return res.status(403).json({ error: "Not your bet" });
+    let assignedUserId = req.user.userId;
+    if (user_id && user_id !== req.user.userId) {
+      if (!(await can(req, "bets:write:any"))) {
+        throw new ForbiddenError("Importing bets for another user needs bets:write:any");
+      }
+      const userRes = await db.query("SELECT id FROM users WHERE id=$1", [user_id]);
+      if (userRes.rows.length === 0) {
+        throw new NotFoundError("User not found");
       }
+      assignedUserId = user_id;
     }
 
-    const fields = [];
-    const values = [];
-    let updateQuery = "UPDATE bets SET updated_at=NOW()";
-
-    if (date !== undefined) {
-      fields.push("date");
-      values.push(date);
-    }
-    if (matchup !== undefined) {
-      fields.push("matchup");
-      values.push(matchup);
-    }
-    if (amount !== undefined) {
-      fields.push("amount");
-      values.push(parseFloat(amount) || 0);
-    }
-    if (result !== undefined) {
-      fields.push("result");
-      values.push(result);
-    }
-    if (profit !== undefined) {
-      fields.push("profit");
-      values.push(parseFloat(profit) || 0);
-    }
+    const imported = await importBets(assignedUserId, csv, {
+      format,
+      columns,
+      dateFormat: date_format,
+      decimalSeparator: decimal_separator,
+      accountId: account_id,
+      allowDuplicates: allow_duplicates,
+      dryRun: dry_run,
+      actorId: req.user.userId,
+    });
+    return res.json({
+      message: dry_run ? "Import preview, nothing was created" : "Bets imported",
+      ...imported
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (fields.length === 0) {
+/**
+ * PATCH /api/bets/:id
+ * - if normal user, can only patch their own bets
+ * - with bets:write:any, can patch any user’s bet
+ * expects any of the POST fields (except user_id); payout and profit are recomputed
+ */
+router.patch("/:id", requireAuth, financialMutation, rateLimit("bets"), validate(updateBetSchema), async (req, res, next) => {
+  try {
+    // locked so a settlement can't land between the check and the update
+    const updated = await db.withTransaction(async (client) => {
+      const bet = await getBet(client, req.params.id, { forUpdate: true });
+      if (!bet) {
+        throw new NotFoundError("Bet not found");
+      }
+      // if normal user, must be their bet
+      await checkCanWrite(req, bet);
+      return updateBet(client, bet, req.body);
+    });
+    if (!updated) {
       return res.json({ message: "No changes" });
     }
+    return res.json({
+      message: "Bet updated",
+      bet: updated
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const setParts = fields.map((f, i) => `, ${f}=$${i+1}`);
-    updateQuery += setParts.join("");
-    updateQuery += ` WHERE id=$${fields.length+1}`;
-    updateQuery += ` RETURNING id, user_id, date, matchup, amount, result, profit, created_at, updated_at`;
+/**
+ * POST /api/bets/:id/settle
+ * Body: { result: Won|Lost|Push|Void|Cashout, cashout_amount? }
+ * owner or bets:write:any. Locks the bet and posts the profit to its sportsbook
+ * account's ledger in one transaction (bets.js settleBet). Parlays settle by
+ * grading their legs (POST /:id/legs/:legId/grade), here they're 400 SETTLE_BY_LEGS.
+ */
+router.post("/:id/settle", requireAuth, financialMutation, rateLimit("bets"), validate(settleBetSchema), async (req, res, next) => {
+  try {
+    const { result, cashout_amount } = req.body;
+    const settled = await settleBet(
+      req.params.id,
+      { result, cashoutAmount: cashout_amount },
+      req.user.userId,
+      (bet) => checkCanWrite(req, bet)
+    );
+    return res.json({
+      message: "Bet settled",
+      ...settled
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    values.push(betId);
+/**
+ * POST /api/bets/:id/legs/:legId/grade
+ * Body: { result: Won|Lost|Push|Void }
+ * owner or bets:write:any. Reprices the parlay; grading the last open leg
+ * settles it (bets.js gradeLeg), "settled" says whether that happened.
+ */
+router.post("/:id/legs/:legId/grade", requireAuth, financialMutation, rateLimit("bets"), validate(gradeLegSchema), async (req, res, next) => {
+  try {
+    const graded = await gradeLeg(
+      req.params.id,
+      req.params.legId,
+      req.body.result,
+      req.user.userId,
+      (bet) => checkCanWrite(req, bet)
+    );
+    return res.json({
+      message: graded.settled ? "Leg graded, bet settled" : "Leg graded",
+      ...graded
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const updateRes = await pool.query(updateQuery, values);
+/**
+ * POST /api/bets/:id/unsettle
+ * Body: { reason? }
+ * needs bets:unsettle. Reverses the bet's ledger entries and reopens it.
+ * A parlay's legs keep their grades; regrading one settles it again.
+ */
+router.post("/:id/unsettle", requireAuth, requirePermission("bets:unsettle"), financialMutation, validate(unsettleBetSchema), async (req, res, next) => {
+  try {
+    const unsettled = await unsettleBet(req.params.id, req.user.userId, req.body.reason);
     return res.json({
-      message: "Bet updated",
-      bet: updateRes.rows[0]
+      message: "Bet unsettled",
+      ...unsettled
     });
   } catch (err) {
-    console.error("// update bet error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /": "List bets (everyone's with bets:read:any, otherwise your own)",
+  "GET /analytics": "Betting performance: staked, profit, ROI, win rate, odds and streaks, optionally grouped",
+  "POST /": "Create a bet",
+  "POST /import": "Import bets from a sportsbook CSV export, with a dry-run preview",
+  "PATCH /:id": "Update a bet (not once it's settled)",
+  "POST /:id/settle": "Settle a bet and post its profit to the sportsbook account",
+  "POST /:id/legs/:legId/grade": "Grade a parlay leg; the bet settles once every leg is graded",
+  "POST /:id/unsettle": "Reverse a settlement and its ledger entries",
+};
+
 module.exports = router;
@@ -1,50 +1,68 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
-const { requireAuth } = require("./authMiddleware");
+const db = require("./db");
+const { requireAuth, can } = require("./authMiddleware");
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
+const { ForbiddenError, NotFoundError } = require("./errors");
+const { listing, equals, dateRange, fetchPage } = require("./pagination");
 
 const router = express.Router();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // ssl if needed:
-  // ssl: { rejectUnauthorized: false },
+const eventFields = {
+  date: v.date(),
+  title: v.string({ max: 255 }),
+  is_blocked: v.boolean(),
+};
+
+const eventList = listing({
+  sort: { date: "date", title: "title", created_at: "created_at", id: "id" },
+  defaultSort: "-date",
+  tiebreaker: "id",
+  filters: {
+    user_id: equals("user_id", v.id()),
+    is_blocked: equals("is_blocked", v.boolean()),
+    ...dateRange("date"),
+  },
 });
 
+const createEventSchema = {
+  body: {
+    date: eventFields.date.default(() => new Date().toISOString().slice(0, 10)),
+    title: eventFields.title.default(""),
+    is_blocked: eventFields.is_blocked.default(false),
+    user_id: v.id().optional(),
+  },
+};
+
+const updateEventSchema = {
+  params: { id: v.id() },
+  body: {
+    date: eventFields.date.optional(),
+    title: eventFields.title.optional(),
+    is_blocked: eventFields.is_blocked.optional(),
+  },
+};
+
 /**
  * GET /api/calendar
  * - normal user => their events
- * - admin => all events or optionally ?user_id=xx
+ * - calendar:read:any => all events or optionally ?user_id=xx
+ * paginated, filters: user_id, is_blocked, from/to (event date); see pagination.js
  */
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, validate({ query: eventList.query }), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
-    let baseQuery = `
-      SELECT id, user_id, date, title, is_blocked, created_at, updated_at
-      FROM calendar_events
-    `;
-    let params = [];
-    let whereClause = "";
-
-    if (role === "admin" || role === "superadmin") {
-      // optionally check query param user_id
-      const queryUserId = req.query.user_id;
-      if (queryUserId) {
-        whereClause = "WHERE user_id=$1";
-        params = [queryUserId];
-      }
-    } else {
+    if (!(await can(req, "calendar:read:any"))) {
       // normal user => only their events
-      whereClause = "WHERE user_id=$1";
-      params = [userId];
+      req.query.user_id = req.user.userId;
     }
-
-    const query = `${baseQuery} ${whereClause} ORDER BY date DESC`;
-    const result = await pool.query(query, params);
-    return res.json(result.rows);
+    const events = await fetchPage(req, res, eventList, {
+      select: "id, user_id, date, title, is_blocked, created_at, updated_at",
+      from: "calendar_events",
+    });
+    return res.json(events);
   } catch (err) {
-    console.error("// get calendar error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -52,25 +70,21 @@ router.get("/", requireAuth, async (req, res) => {
  * POST /api/calendar
  * expects { date, title, is_blocked, user_id? }
  * - normal user => forced to create for themselves
- * - admin => can pass user_id to create for that user
+ * - calendar:write:any => can pass user_id to create for that user
  */
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, rateLimit("calendar"), validate(createEventSchema), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
-    let { date, title, is_blocked, user_id } = req.body;
-
-    // parse
-    date = date || new Date().toISOString().slice(0,10);
-    title = title || "";
-    is_blocked = (is_blocked === true || is_blocked === "true");
+    const { userId } = req.user;
+    // defaults are filled in by createEventSchema
+    const { date, title, is_blocked, user_id } = req.body;
     // normal user => must create for themselves
     let assignedUserId = userId;
-    // admin => can assign to another user
-    if ((role === "admin" || role === "superadmin") && user_id) {
+    // calendar:write:any => can assign to another user
+    if (user_id && (await can(req, "calendar:write:any"))) {
       assignedUserId = user_id;
     }
 
-    const insertRes = await pool.query(
+    const insertRes = await db.query(
       `INSERT INTO calendar_events (user_id, date, title, is_blocked)
        VALUES ($1, $2, $3, $4)
        RETURNING id, user_id, date, title, is_blocked, created_at, updated_at`,
@@ -81,8 +95,7 @@ router.post("/", requireAuth, async (req, res) => {
       event: insertRes.rows[0]
     });
   } catch (err) {
-    console.error("// create calendar event error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -90,30 +103,30 @@ router.post("/", requireAuth, async (req, res) => {
  * PATCH /api/calendar/:id
  * optional endpoint if you want to update an event
  * - normal user => can only update their own event
- * - admin => can update any event
+ * - calendar:write:any => can update any event
  */
-router.patch("/:id", requireAuth, async (req, res) => {
+router.patch("/:id", requireAuth, rateLimit("calendar"), validate(updateEventSchema), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const eventId = req.params.id;
-    let { date, title, is_blocked } = req.body;
+    const { date, title, is_blocked } = req.body;
 
     // fetch event
-    const eventRes = await pool.query(
+    const eventRes = await db.query(
       `SELECT id, user_id, date, title, is_blocked
        FROM calendar_events
        WHERE id=$1`,
       [eventId]
     );
     if (eventRes.rows.length === 0) {
-      return res.status(404).json({ error: "Event not found" });
+      throw new NotFoundError("Event not found");
     }
     const event = eventRes.rows[0];
 
     // if normal user => must be their event
-    if (role !== "admin" && role !== "superadmin") {
+    if (!(await can(req, "calendar:write:any"))) {
       if (event.user_id !== userId) {
-        return res.status(403).json({ error: "Not your event" });
+        throw new ForbiddenError("Not your event");
       }
     }
 
@@ -131,7 +144,7 @@ router.patch("/:id", requireAuth, async (req, res) => {
     }
     if (is_blocked !== undefined) {
       fields.push("is_blocked");
-      values.push(is_blocked === true || is_blocked === "true");
+      values.push(is_blocked);
     }
 
     if (fields.length === 0) {
@@ -145,15 +158,21 @@ router.patch("/:id", requireAuth, async (req, res) => {
     updateQuery += ` RETURNING id, user_id, date, title, is_blocked, created_at, updated_at`;
     values.push(eventId);
 
-    const updateRes = await pool.query(updateQuery, values);
+    const updateRes = await db.query(updateQuery, values);
     return res.json({
       message: "Event updated",
       event: updateRes.rows[0]
     });
   } catch (err) {
-    console.error("// update calendar event error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /": "List calendar events (everyone's with calendar:read:any, otherwise your own)",
+  "POST /": "Create a calendar event",
+  "PATCH /:id": "Update a calendar event",
+};
+
 module.exports = router;
@@ -0,0 +1,97 @@
+require("dotenv").config();
+const { Pool } = require("pg");
+const { logger } = require("./logger");
+
+// queries slower than this are logged (0 disables)
+const SLOW_QUERY_MS = process.env.DB_SLOW_QUERY_MS !== undefined
+  ? parseInt(process.env.DB_SLOW_QUERY_MS, 10)
+  : 500;
+
+/**
+ * DATABASE_SSL=true turns on TLS (needed on Render and most hosted Postgres).
+ * DATABASE_SSL_REJECT_UNAUTHORIZED=false accepts self-signed certificates.
+ */
+function sslConfig() {
+  const ssl = process.env.DATABASE_SSL;
+  if (!ssl || ssl === "false" || ssl === "disable") {
+    return false;
+  }
+  return {
+    rejectUnauthorized: process.env.DATABASE_SSL_REJECT_UNAUTHORIZED !== "false",
+  };
+}
+
+// the one pool for the whole process
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: sslConfig(),
+  max: parseInt(process.env.DB_POOL_MAX, 10) || 10,
+  idleTimeoutMillis: parseInt(process.env.DB_IDLE_TIMEOUT_MS, 10) || 30000,
+  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT_MS, 10) || 5000,
+});
+
+// an idle client losing its connection must not crash the process
+pool.on("error", (err) => {
+  logger.error("idle db client error", { err });
+});
+
+// first line-ish of the SQL, for logs (params are never logged, they can hold secrets)
+function describeQuery(text) {
+  return String(text).replace(/\s+/g, " ").trim().slice(0, 200);
+}
+
+async function timedQuery(runner, text, params) {
+  const start = Date.now();
+  const result = await runner.query(text, params);
+  const duration = Date.now() - start;
+  if (SLOW_QUERY_MS > 0 && duration >= SLOW_QUERY_MS) {
+    logger.warn("slow query", { durationMs: duration, rows: result.rowCount, sql: describeQuery(text) });
+  }
+  return result;
+}
+
+// same as pool.query, with slow-query logging
+function query(text, params) {
+  return timedQuery(pool, text, params);
+}
+
+/**
+ * Runs fn(client) inside BEGIN/COMMIT on one connection. Any error thrown
+ * by fn rolls everything back and is re-thrown. Returns fn's result.
+ *   const thread = await withTransaction(async (client) => { ... });
+ */
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  const tx = {
+    query: (text, params) => timedQuery(client, text, params),
+  };
+  // set when the connection can't be trusted anymore, so the pool destroys it
+  let brokenErr;
+  // a connection dropped mid-transaction errors on the client, not the pool
+  const onClientError = (err) => {
+    logger.error("database connection error", { err });
+    brokenErr = err;
+  };
+  client.on("error", onClientError);
+  try {
+    await client.query("BEGIN");
+    const result = await fn(tx);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch((rollbackErr) => {
+      logger.error("rollback error", { err: rollbackErr });
+      brokenErr = rollbackErr;
+    });
+    throw err;
+  } finally {
+    client.removeListener("error", onClientError);
+    client.release(brokenErr);
+  }
+}
+
+module.exports = {
+  pool,
+  query,
+  withTransaction,
+};
@@ -0,0 +1,66 @@
+/**
+ * Allowed values for the enum-like text columns. Request validation and the
+ * API docs both read from here, so a new value only has to be added once.
+ */
+
+// bets.result; everything but Open is a final result, set by settling the bet
+const BET_RESULTS = ["Open", "Won", "Lost", "Push", "Void", "Cashout"];
+const SETTLED_RESULTS = BET_RESULTS.filter((result) => result !== "Open");
+
+// bet_legs.result; a pushed or voided leg drops out of the parlay's odds
+const LEG_RESULTS = ["Open", "Won", "Lost", "Push", "Void"];
+
+// bets.bet_type / bets.stake_type
+const BET_TYPES = ["straight", "parlay", "teaser", "prop"];
+// a free bet's stake isn't returned when it wins; bonus money pays out like cash
+const STAKE_TYPES = ["cash", "free_bet", "bonus"];
+
+// tasks.status
+const TASK_STATUSES = ["todo", "in_progress", "done"];
+
+// transactions.type / transactions.status
+// "Bet Win" / "Bet Loss" are written by bet settlement (bets.js) and nothing else,
+// "Bet Reversal" by unsettling, which undoes one of them (reversal_of)
+const SETTLEMENT_TRANSACTION_TYPES = ["Bet Win", "Bet Loss", "Bet Reversal"];
+const MANUAL_TRANSACTION_TYPES = ["Deposit", "Withdrawal", "Transfer", "Bonus"];
+const TRANSACTION_TYPES = [...MANUAL_TRANSACTION_TYPES, ...SETTLEMENT_TRANSACTION_TYPES];
+const TRANSACTION_STATUSES = ["Pending", "Completed", "Failed", "Cancelled"];
+
+// users.status
+const USER_STATUSES = ["pendingVerification", "active", "deactivated"];
+
+// promotions.status
+const PROMOTION_STATUSES = ["active", "archived"];
+
+// invitations.status
+const INVITE_STATUSES = ["pending", "accepted", "revoked"];
+
+// mail_outbox.status
+const MAIL_STATUSES = ["pending", "sending", "sent", "failed"];
+
+/**
+ * Roles live in the roles table (see permissions.js), so role names are checked
+ * against the database; this is only the shape a role name must have.
+ * The system roles always exist.
+ */
+const ROLE_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{1,48}$/;
+const SYSTEM_ROLES = ["user", "admin", "superadmin"];
+
+module.exports = {
+  BET_RESULTS,
+  SETTLED_RESULTS,
+  LEG_RESULTS,
+  BET_TYPES,
+  STAKE_TYPES,
+  TASK_STATUSES,
+  TRANSACTION_TYPES,
+  SETTLEMENT_TRANSACTION_TYPES,
+  MANUAL_TRANSACTION_TYPES,
+  TRANSACTION_STATUSES,
+  USER_STATUSES,
+  PROMOTION_STATUSES,
+  INVITE_STATUSES,
+  MAIL_STATUSES,
+  ROLE_NAME_PATTERN,
+  SYSTEM_ROLES,
+};
@@ -0,0 +1,183 @@
+/**
+ * Application errors and the central error handler.
+ *
+ * Handlers throw (or pass to next) one of the errors below; errorHandler turns
+ * it, or any Postgres error, into
+ *   { code, message, details, requestId }
+ * with the matching HTTP status. Anything unexpected becomes a logged 500.
+ */
+const { logger } = require("./logger");
+
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details === undefined ? null : details;
+  }
+}
+
+// bad input; details is the field list from validation.js
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", details, code = "VALIDATION_FAILED") {
+    super(400, code, message, details);
+  }
+}
+
+// a well-formed request that can't be done (expired token, wrong state...)
+class BadRequestError extends AppError {
+  constructor(message = "Bad request", details, code = "BAD_REQUEST") {
+    super(400, code, message, details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Not authenticated", details, code = "UNAUTHORIZED") {
+    super(401, code, message, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", details, code = "FORBIDDEN") {
+    super(403, code, message, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", details, code = "NOT_FOUND") {
+    super(404, code, message, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict", details, code = "CONFLICT") {
+    super(409, code, message, details);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", details, code = "TOO_MANY_REQUESTS") {
+    super(429, code, message, details);
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(message = "Service unavailable", details, code = "SERVICE_UNAVAILABLE") {
+    super(503, code, message, details);
+  }
+}
+
+/**
+ * Postgres SQLSTATE -> application error. Only the constraint/column name goes
+ * into details, never the query or the row values.
+ * https://www.postgresql.org/docs/current/errcodes-appendix.html
+ */
+function fromPostgresError(err) {
+  const details = {};
+  if (err.constraint) details.constraint = err.constraint;
+  if (err.column) details.column = err.column;
+  const info = Object.keys(details).length > 0 ? details : null;
+
+  switch (err.code) {
+    case "23505": // unique_violation
+      return new ConflictError("Resource already exists", info, "UNIQUE_VIOLATION");
+    case "23503": // foreign_key_violation
+      // deleting/updating a row others still point to, vs. pointing at a row that doesn't exist
+      if (/still referenced/.test(err.detail || "")) {
+        return new ConflictError("Resource is still in use", info, "FOREIGN_KEY_VIOLATION");
+      }
+      return new ValidationError("Referenced resource does not exist", info, "FOREIGN_KEY_VIOLATION");
+    case "23502": // not_null_violation
+      return new ValidationError("Missing required value", info, "NOT_NULL_VIOLATION");
+    case "23514": // check_violation
+      return new ValidationError("Value not allowed", info, "CHECK_VIOLATION");
+    case "22P02": // invalid_text_representation (e.g. "abc" for an integer id)
+    case "22007": // invalid_datetime_format
+    case "22008": // datetime_field_overflow
+      return new ValidationError("Invalid value", info, "INVALID_VALUE");
+    case "22001": // string_data_right_truncation
+      return new ValidationError("Value too long", info, "VALUE_TOO_LONG");
+    case "22003": // numeric_value_out_of_range
+      return new ValidationError("Number out of range", info, "VALUE_OUT_OF_RANGE");
+    case "40001": // serialization_failure
+    case "40P01": // deadlock_detected
+      return new ConflictError("Concurrent update, please retry", null, "RETRY");
+    case "53300": // too_many_connections
+    case "57P01": // admin_shutdown
+    case "57P03": // cannot_connect_now
+      return new ServiceUnavailableError("Database unavailable", null, "DATABASE_UNAVAILABLE");
+    default:
+      return null;
+  }
+}
+
+// connection-level failures (db down, pool timeout) are a 503, not a bug
+function isDatabaseUnavailable(err) {
+  return (
+    ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND"].includes(err.code) ||
+    /timeout exceeded when trying to connect|Connection terminated/.test(err.message || "")
+  );
+}
+
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  // express.json() errors: malformed JSON, body too large
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError("Malformed JSON body", null, "INVALID_JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError(413, "PAYLOAD_TOO_LARGE", "Request body too large", null);
+  }
+  if (typeof err.code === "string" && /^[0-9A-Z]{5}$/.test(err.code)) {
+    const mapped = fromPostgresError(err);
+    if (mapped) return mapped;
+  }
+  if (isDatabaseUnavailable(err)) {
+    return new ServiceUnavailableError("Database unavailable", null, "DATABASE_UNAVAILABLE");
+  }
+  return null;
+}
+
+// unknown /api routes
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, null, "ROUTE_NOT_FOUND"));
+}
+
+// must be registered after all routes (Express spots error handlers by their 4 arguments)
+function errorHandler(err, req, res, next) {
+  const appError = toAppError(err);
+  const status = appError ? appError.status : 500;
+  if (!appError || status >= 500) {
+    (req.log || logger).error("request failed", { method: req.method, path: req.path, err });
+  }
+  // counted by metrics.js
+  res.locals.errorCode = appError ? appError.code : "INTERNAL_ERROR";
+  if (res.headersSent) {
+    // the response is already on its way, let Express close the connection
+    return next(err);
+  }
+  return res.status(status).json({
+    code: appError ? appError.code : "INTERNAL_ERROR",
+    message: appError ? appError.message : "Server error",
+    details: appError ? appError.details : null,
+    requestId: req.id || null,
+  });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  fromPostgresError,
+  notFoundHandler,
+  errorHandler,
+};
@@ -1,20 +1,26 @@
 const express = require("express");
 const router = express.Router();
-const { Pool } = require("pg");
-const { requireAuth } = require("./authMiddleware");
+const db = require("./db");
+const { requireAuth, requirePermission, can } = require("./authMiddleware");
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
+const { ForbiddenError } = require("./errors");
+const { fetchPage } = require("./pagination");
+const { transactionList } = require("./ledger");
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+const userFinancesSchema = {
+  params: { userId: v.id() },
+};
 
-// GET: Company financial overview
-router.get("/overview", requireAuth, async (req, res) => {
+// GET: Company financial overview (finances:read)
+router.get("/overview", requireAuth, requirePermission("finances:read"), rateLimit("finances"), async (req, res, next) => {
   try {
-    const totalDepositsRes = await pool.query(
-      "SELECT SUM(amount) AS total FROM transactions WHERE type='deposit';"
+    // older rows were written in lowercase, TRANSACTION_TYPES uses "Deposit"/"Withdrawal"
+    const totalDepositsRes = await db.query(
+      "SELECT SUM(amount) AS total FROM transactions WHERE LOWER(type)='deposit';"
     );
-    const totalWithdrawalsRes = await pool.query(
-      "SELECT SUM(amount) AS total FROM transactions WHERE type='withdrawal';"
+    const totalWithdrawalsRes = await db.query(
+      "SELECT SUM(amount) AS total FROM transactions WHERE LOWER(type)='withdrawal';"
     );
 
     const totalDeposits = totalDepositsRes.rows[0].total || 0;
@@ -27,49 +33,44 @@ router.get("/overview", requireAuth, async (req, res) => {
       netBalance,
     });
   } catch (err) {
-    console.error("Overview error:", err);
-    res.status(500).json({ error: "Failed to fetch company overview" });
+    next(err);
   }
 });
 
 // GET: All transactions or filtered by user
-router.get("/", requireAuth, async (req, res) => {
-  const { user_id } = req.query;
-
+// without finances:read you only get your own transactions
+// paginated, filters: user_id, type, status, sportsbook, from/to; see pagination.js
+router.get("/", requireAuth, rateLimit("finances"), validate({ query: transactionList.query }), async (req, res, next) => {
   try {
-    let query = `
-      SELECT transactions.*, users.first_name, users.last_name
-      FROM transactions
-      JOIN users ON transactions.user_id = users.id
-    `;
-    const params = [];
-
-    if (user_id) {
-      query += " WHERE user_id = $1";
-      params.push(user_id);
+    if (!(await can(req, "finances:read"))) {
+      req.query.user_id = req.user.userId;
     }
-
-    query += " ORDER BY transactions.created_at DESC";
-
-    const result = await pool.query(query, params);
-    res.json({ transactions: result.rows });
+    const transactions = await fetchPage(req, res, transactionList, {
+      select: "t.*, users.first_name, users.last_name",
+      from: "transactions t JOIN users ON t.user_id = users.id",
+    });
+    res.json({ transactions });
   } catch (err) {
-    console.error("Transactions error:", err);
-    res.status(500).json({ error: "Failed to fetch transactions" });
+    next(err);
   }
 });
 
 // GET: Detailed financial info for a specific user
-router.get("/user/:userId", requireAuth, async (req, res) => {
+// your own, or anyone's with finances:read
+router.get("/user/:userId", requireAuth, rateLimit("finances"), validate(userFinancesSchema), async (req, res, next) => {
   const { userId } = req.params;
 
   try {
-    const userInfoRes = await pool.query(
+    if (String(req.user.userId) !== String(userId) && !(await can(req, "finances:read"))) {
+      throw new ForbiddenError("Not your finances");
+    }
+
+    const userInfoRes = await db.query(
       "SELECT first_name, last_name, email FROM users WHERE id=$1",
       [userId]
     );
 
-    const userTransactionsRes = await pool.query(
+    const userTransactionsRes = await db.query(
       "SELECT * FROM transactions WHERE user_id=$1 ORDER BY created_at DESC",
       [userId]
     );
@@ -79,9 +80,15 @@ router.get("/user/:userId", requireAuth, async (req, res) => {
       transactions: userTransactionsRes.rows,
     });
   } catch (err) {
-    console.error("User detail error:", err);
-    res.status(500).json({ error: "Failed to fetch user details" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /overview": "Company financial overview",
+  "GET /": "List transactions (everyone's with finances:read, otherwise your own)",
+  "GET /user/:userId": "A user's details and transactions",
+};
+
 module.exports = router;
@@ -0,0 +1,126 @@
+const express = require("express");
+const crypto = require("crypto");
+const db = require("./db");
+const { renderMetrics } = require("./metrics");
+const { migrationStatus } = require("./migrate");
+const { getTransport } = require("./mailer");
+const { isShuttingDown } = require("./shutdown");
+const { UnauthorizedError, ServiceUnavailableError } = require("./errors");
+
+const router = express.Router();
+
+// each readiness check must answer within this
+const CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 3000;
+// a working mail transport is re-verified at most this often (SMTP verify opens a connection)
+const MAIL_VERIFY_TTL_MS = 60000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+let mailVerified = { transport: null, at: 0 };
+
+const readinessChecks = {
+  async database() {
+    await db.query("SELECT 1");
+    return {};
+  },
+  async migrations() {
+    const pending = (await migrationStatus()).filter((m) => !m.applied).map((m) => m.name);
+    if (pending.length > 0) {
+      throw Object.assign(new Error("Migrations pending"), { info: { pending } });
+    }
+    return {};
+  },
+  async mail() {
+    const transport = getTransport();
+    if (mailVerified.transport === transport && Date.now() - mailVerified.at < MAIL_VERIFY_TTL_MS) {
+      return {};
+    }
+    await transport.verify();
+    mailVerified = { transport, at: Date.now() };
+    return {};
+  },
+};
+
+// { name: { ok, durationMs, error? } } for every check, run side by side
+async function runReadinessChecks() {
+  const entries = await Promise.all(
+    Object.entries(readinessChecks).map(async ([name, check]) => {
+      const start = Date.now();
+      try {
+        const info = await withTimeout(check(), CHECK_TIMEOUT_MS);
+        return [name, { ok: true, durationMs: Date.now() - start, ...info }];
+      } catch (err) {
+        return [name, { ok: false, durationMs: Date.now() - start, error: err.message, ...err.info }];
+      }
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+// GET /api/health/live
+// the process is up and serving; no dependencies checked (restart if this fails)
+router.get("/health/live", (req, res) => {
+  res.json({ status: "ok", uptime: process.uptime() });
+});
+
+// GET /api/health/ready
+// database reachable, no pending migrations, mail transport working;
+// 503 NOT_READY with the failing checks, or SHUTTING_DOWN while draining
+router.get("/health/ready", async (req, res, next) => {
+  try {
+    if (isShuttingDown()) {
+      throw new ServiceUnavailableError("Shutting down", null, "SHUTTING_DOWN");
+    }
+    const checks = await runReadinessChecks();
+    if (Object.values(checks).some((check) => !check.ok)) {
+      throw new ServiceUnavailableError("Not ready", { checks }, "NOT_READY");
+    }
+    res.json({ status: "ready", checks });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/ping
+// simple test endpoint, also checks the database answers
+router.get("/ping", async (req, res, next) => {
+  try {
+    const pingRes = await db.query("SELECT NOW() as current_time");
+    res.json({ message: "pong", currentTime: pingRes.rows[0].current_time });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// constant-time compare of two strings
+function sameSecret(a, b) {
+  const hash = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// GET /api/metrics
+// Prometheus scrape endpoint (see metrics.js)
+// with METRICS_TOKEN set, the scraper must send Authorization: Bearer <METRICS_TOKEN>
+router.get("/metrics", (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (expected && !sameSecret(req.get("Authorization") || "", `Bearer ${expected}`)) {
+    return next(new UnauthorizedError("Metrics token required"));
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /ping": "Check the API and database are up",
+  "GET /health/live": "Liveness: the process is serving requests",
+  "GET /health/ready": "Readiness: database, migrations and mail transport are OK",
+  "GET /metrics": "Prometheus metrics (Bearer METRICS_TOKEN when set)",
+};
+
+module.exports = router;
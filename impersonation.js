@@ -0,0 +1,148 @@
+require("dotenv").config();
+const jwt = require("jsonwebtoken");
+const db = require("./db");
+const { getSessionPrincipal } = require("./sessions");
+const { roleHasPermission } = require("./permissions");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("./errors");
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+const IMPERSONATE_PERMISSION = "users:impersonate";
+
+async function logActivity(userId, action, details) {
+  await db.query(
+    `INSERT INTO activity_log (user_id, action, details)
+     VALUES ($1, $2, $3)`,
+    [userId, action, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Starts impersonating targetUserId on behalf of the actor (req.user).
+ * Returns { token, impersonation, target }; throws when the target can't be impersonated.
+ * The token is bound to the actor's own session: logging the actor out ends it too.
+ */
+async function startImpersonation(actor, targetUserId, { reason, allowFinancial } = {}) {
+  if (String(actor.userId) === String(targetUserId)) {
+    throw new BadRequestError("You can't impersonate yourself");
+  }
+  const targetRes = await db.query(
+    "SELECT id, email, role, status FROM users WHERE id=$1",
+    [targetUserId]
+  );
+  if (targetRes.rows.length === 0) {
+    throw new NotFoundError("User not found");
+  }
+  const target = targetRes.rows[0];
+  if (target.status !== "active") {
+    throw new BadRequestError("User is not active");
+  }
+  // no lateral moves into other accounts that can impersonate
+  if (await roleHasPermission(target.role, IMPERSONATE_PERMISSION)) {
+    throw new ForbiddenError("This user can't be impersonated");
+  }
+
+  const insertRes = await db.query(
+    `INSERT INTO impersonation_sessions
+       (actor_id, actor_session_id, target_user_id, reason, allow_financial, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+     RETURNING id, actor_id, target_user_id, reason, allow_financial, created_at, expires_at`,
+    [actor.userId, actor.sessionId, target.id, reason || null, !!allowFinancial, IMPERSONATION_TTL_MINUTES]
+  );
+  const impersonation = insertRes.rows[0];
+
+  await logActivity(actor.userId, "IMPERSONATION_START", {
+    impersonationId: impersonation.id,
+    targetUserId: target.id,
+    targetEmail: target.email,
+    reason: reason || null,
+    allowFinancial: !!allowFinancial,
+  });
+
+  const token = jwt.sign(
+    {
+      userId: target.id,
+      impersonationId: impersonation.id,
+      actorId: actor.userId,
+      actorSessionId: actor.sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+  return { token, impersonation, target };
+}
+
+/**
+ * Resolves an impersonation token payload into the req.user to use, or null
+ * if the impersonation ended/expired, the actor's session is gone, or the
+ * actor lost the permission.
+ */
+async function resolveImpersonation(decoded) {
+  const impRes = await db.query(
+    `SELECT i.id, i.actor_id, i.actor_session_id, i.allow_financial,
+            u.id AS target_id, u.role AS target_role, u.status AS target_status,
+            u.totp_enabled AS target_totp_enabled
+     FROM impersonation_sessions i
+     JOIN users u ON u.id = i.target_user_id
+     WHERE i.id=$1 AND i.actor_id=$2 AND i.target_user_id=$3
+       AND i.ended_at IS NULL AND i.expires_at > NOW()`,
+    [decoded.impersonationId, decoded.actorId, decoded.userId]
+  );
+  if (impRes.rows.length === 0) {
+    return null;
+  }
+  const imp = impRes.rows[0];
+  const actor = await getSessionPrincipal(imp.actor_session_id, imp.actor_id);
+  if (!actor || actor.status !== "active") {
+    return null;
+  }
+  if (!(await roleHasPermission(actor.role, IMPERSONATE_PERMISSION))) {
+    return null;
+  }
+  return {
+    userId: imp.target_id,
+    role: imp.target_role,
+    status: imp.target_status,
+    twoFactorEnabled: imp.target_totp_enabled,
+    impersonationId: imp.id,
+    // the real person behind the request
+    impersonator: {
+      userId: imp.actor_id,
+      role: actor.role,
+      sessionId: imp.actor_session_id,
+    },
+    allowFinancial: imp.allow_financial,
+  };
+}
+
+// ends an impersonation early, returns false if it was already over
+async function endImpersonation(impersonationId, actorId) {
+  const updateRes = await db.query(
+    `UPDATE impersonation_sessions SET ended_at=NOW()
+     WHERE id=$1 AND actor_id=$2 AND ended_at IS NULL`,
+    [impersonationId, actorId]
+  );
+  if (updateRes.rowCount > 0) {
+    await logActivity(actorId, "IMPERSONATION_END", { impersonationId });
+  }
+  return updateRes.rowCount > 0;
+}
+
+// one activity_log row per request made while impersonating
+function logImpersonatedRequest(req, res) {
+  const { impersonator, impersonationId, userId } = req.user;
+  logActivity(impersonator.userId, "IMPERSONATED_REQUEST", {
+    impersonationId,
+    targetUserId: userId,
+    method: req.method,
+    path: req.originalUrl,
+    status: res.statusCode,
+  }).catch((err) => req.log.error("impersonation log error", { err }));
+}
+
+module.exports = {
+  IMPERSONATE_PERMISSION,
+  startImpersonation,
+  resolveImpersonation,
+  endImpersonation,
+  logImpersonatedRequest,
+};
@@ -0,0 +1,63 @@
+const { v } = require("./validation");
+const { TRANSACTION_TYPES, TRANSACTION_STATUSES } = require("./enums");
+const { listing, filter, equals, dateRange } = require("./pagination");
+
+/**
+ * Account balances follow the ledger. A Completed transaction adds its amount
+ * to to_account and takes it from from_account; Pending, Failed and Cancelled
+ * ones move nothing. Every write to transactions (bet settlement and its
+ * reversals, admin entries and edits) calls applyToBalances in the same
+ * database transaction, so accounts.balance is the opening balance plus the
+ * Completed ledger.
+ */
+
+// balance change of each account a ledger entry touches: { accountId: delta }
+function balanceChanges(entry) {
+  const changes = {};
+  if (entry.status !== "Completed") return changes;
+  if (entry.to_account !== null) changes[entry.to_account] = Number(entry.amount);
+  if (entry.from_account !== null) {
+    changes[entry.from_account] = (changes[entry.from_account] || 0) - Number(entry.amount);
+  }
+  return changes;
+}
+
+/**
+ * Moves the balances for entry (a transactions row); sign -1 takes back what
+ * it moved, e.g. the old version of an edited row. client must be the
+ * withTransaction client that wrote the row.
+ */
+async function applyToBalances(client, entry, sign = 1) {
+  for (const [accountId, delta] of Object.entries(balanceChanges(entry))) {
+    await client.query("UPDATE accounts SET balance = balance + $1, updated_at=NOW() WHERE id=$2", [
+      sign * delta,
+      accountId,
+    ]);
+  }
+}
+
+// sorts and filters of GET /api/finances and GET /api/admin/finances, over
+// "transactions t"; sportsbook = name of the account on either side
+const transactionList = listing({
+  sort: { date: "t.date", amount: "t.amount", created_at: "t.created_at", id: "t.id" },
+  defaultSort: "-created_at",
+  tiebreaker: "t.id",
+  filters: {
+    user_id: equals("t.user_id", v.id()),
+    type: equals("t.type", v.oneOf(TRANSACTION_TYPES)),
+    status: equals("t.status", v.oneOf(TRANSACTION_STATUSES)),
+    sportsbook: filter(
+      v.string({ min: 1, max: 100 }),
+      (p) => `EXISTS (SELECT 1 FROM accounts a
+                      WHERE a.id IN (t.from_account, t.to_account)
+                        AND LOWER(a.name) = LOWER(${p}))`
+    ),
+    ...dateRange("t.date"),
+  },
+});
+
+module.exports = {
+  transactionList,
+  balanceChanges,
+  applyToBalances,
+};
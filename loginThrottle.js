@@ -0,0 +1,183 @@
+require("dotenv").config();
+const db = require("./db");
+
+// failures older than this are forgotten
+const WINDOW_MINUTES = parseInt(process.env.AUTH_THROTTLE_WINDOW_MINUTES, 10) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15;
+// progressive delay: BASE_DELAY_MS doubles with every failure past delayAfter, capped
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Per scope and key type:
+ * - delayAfter: failures before the caller must wait between attempts
+ * - lockAfter: failures before the key is locked for LOCKOUT_MINUTES
+ * IP limits are looser since an office can share one address.
+ */
+const LIMITS = {
+  login: {
+    email: { delayAfter: 3, lockAfter: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10 },
+    ip: { delayAfter: 10, lockAfter: 50 },
+  },
+  forgot: {
+    email: { delayAfter: 1, lockAfter: 5 },
+    ip: { delayAfter: 5, lockAfter: 20 },
+  },
+  resend: {
+    email: { delayAfter: 1, lockAfter: 5 },
+    ip: { delayAfter: 5, lockAfter: 20 },
+  },
+};
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function keysFor(email, ip) {
+  const keys = [];
+  if (email) keys.push({ type: "email", value: normalizeEmail(email) });
+  if (ip) keys.push({ type: "ip", value: ip });
+  return keys;
+}
+
+function requiredDelayMs(failures, limit) {
+  if (failures < limit.delayAfter) {
+    return 0;
+  }
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - limit.delayAfter), MAX_DELAY_MS);
+}
+
+async function logActivity(userId, action, details) {
+  await db.query(
+    `INSERT INTO activity_log (user_id, action, details)
+     VALUES ($1, $2, $3)`,
+    [userId || null, action, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Checks whether an attempt for this email/IP may go ahead.
+ * Returns { allowed: true } or { allowed: false, locked, retryAfter } (seconds).
+ */
+async function checkThrottle(scope, email, ip) {
+  const keys = keysFor(email, ip);
+  const now = Date.now();
+  let verdict = { allowed: true };
+
+  for (const key of keys) {
+    // a lockout can outlast the failure window (AUTH_LOCKOUT_MINUTES > AUTH_THROTTLE_WINDOW_MINUTES)
+    const rowRes = await db.query(
+      `SELECT failures, last_failure_at, locked_until,
+              last_failure_at > NOW() - make_interval(mins => $4) AS in_window
+       FROM auth_throttle
+       WHERE scope=$1 AND key_type=$2 AND key_value=$3
+         AND (last_failure_at > NOW() - make_interval(mins => $4) OR locked_until > NOW())`,
+      [scope, key.type, key.value, WINDOW_MINUTES]
+    );
+    if (rowRes.rows.length === 0) continue;
+    const row = rowRes.rows[0];
+
+    if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+      const retryAfter = Math.ceil((new Date(row.locked_until).getTime() - now) / 1000);
+      return { allowed: false, locked: true, retryAfter };
+    }
+    if (!row.in_window) continue;
+
+    const delay = requiredDelayMs(row.failures, LIMITS[scope][key.type]);
+    const waited = now - new Date(row.last_failure_at).getTime();
+    if (waited < delay) {
+      const retryAfter = Math.ceil((delay - waited) / 1000);
+      if (verdict.allowed || retryAfter > verdict.retryAfter) {
+        verdict = { allowed: false, locked: false, retryAfter };
+      }
+    }
+  }
+  return verdict;
+}
+
+/**
+ * Counts a failed attempt against the email and the IP.
+ * Locks a key once it reaches its lockAfter limit and records the lockout in activity_log.
+ */
+async function recordFailure(scope, email, ip, userId) {
+  for (const key of keysFor(email, ip)) {
+    const limit = LIMITS[scope][key.type];
+    const upsertRes = await db.query(
+      `INSERT INTO auth_throttle (scope, key_type, key_value, failures, first_failure_at, last_failure_at)
+       VALUES ($1, $2, $3, 1, NOW(), NOW())
+       ON CONFLICT (scope, key_type, key_value) DO UPDATE
+       SET failures = CASE
+             WHEN auth_throttle.last_failure_at < NOW() - make_interval(mins => $4) THEN 1
+             ELSE auth_throttle.failures + 1
+           END,
+           first_failure_at = CASE
+             WHEN auth_throttle.last_failure_at < NOW() - make_interval(mins => $4) THEN NOW()
+             ELSE auth_throttle.first_failure_at
+           END,
+           last_failure_at = NOW()
+       RETURNING id, failures`,
+      [scope, key.type, key.value, WINDOW_MINUTES]
+    );
+    const row = upsertRes.rows[0];
+    if (row.failures < limit.lockAfter) continue;
+
+    await db.query(
+      `UPDATE auth_throttle
+       SET locked_until = NOW() + make_interval(mins => $1)
+       WHERE id=$2`,
+      [LOCKOUT_MINUTES, row.id]
+    );
+    await logActivity(key.type === "email" ? userId : null, "AUTH_LOCKOUT", {
+      scope,
+      keyType: key.type,
+      key: key.value,
+      failures: row.failures,
+      lockedMinutes: LOCKOUT_MINUTES,
+    });
+  }
+}
+
+// successful login: forget the email's failures (the IP counter keeps decaying on its own)
+async function recordSuccess(scope, email) {
+  await db.query(
+    "DELETE FROM auth_throttle WHERE scope=$1 AND key_type='email' AND key_value=$2",
+    [scope, normalizeEmail(email)]
+  );
+}
+
+// currently locked emails/IPs, soonest to unlock first
+async function listLocked() {
+  const result = await db.query(
+    `SELECT id, scope, key_type, key_value, failures, first_failure_at, last_failure_at, locked_until
+     FROM auth_throttle
+     WHERE locked_until > NOW()
+     ORDER BY locked_until ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Clears failures/lockouts for an email or an IP (all scopes).
+ * Returns the number of cleared rows.
+ */
+async function unlock({ email, ip }, adminId) {
+  const key = email
+    ? { type: "email", value: normalizeEmail(email) }
+    : { type: "ip", value: ip };
+  const deleteRes = await db.query(
+    "DELETE FROM auth_throttle WHERE key_type=$1 AND key_value=$2",
+    [key.type, key.value]
+  );
+  if (deleteRes.rowCount > 0) {
+    await logActivity(adminId, "AUTH_UNLOCK", { keyType: key.type, key: key.value });
+  }
+  return deleteRes.rowCount;
+}
+
+module.exports = {
+  checkThrottle,
+  recordFailure,
+  recordSuccess,
+  listLocked,
+  unlock,
+};
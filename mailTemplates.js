@@ -0,0 +1,138 @@
+// Email templates. Each template takes a data object and returns { subject, text, html }.
+
+const APP_NAME = "BetLogic";
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// shared HTML shell so every mail looks the same
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h1 style="margin-top:0;font-size:20px;">${escapeHtml(title)}</h1>
+      ${bodyHtml}
+      <p style="margin-top:32px;font-size:12px;color:#7b8794;">${APP_NAME}</p>
+    </div>
+  </body>
+</html>`;
+}
+
+function button(url, label) {
+  return `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(label)}</a></p>
+      <p style="font-size:12px;color:#7b8794;">Or paste this link into your browser:<br>${escapeHtml(url)}</p>`;
+}
+
+function greeting(firstName) {
+  return firstName ? `Hi ${firstName},` : "Hi,";
+}
+
+/**
+ * verification: { url, firstName?, expiresInHours? }
+ */
+function verification({ url, firstName, expiresInHours }) {
+  const expiry = expiresInHours ? ` The link expires in ${expiresInHours} hours.` : "";
+  return {
+    subject: `${APP_NAME} - Verify Your Account`,
+    text: `${greeting(firstName)}\n\nPlease verify your account by clicking: ${url}\n${expiry.trim()}`,
+    html: layout(
+      "Verify your account",
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Please confirm your email address to finish setting up your account.${escapeHtml(expiry)}</p>
+      ${button(url, "Verify account")}`
+    ),
+  };
+}
+
+/**
+ * reset: { url, firstName?, expiresInMinutes? }
+ */
+function reset({ url, firstName, expiresInMinutes }) {
+  const expiry = expiresInMinutes ? ` The link expires in ${expiresInMinutes} minutes.` : "";
+  return {
+    subject: `${APP_NAME} - Reset Your Password`,
+    text: `${greeting(firstName)}\n\nClick here to reset your password: ${url}\n${expiry.trim()}\n\nIf you didn't ask for this, you can ignore this email.`,
+    html: layout(
+      "Reset your password",
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Someone asked to reset the password for your account.${escapeHtml(expiry)}</p>
+      ${button(url, "Reset password")}
+      <p>If you didn't ask for this, you can ignore this email.</p>`
+    ),
+  };
+}
+
+/**
+ * invitation: { url, invitedBy?, role?, expiresInDays? }
+ */
+function invitation({ url, invitedBy, role, expiresInDays }) {
+  const who = invitedBy ? `${invitedBy} has invited you` : "You have been invited";
+  const asRole = role && role !== "user" ? ` as ${role}` : "";
+  const expiry = expiresInDays ? ` The invitation expires in ${expiresInDays} days.` : "";
+  return {
+    subject: `${APP_NAME} - You're invited`,
+    text: `${who} to join ${APP_NAME}${asRole}.\n\nCreate your account here: ${url}\n${expiry.trim()}`,
+    html: layout(
+      `Join ${APP_NAME}`,
+      `<p>${escapeHtml(who)} to join ${APP_NAME}${escapeHtml(asRole)}.${escapeHtml(expiry)}</p>
+      ${button(url, "Accept invitation")}`
+    ),
+  };
+}
+
+/**
+ * digest: { firstName?, items: [{ title, body? }], url? }
+ */
+function digest({ firstName, items, url }) {
+  const list = Array.isArray(items) ? items : [];
+  const textItems = list
+    .map((item) => `- ${item.title}${item.body ? `: ${item.body}` : ""}`)
+    .join("\n");
+  const htmlItems = list
+    .map(
+      (item) =>
+        `<li><strong>${escapeHtml(item.title)}</strong>${item.body ? `<br>${escapeHtml(item.body)}` : ""}</li>`
+    )
+    .join("\n        ");
+  return {
+    subject: `${APP_NAME} - You have ${list.length} update${list.length === 1 ? "" : "s"}`,
+    text: `${greeting(firstName)}\n\nHere's what happened:\n${textItems}${url ? `\n\nOpen ${APP_NAME}: ${url}` : ""}`,
+    html: layout(
+      "Your updates",
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Here's what happened:</p>
+      <ul>
+        ${htmlItems}
+      </ul>
+      ${url ? button(url, `Open ${APP_NAME}`) : ""}`
+    ),
+  };
+}
+
+const templates = {
+  verification,
+  reset,
+  invitation,
+  digest,
+};
+
+// renders a named template, throws on unknown names
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data || {});
+}
+
+module.exports = {
+  renderTemplate,
+  escapeHtml,
+};
@@ -0,0 +1,261 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const db = require("./db");
+const { logger } = require("./logger");
+const { renderTemplate } = require("./mailTemplates");
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+// give up on a message after this many failed sends
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const OUTBOX_INTERVAL_MS = parseInt(process.env.MAIL_OUTBOX_INTERVAL_MS, 10) || 30000;
+const OUTBOX_BATCH_SIZE = 20;
+// "sending" rows older than this were left behind by a crashed process
+const STALE_SENDING_MINUTES = 10;
+// what an outbox row's body becomes once it's sent or its link has expired
+const CLEARED_BODY = "";
+
+// last messages handed to the json/file transports, handy in dev and tests
+const sentMessages = [];
+const SENT_MESSAGES_KEPT = 100;
+
+/**
+ * Builds the transport from MAIL_TRANSPORT:
+ * - "smtp": SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - "gmail" (default, the original setup): EMAIL_USER, EMAIL_PASS
+ * - "json": nothing leaves the process, messages are kept in sentMessages
+ * - "file": like json, and each message is also written to MAIL_FILE_DIR
+ */
+function createTransport(kind = process.env.MAIL_TRANSPORT || "gmail") {
+  switch (kind) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case "json":
+    case "file": {
+      const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+      const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "tmp", "mail");
+      return {
+        async sendMail(mailOptions) {
+          const info = await jsonTransport.sendMail(mailOptions);
+          const message = JSON.parse(info.message);
+          sentMessages.push(message);
+          if (sentMessages.length > SENT_MESSAGES_KEPT) {
+            sentMessages.shift();
+          }
+          if (kind === "file") {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.json`;
+            await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+          }
+          return info;
+        },
+        async verify() {
+          return true;
+        },
+      };
+    }
+    case "gmail":
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+// swaps the transport (tests, or reconfiguring at runtime)
+function setTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+// sends whatever is due right away instead of waiting for the worker
+function flushOutbox() {
+  setImmediate(() => {
+    processOutbox().catch((err) => logger.error("mail outbox error", { err }));
+  });
+}
+
+/**
+ * Renders a template and stores it in the outbox.
+ * Delivery happens in the background, so callers never fail because the
+ * mail server is down. Returns the outbox row id.
+ * Pass the transaction client to queue the mail atomically with other writes;
+ * call flushOutbox() after the commit to send it right away.
+ * The body is cleared once it's sent. expiresAt is when a link in it stops
+ * working: the mail isn't sent after that and its body is cleared too, so the
+ * outbox never holds a usable token longer than the token itself lives.
+ */
+async function queueMail(template, to, data, client, { expiresAt = null } = {}) {
+  const { subject, text, html } = renderTemplate(template, data);
+  const insertRes = await (client || db).query(
+    `INSERT INTO mail_outbox (template, to_address, subject, text_body, html_body, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [template, to, subject, text, html || null, expiresAt]
+  );
+  // not committed yet inside a transaction, the caller flushes after COMMIT
+  if (!client) {
+    flushOutbox();
+  }
+  return insertRes.rows[0].id;
+}
+
+// 1, 2, 4, 8... minutes between attempts
+function retryDelayMinutes(attempts) {
+  return 2 ** Math.max(attempts - 1, 0);
+}
+
+// gives up on unsent mail whose link has expired, clearing its body
+async function expireOutbox() {
+  await db.query(
+    `UPDATE mail_outbox
+     SET status='failed', last_error='Link expired before the email was sent',
+         text_body=$1, html_body=NULL, updated_at=NOW()
+     WHERE expires_at <= NOW() AND status <> 'sent' AND text_body <> $1`,
+    [CLEARED_BODY]
+  );
+}
+
+/**
+ * Sends due outbox messages. Rows are claimed with SKIP LOCKED so several
+ * processes can run this at once without double-sending. A sent message
+ * keeps its headers for the admin view but not its body.
+ * Returns { sent, failed }.
+ */
+async function processOutbox(limit = OUTBOX_BATCH_SIZE) {
+  await expireOutbox();
+  const claimRes = await db.query(
+    `UPDATE mail_outbox
+     SET status='sending', attempts=attempts+1, updated_at=NOW()
+     WHERE id IN (
+       SELECT id FROM mail_outbox
+       WHERE ((status='pending' AND next_attempt_at <= NOW())
+          OR (status='sending' AND updated_at < NOW() - make_interval(mins => $2)))
+         AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, to_address, subject, text_body, html_body, attempts`,
+    [limit, STALE_SENDING_MINUTES]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const row of claimRes.rows) {
+    try {
+      await getTransport().sendMail({
+        from: MAIL_FROM,
+        to: row.to_address,
+        subject: row.subject,
+        text: row.text_body,
+        html: row.html_body || undefined,
+      });
+      await db.query(
+        `UPDATE mail_outbox
+         SET status='sent', sent_at=NOW(), last_error=NULL, text_body=$2, html_body=NULL, updated_at=NOW()
+         WHERE id=$1`,
+        [row.id, CLEARED_BODY]
+      );
+      sent++;
+    } catch (err) {
+      failed++;
+      const giveUp = row.attempts >= MAX_ATTEMPTS;
+      logger.warn("mail send error", { outboxId: row.id, attempt: row.attempts, error: err.message });
+      await db.query(
+        `UPDATE mail_outbox
+         SET status=$1, last_error=$2,
+             next_attempt_at=NOW() + make_interval(mins => $3),
+             updated_at=NOW()
+         WHERE id=$4`,
+        [giveUp ? "failed" : "pending", String(err.message || err), retryDelayMinutes(row.attempts), row.id]
+      );
+    }
+  }
+  return { sent, failed };
+}
+
+// puts a failed message back in the queue, returns false if it isn't failed
+// or its link has expired (the body is gone, a fresh link has to be requested)
+async function retryMail(outboxId) {
+  const updateRes = await db.query(
+    `UPDATE mail_outbox
+     SET status='pending', attempts=0, next_attempt_at=NOW(), updated_at=NOW()
+     WHERE id=$1 AND status='failed' AND (expires_at IS NULL OR expires_at > NOW())`,
+    [outboxId]
+  );
+  if (updateRes.rowCount > 0) {
+    flushOutbox();
+  }
+  return updateRes.rowCount > 0;
+}
+
+// newest outbox rows, optionally filtered by status
+async function listOutbox(status) {
+  const params = [];
+  let query = `
+    SELECT id, template, to_address, subject, status, attempts, last_error,
+           next_attempt_at, sent_at, expires_at, created_at
+    FROM mail_outbox
+  `;
+  if (status) {
+    query += " WHERE status=$1";
+    params.push(status);
+  }
+  query += " ORDER BY id DESC LIMIT 200";
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+let workerTimer = null;
+
+// polls the outbox every MAIL_OUTBOX_INTERVAL_MS
+function startOutboxWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    processOutbox().catch((err) => logger.error("mail outbox error", { err }));
+  }, OUTBOX_INTERVAL_MS);
+  workerTimer.unref();
+}
+
+function stopOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport,
+  queueMail,
+  flushOutbox,
+  processOutbox,
+  retryMail,
+  listOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  sentMessages,
+};
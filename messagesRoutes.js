@@ -1,21 +1,39 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
+const db = require("./db");
+const { withTransaction } = db;
 const { requireAuth } = require("./authMiddleware");
+const { v, validate } = require("./validation");
+const { ForbiddenError } = require("./errors");
+const { rateLimit } = require("./rateLimit");
 
 const router = express.Router();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // ssl: { rejectUnauthorized: false } if needed
-});
+const threadParams = { threadId: v.id() };
+
+const createThreadSchema = {
+  body: {
+    title: v.string({ max: 255 }).nullable().optional(),
+    participantIds: v.array(v.id(), { max: 100 }).optional(),
+  },
+};
+
+const postMessageSchema = {
+  params: threadParams,
+  body: { content: v.string({ min: 1, max: 10000 }) },
+};
+
+const addParticipantsSchema = {
+  params: threadParams,
+  body: { userIds: v.array(v.id(), { min: 1, max: 100 }) },
+};
 
 /**
  * GET /api/messages/threads
  * Returns all threads where the user is a participant
  * plus optional last message or participant list if you want
  */
-router.get("/threads", requireAuth, async (req, res) => {
+router.get("/threads", requireAuth, async (req, res, next) => {
   try {
     const userId = req.user.userId;
 
@@ -27,14 +45,13 @@ router.get("/threads", requireAuth, async (req, res) => {
       WHERE tp.user_id = $1
       ORDER BY t.created_at DESC
     `;
-    const result = await pool.query(query, [userId]);
+    const result = await db.query(query, [userId]);
 
     // If you also want to fetch participants or last message, you can do so here,
     // but let's keep it simple.
     return res.json(result.rows);
   } catch (err) {
-    console.error("// get threads error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -44,43 +61,44 @@ router.get("/threads", requireAuth, async (req, res) => {
  * expects { title, participantIds: [2,3, ...] }
  * automatically adds the current user if not in participantIds
  */
-router.post("/threads", requireAuth, async (req, res) => {
+router.post("/threads", requireAuth, rateLimit("messages"), validate(createThreadSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const { title, participantIds } = req.body;
 
-    // create thread
-    const threadRes = await pool.query(
-      `INSERT INTO threads (title)
-       VALUES ($1)
-       RETURNING id, title, created_at`,
-      [title || null]
-    );
-    const newThread = threadRes.rows[0];
-    const threadId = newThread.id;
-
     // build a unique set of participants including the current user
     let uniqueIds = Array.isArray(participantIds) ? [...new Set(participantIds)] : [];
     if (!uniqueIds.includes(userId)) {
       uniqueIds.push(userId);
     }
 
-    // insert into thread_participants
-    for (const pid of uniqueIds) {
-      await pool.query(
-        `INSERT INTO thread_participants (thread_id, user_id)
-         VALUES ($1, $2)`,
-        [threadId, pid]
+    // thread and participants together, no orphan thread if a participant is invalid
+    const newThread = await withTransaction(async (client) => {
+      const threadRes = await client.query(
+        `INSERT INTO threads (title)
+         VALUES ($1)
+         RETURNING id, title, created_at`,
+        [title || null]
       );
-    }
+      const threadId = threadRes.rows[0].id;
+
+      // insert into thread_participants
+      for (const pid of uniqueIds) {
+        await client.query(
+          `INSERT INTO thread_participants (thread_id, user_id)
+           VALUES ($1, $2)`,
+          [threadId, pid]
+        );
+      }
+      return threadRes.rows[0];
+    });
 
     return res.json({
       message: "Thread created",
       thread: newThread
     });
   } catch (err) {
-    console.error("// create thread error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -89,19 +107,19 @@ router.post("/threads", requireAuth, async (req, res) => {
  * returns messages for that thread if user is a participant
  * optionally also returns the participant list
  */
-router.get("/threads/:threadId", requireAuth, async (req, res) => {
+router.get("/threads/:threadId", requireAuth, validate({ params: threadParams }), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const threadId = req.params.threadId;
 
     // check if user is in that thread
-    const partCheck = await pool.query(
+    const partCheck = await db.query(
       `SELECT id FROM thread_participants
        WHERE thread_id=$1 AND user_id=$2`,
       [threadId, userId]
     );
     if (partCheck.rows.length === 0) {
-      return res.status(403).json({ error: "Not a participant in this thread" });
+      throw new ForbiddenError("Not a participant in this thread");
     }
 
     // fetch messages
@@ -113,7 +131,7 @@ router.get("/threads/:threadId", requireAuth, async (req, res) => {
       WHERE m.thread_id = $1
       ORDER BY m.created_at ASC
     `;
-    const msgRes = await pool.query(msgQuery, [threadId]);
+    const msgRes = await db.query(msgQuery, [threadId]);
 
     // optional: fetch participants
     const partQuery = `
@@ -122,7 +140,7 @@ router.get("/threads/:threadId", requireAuth, async (req, res) => {
       JOIN users u ON tp.user_id = u.id
       WHERE tp.thread_id=$1
     `;
-    const participantsRes = await pool.query(partQuery, [threadId]);
+    const participantsRes = await db.query(partQuery, [threadId]);
 
     return res.json({
       threadId: threadId,
@@ -130,8 +148,7 @@ router.get("/threads/:threadId", requireAuth, async (req, res) => {
       participants: participantsRes.rows
     });
   } catch (err) {
-    console.error("// get thread messages error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -140,27 +157,24 @@ router.get("/threads/:threadId", requireAuth, async (req, res) => {
  * user posts a new message if they're a participant
  * expects { content }
  */
-router.post("/threads/:threadId", requireAuth, async (req, res) => {
+router.post("/threads/:threadId", requireAuth, rateLimit("messages"), validate(postMessageSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const threadId = req.params.threadId;
     const { content } = req.body;
-    if (!content) {
-      return res.status(400).json({ error: "Missing content" });
-    }
 
     // check if user is a participant
-    const partCheck = await pool.query(
+    const partCheck = await db.query(
       `SELECT id FROM thread_participants
        WHERE thread_id=$1 AND user_id=$2`,
       [threadId, userId]
     );
     if (partCheck.rows.length === 0) {
-      return res.status(403).json({ error: "Not a participant in this thread" });
+      throw new ForbiddenError("Not a participant in this thread");
     }
 
     // insert message
-    const insertRes = await pool.query(
+    const insertRes = await db.query(
       `INSERT INTO messages (thread_id, sender_id, content)
        VALUES ($1, $2, $3)
        RETURNING id, thread_id, sender_id, content, created_at`,
@@ -172,8 +186,7 @@ router.post("/threads/:threadId", requireAuth, async (req, res) => {
       msg: insertRes.rows[0]
     });
   } catch (err) {
-    console.error("// post message error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -182,48 +195,55 @@ router.post("/threads/:threadId", requireAuth, async (req, res) => {
  * add more participants to an existing thread
  * expects { userIds: [ ... ] }
  */
-router.post("/threads/:threadId/participants", requireAuth, async (req, res) => {
+router.post("/threads/:threadId/participants", requireAuth, rateLimit("messages"), validate(addParticipantsSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const threadId = req.params.threadId;
     const { userIds } = req.body;
-    if (!Array.isArray(userIds) || userIds.length === 0) {
-      return res.status(400).json({ error: "Missing userIds array" });
-    }
 
     // check if user is a participant (or if user is admin? your call)
-    const partCheck = await pool.query(
+    const partCheck = await db.query(
       `SELECT id FROM thread_participants
        WHERE thread_id=$1 AND user_id=$2`,
       [threadId, userId]
     );
     if (partCheck.rows.length === 0) {
-      return res.status(403).json({ error: "Not a participant in this thread" });
+      throw new ForbiddenError("Not a participant in this thread");
     }
 
-    // insert new participants
+    // insert new participants, all or none
     const uniqueIds = [...new Set(userIds)];
-    for (const pid of uniqueIds) {
-      // check if already in thread
-      const existing = await pool.query(
-        `SELECT id FROM thread_participants
-         WHERE thread_id=$1 AND user_id=$2`,
-        [threadId, pid]
-      );
-      if (existing.rows.length === 0) {
-        await pool.query(
-          `INSERT INTO thread_participants (thread_id, user_id)
-           VALUES ($1, $2)`,
+    await withTransaction(async (client) => {
+      for (const pid of uniqueIds) {
+        // check if already in thread
+        const existing = await client.query(
+          `SELECT id FROM thread_participants
+           WHERE thread_id=$1 AND user_id=$2`,
           [threadId, pid]
         );
+        if (existing.rows.length === 0) {
+          await client.query(
+            `INSERT INTO thread_participants (thread_id, user_id)
+             VALUES ($1, $2)`,
+            [threadId, pid]
+          );
+        }
       }
-    }
+    });
 
     return res.json({ message: "Participants added" });
   } catch (err) {
-    console.error("// add participants error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /threads": "List the threads you take part in",
+  "POST /threads": "Start a thread",
+  "GET /threads/:threadId": "Messages and participants of a thread",
+  "POST /threads/:threadId": "Post a message to a thread",
+  "POST /threads/:threadId/participants": "Add participants to a thread",
+};
+
 module.exports = router;
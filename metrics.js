@@ -0,0 +1,155 @@
+const db = require("./db");
+const { listRoutes } = require("./openapi");
+
+/**
+ * Prometheus metrics, served as text by GET /api/metrics (healthRoutes.js):
+ *   http_requests_total{method,route,status}
+ *   http_request_duration_seconds{method,route} (histogram)
+ *   http_errors_total{route,code}              error responses by error code
+ *   db_pool_connections{state}, db_pool_waiting_clients, db_pool_max_connections
+ *   process_uptime_seconds, process_resident_memory_bytes, nodejs_heap_used_bytes
+ * Everything is in memory and per process.
+ */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+// {method: "GET", status: 200} -> {method="GET",status="200"}
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help) {
+  const values = new Map();
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = header(name, help, "counter");
+      for (const [key, value] of values) lines.push(`${name}${key} ${value}`);
+      return lines;
+    },
+  };
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const s = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+    },
+    render() {
+      const lines = header(name, help, "histogram");
+      for (const [key, s] of series) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${name}_sum${key} ${s.sum}`);
+        lines.push(`${name}_count${key} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// read when scraped: fn() returns [[labels, value], ...]
+function gauge(name, help, fn) {
+  return {
+    render() {
+      const lines = header(name, help, "gauge");
+      for (const [labels, value] of fn()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    },
+  };
+}
+
+const requestsTotal = counter("http_requests_total", "HTTP requests by route and status");
+const requestDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by route",
+  DURATION_BUCKETS
+);
+const errorsTotal = counter("http_errors_total", "Error responses by route and error code");
+
+const registry = [
+  requestsTotal,
+  requestDuration,
+  errorsTotal,
+  gauge("db_pool_connections", "Database pool connections by state", () => [
+    [{ state: "total" }, db.pool.totalCount],
+    [{ state: "idle" }, db.pool.idleCount],
+  ]),
+  gauge("db_pool_waiting_clients", "Queries waiting for a free database connection", () => [
+    [{}, db.pool.waitingCount],
+  ]),
+  gauge("db_pool_max_connections", "Database pool size limit", () => [[{}, db.pool.options.max]]),
+  gauge("process_uptime_seconds", "Seconds since the process started", () => [[{}, process.uptime()]]),
+  gauge("process_resident_memory_bytes", "Resident memory size", () => [[{}, process.memoryUsage().rss]]),
+  gauge("nodejs_heap_used_bytes", "V8 heap in use", () => [[{}, process.memoryUsage().heapUsed]]),
+];
+
+// the whole registry in the Prometheus text format
+function renderMetrics() {
+  return `${registry.flatMap((metric) => metric.render()).join("\n")}\n`;
+}
+
+/**
+ * routeOf(req) for the given [mountPath, router] list: the route as written in
+ * the docs ("/api/bets/{id}"), or "unmatched" when no route handled the request.
+ * Built on first use, once every router is mounted.
+ */
+function routeLabeler(routers) {
+  let labels = null;
+  return (req) => {
+    if (!labels) {
+      labels = new Map(listRoutes(routers).map((r) => [r.route, r.path]));
+    }
+    return (req.route && labels.get(req.route)) || "unmatched";
+  };
+}
+
+/**
+ * Counts every finished request. The error code comes from errorHandler
+ * (res.locals.errorCode).
+ */
+function httpMetrics(routeOf) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+      const route = routeOf(req);
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      requestDuration.observe({ method: req.method, route }, seconds);
+      if (res.locals.errorCode) {
+        errorsTotal.inc({ route, code: res.locals.errorCode });
+      }
+    });
+    next();
+  };
+}
+
+module.exports = {
+  renderMetrics,
+  routeLabeler,
+  httpMetrics,
+};
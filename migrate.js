@@ -0,0 +1,176 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+// any constant works, it just has to be the same for every process running migrations
+const MIGRATION_LOCK_ID = 7310;
+
+/**
+ * migrations/NNN_name.sql is the up script, migrations/NNN_name.down.sql undoes it.
+ * Applied migrations are recorded in schema_migrations by name (without .sql).
+ * Up scripts are written to be re-runnable (IF NOT EXISTS, guarded UPDATEs), so
+ * databases set up by hand before the tracking table existed migrate cleanly.
+ */
+function listMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith(".sql") && !file.endsWith(".down.sql"))
+    .sort()
+    .map((file) => {
+      const name = file.replace(/\.sql$/, "");
+      const downFile = path.join(MIGRATIONS_DIR, `${name}.down.sql`);
+      return {
+        name,
+        upFile: path.join(MIGRATIONS_DIR, file),
+        downFile: fs.existsSync(downFile) ? downFile : null,
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       name VARCHAR(255) PRIMARY KEY,
+       applied_at TIMESTAMP DEFAULT NOW()
+     )`
+  );
+}
+
+async function appliedNames(client) {
+  const result = await client.query("SELECT name FROM schema_migrations ORDER BY name");
+  return result.rows.map((row) => row.name);
+}
+
+// runs fn while holding an advisory lock, so two deploys can't migrate at once
+async function withMigrationLock(fn) {
+  const client = await db.pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// each migration runs in its own transaction together with its tracking row
+async function runScript(client, file, track) {
+  const sql = fs.readFileSync(file, "utf8");
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await track();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Applies pending migrations in order, up to and including `target` if given.
+ * Returns the names applied.
+ */
+async function migrateUp({ target, log = console.log } = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await appliedNames(client));
+    const done = [];
+    for (const migration of listMigrations()) {
+      if (applied.has(migration.name)) continue;
+      log(`// applying ${migration.name}`);
+      await runScript(client, migration.upFile, () =>
+        client.query("INSERT INTO schema_migrations (name) VALUES ($1)", [migration.name])
+      );
+      done.push(migration.name);
+      if (target && migration.name.startsWith(target)) break;
+    }
+    return done;
+  });
+}
+
+/**
+ * Rolls back the last `steps` applied migrations (newest first).
+ * Returns the names rolled back.
+ */
+async function migrateDown({ steps = 1, log = console.log } = {}) {
+  return withMigrationLock(async (client) => {
+    const known = new Map(listMigrations().map((m) => [m.name, m]));
+    const applied = (await appliedNames(client)).reverse().slice(0, steps);
+    const done = [];
+    for (const name of applied) {
+      const migration = known.get(name);
+      if (!migration || !migration.downFile) {
+        throw new Error(`No down script for ${name}`);
+      }
+      log(`// rolling back ${name}`);
+      await runScript(client, migration.downFile, () =>
+        client.query("DELETE FROM schema_migrations WHERE name=$1", [name])
+      );
+      done.push(name);
+    }
+    return done;
+  });
+}
+
+// [{ name, applied, appliedAt }] for every migration file
+async function migrationStatus() {
+  await ensureMigrationsTable(db);
+  const result = await db.query("SELECT name, applied_at FROM schema_migrations");
+  const appliedAt = new Map(result.rows.map((row) => [row.name, row.applied_at]));
+  return listMigrations().map((m) => ({
+    name: m.name,
+    applied: appliedAt.has(m.name),
+    appliedAt: appliedAt.get(m.name) || null,
+  }));
+}
+
+/**
+ * CLI:
+ *   node migrate.js up [target]   apply pending migrations (optionally stop at target)
+ *   node migrate.js down [steps]  roll back the last migration (or the last `steps`)
+ *   node migrate.js status        list migrations and whether they're applied
+ */
+async function main([command = "up", arg]) {
+  switch (command) {
+    case "up": {
+      const done = await migrateUp({ target: arg });
+      console.log(done.length ? `Applied ${done.length} migration(s)` : "Nothing to migrate");
+      break;
+    }
+    case "down": {
+      const steps = arg === "all" ? Infinity : parseInt(arg, 10) || 1;
+      const done = await migrateDown({ steps });
+      console.log(done.length ? `Rolled back ${done.length} migration(s)` : "Nothing to roll back");
+      break;
+    }
+    case "status": {
+      const status = await migrationStatus();
+      for (const m of status) {
+        console.log(`${m.applied ? "[x]" : "[ ]"} ${m.name}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (use up, down or status)`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.pool.end())
+    .catch(async (err) => {
+      console.error("// migration error", err.message);
+      await db.pool.end().catch(() => {});
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  listMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
@@ -0,0 +1,19 @@
+-- One row per login. Access tokens carry the session id so requireAuth
+-- can reject them once the session is revoked; the refresh token itself is
+-- only ever stored as a sha256 hash and is rotated on every refresh.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  user_agent TEXT,
+  ip_address VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_refresh_hash
+  ON user_sessions (refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+  ON user_sessions (user_id);
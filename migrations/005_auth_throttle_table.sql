@@ -0,0 +1,16 @@
+-- Failed login / password-reset attempts, counted per email and per IP.
+-- scope is the endpoint group ('login', 'forgot'), key_type is 'email' or 'ip'.
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(20) NOT NULL,
+  key_type VARCHAR(10) NOT NULL,
+  key_value VARCHAR(255) NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  first_failure_at TIMESTAMP DEFAULT NOW(),
+  last_failure_at TIMESTAMP DEFAULT NOW(),
+  locked_until TIMESTAMP,
+  UNIQUE (scope, key_type, key_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_throttle_locked_until
+  ON auth_throttle (locked_until);
@@ -0,0 +1,4 @@
+-- tokens stay hashed (the plaintext is gone), so outstanding links stop working
+UPDATE users SET verification_token = NULL, reset_token = NULL;
+ALTER TABLE users DROP COLUMN IF EXISTS reset_token_expires_at;
+ALTER TABLE users DROP COLUMN IF EXISTS verification_token_expires_at;
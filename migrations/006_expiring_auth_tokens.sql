@@ -0,0 +1,17 @@
+-- verification_token / reset_token now hold sha256 hashes of the emailed token
+-- and are only valid until their *_expires_at.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_token_expires_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_expires_at TIMESTAMP;
+
+-- outstanding verification links keep working for two more days
+UPDATE users
+SET verification_token = encode(sha256(verification_token::bytea), 'hex'),
+    verification_token_expires_at = NOW() + INTERVAL '2 days'
+WHERE verification_token IS NOT NULL
+  AND verification_token_expires_at IS NULL;
+
+-- old plaintext reset links never expired, kill them
+UPDATE users
+SET reset_token = NULL
+WHERE reset_token IS NOT NULL
+  AND reset_token_expires_at IS NULL;
@@ -0,0 +1,20 @@
+-- Durable outbox: mail is rendered and stored here first, then sent by the
+-- outbox worker with retries, so a mail server hiccup never fails a request.
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id SERIAL PRIMARY KEY,
+  template VARCHAR(50) NOT NULL,
+  to_address VARCHAR(200) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending, sending, sent, failed
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_pending
+  ON mail_outbox (status, next_attempt_at);
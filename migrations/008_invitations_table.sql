@@ -0,0 +1,21 @@
+-- Admin-sent invitations. The emailed token is stored as a sha256 hash.
+CREATE TABLE IF NOT EXISTS invitations (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(200) NOT NULL,
+  role VARCHAR(50) NOT NULL DEFAULT 'user',
+  promotion_ids INT[] NOT NULL DEFAULT '{}',  -- assigned to the user on acceptance
+  token_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending, accepted, revoked
+  invited_by INT REFERENCES users(id) ON DELETE SET NULL,
+  accepted_user_id INT REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_token_hash
+  ON invitations (token_hash);
+-- at most one open invitation per email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_pending_email
+  ON invitations (email) WHERE status = 'pending';
@@ -0,0 +1,3 @@
+-- users.role keeps the role names, it was never a foreign key
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,59 @@
+-- Roles are named sets of permissions. users.role holds the role name.
+-- System roles (user, admin, superadmin) can't be deleted; superadmin holds
+-- the '*' wildcard so it always has every permission, including future ones.
+CREATE TABLE IF NOT EXISTS roles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  description TEXT,
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INT NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+  permission VARCHAR(100) NOT NULL,
+  PRIMARY KEY (role_id, permission)
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('user', 'Team member, manages their own bets, tasks and calendar', true),
+  ('admin', 'Manages team members, finances, promotions and all team data', true),
+  ('superadmin', 'Full access, including roles and permissions', true)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM roles r
+CROSS JOIN (VALUES
+  ('users:read'),
+  ('users:write'),
+  ('invites:write'),
+  ('security:manage'),
+  ('mail:manage'),
+  ('finances:read'),
+  ('finances:write'),
+  ('promotions:read:any'),
+  ('promotions:write'),
+  ('promotions:assign'),
+  ('tasks:read:any'),
+  ('tasks:write:any'),
+  ('bets:read:any'),
+  ('bets:write:any'),
+  ('calendar:read:any'),
+  ('calendar:write:any'),
+  ('messages:read:any')
+) AS p(permission)
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, '*' FROM roles WHERE name = 'superadmin'
+ON CONFLICT DO NOTHING;
+
+-- keep any role names already in use so existing accounts stay valid
+INSERT INTO roles (name, description)
+SELECT DISTINCT role, 'Imported from existing users'
+FROM users
+WHERE role IS NOT NULL
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,16 @@
+-- "View as user": a superadmin acting as another user. Every request made
+-- with the impersonation token is logged to activity_log under the actor.
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id SERIAL PRIMARY KEY,
+  actor_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  actor_session_id INT NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  target_user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT,
+  allow_financial BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_actor
+  ON impersonation_sessions (actor_id);
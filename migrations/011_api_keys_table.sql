@@ -0,0 +1,19 @@
+-- Personal API keys for scripts/integrations. The key is shown once on creation;
+-- only its sha256 hash and a short prefix (to recognise it in lists) are stored.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',  -- e.g. {bets:read, tasks:write}
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_hash
+  ON api_keys (key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user
+  ON api_keys (user_id);
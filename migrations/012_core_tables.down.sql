@@ -0,0 +1,19 @@
+DROP TABLE IF EXISTS user_onboarding;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS thread_participants;
+DROP TABLE IF EXISTS threads;
+DROP TABLE IF EXISTS calendar_events;
+DROP TABLE IF EXISTS activity_log;
+DROP TABLE IF EXISTS tasks;
+DROP TABLE IF EXISTS user_promotion_progress;
+DROP TABLE IF EXISTS user_promotions_assigned;
+DROP TABLE IF EXISTS promotion_steps;
+DROP TABLE IF EXISTS promotions;
+DROP TABLE IF EXISTS bets;
+
+ALTER TABLE users DROP COLUMN IF EXISTS bank_name;
+ALTER TABLE users DROP COLUMN IF EXISTS paypal_email;
+ALTER TABLE users DROP COLUMN IF EXISTS address;
+ALTER TABLE users DROP COLUMN IF EXISTS phone;
+ALTER TABLE users DROP COLUMN IF EXISTS onboarding_completed;
@@ -0,0 +1,181 @@
+-- Tables the routes have always used but that were created by hand until now.
+-- Everything is IF NOT EXISTS so this is a no-op on databases that already have them
+-- (their existing definitions are left alone).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS onboarding_completed BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS address TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS paypal_email VARCHAR(200);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bank_name VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS bets (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL DEFAULT CURRENT_DATE,
+  matchup VARCHAR(255) NOT NULL DEFAULT '',
+  amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  result VARCHAR(50) DEFAULT 'Open',  -- Open, Won, Lost, Push
+  profit DECIMAL(10,2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bets_user_date ON bets (user_id, date);
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  image_url TEXT,
+  start_date DATE,
+  end_date DATE,
+  status VARCHAR(50) DEFAULT 'active',  -- active, archived
+  sportsbook_name VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS promotion_steps (
+  id SERIAL PRIMARY KEY,
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  step_number INT NOT NULL,
+  title VARCHAR(255),
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_steps_promotion
+  ON promotion_steps (promotion_id, step_number);
+
+CREATE TABLE IF NOT EXISTS user_promotions_assigned (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  assigned_at TIMESTAMP DEFAULT NOW()
+);
+
+-- assigning twice used to create a second row, keep the first one
+DELETE FROM user_promotions_assigned a
+USING user_promotions_assigned b
+WHERE a.user_id = b.user_id
+  AND a.promotion_id = b.promotion_id
+  AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_promotions_assigned_unique
+  ON user_promotions_assigned (user_id, promotion_id);
+CREATE INDEX IF NOT EXISTS idx_user_promotions_assigned_promotion
+  ON user_promotions_assigned (promotion_id);
+
+CREATE TABLE IF NOT EXISTS user_promotion_progress (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  completed_steps JSONB NOT NULL DEFAULT '[]',
+  progress_pct INT NOT NULL DEFAULT 0,
+  started_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_promotion_progress_unique
+  ON user_promotion_progress (user_id, promotion_id);
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(50) DEFAULT 'todo',
+  created_by INT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_user ON tasks (user_id);
+
+-- audit trail: TASK_CREATE, AUTH_LOCKOUT, IMPERSONATION_START, ...
+CREATE TABLE IF NOT EXISTS activity_log (
+  id SERIAL PRIMARY KEY,
+  user_id INT REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(100) NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_user ON activity_log (user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_activity_log_action ON activity_log (action, created_at);
+
+CREATE TABLE IF NOT EXISTS calendar_events (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  title VARCHAR(255) NOT NULL DEFAULT '',
+  is_blocked BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_user_date ON calendar_events (user_id, date);
+
+CREATE TABLE IF NOT EXISTS threads (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS thread_participants (
+  id SERIAL PRIMARY KEY,
+  thread_id INT NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(50) DEFAULT 'member',
+  joined_at TIMESTAMP DEFAULT NOW()
+);
+
+DELETE FROM thread_participants a
+USING thread_participants b
+WHERE a.thread_id = b.thread_id
+  AND a.user_id = b.user_id
+  AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_thread_participants_unique
+  ON thread_participants (thread_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_thread_participants_user
+  ON thread_participants (user_id);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id SERIAL PRIMARY KEY,
+  thread_id INT NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+  sender_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages (thread_id, created_at);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  read BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at);
+
+-- answers from the onboarding questionnaire, one row per submission
+CREATE TABLE IF NOT EXISTS user_onboarding (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  birthday DATE,
+  has_paypal BOOLEAN,
+  primary_bank VARCHAR(100),
+  used_sportsbooks BOOLEAN,
+  sportsbooks_used TEXT[],
+  calendar_availability JSONB,
+  completed_promotions TEXT[],
+  referral_name VARCHAR(200),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_onboarding_user ON user_onboarding (user_id);
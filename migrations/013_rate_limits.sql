@@ -0,0 +1,16 @@
+-- Request counters for rate limiting with RATE_LIMIT_STORE=postgres (see rateLimit.js).
+-- One row per route group and key (a user id or an IP), for the current fixed window.
+CREATE TABLE IF NOT EXISTS rate_limits (
+  route_group VARCHAR(50) NOT NULL,
+  key_type VARCHAR(10) NOT NULL,
+  key_value VARCHAR(255) NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  window_ms INT NOT NULL,
+  hits INT NOT NULL DEFAULT 0,
+  blocked INT NOT NULL DEFAULT 0,
+  last_blocked_at TIMESTAMPTZ,
+  PRIMARY KEY (route_group, key_type, key_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_last_blocked_at
+  ON rate_limits (last_blocked_at);
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS idx_bets_account;
+ALTER TABLE bets DROP COLUMN IF EXISTS potential_payout;
+ALTER TABLE bets DROP COLUMN IF EXISTS odds_decimal;
+ALTER TABLE bets DROP COLUMN IF EXISTS odds_american;
+ALTER TABLE bets DROP COLUMN IF EXISTS stake_type;
+ALTER TABLE bets DROP COLUMN IF EXISTS selection;
+ALTER TABLE bets DROP COLUMN IF EXISTS market;
+ALTER TABLE bets DROP COLUMN IF EXISTS bet_type;
+ALTER TABLE bets DROP COLUMN IF EXISTS account_id;
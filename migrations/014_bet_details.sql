@@ -0,0 +1,12 @@
+-- Odds, sportsbook account, bet type and stake type on bets.
+-- potential_payout and profit are computed by the API from the odds and result (bets.js).
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS account_id INT REFERENCES accounts(id) ON DELETE SET NULL;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS bet_type VARCHAR(20) NOT NULL DEFAULT 'straight';  -- straight, parlay, teaser, prop
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS market VARCHAR(100);                               -- e.g. moneyline, spread, total
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS selection VARCHAR(255);                            -- e.g. "Lakers -3.5"
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS stake_type VARCHAR(20) NOT NULL DEFAULT 'cash';    -- cash, free_bet, bonus
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS odds_american INT;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS odds_decimal DECIMAL(10,4);
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS potential_payout DECIMAL(12,2);
+
+CREATE INDEX IF NOT EXISTS idx_bets_account ON bets (account_id);
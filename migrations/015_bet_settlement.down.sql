@@ -0,0 +1,11 @@
+DELETE FROM role_permissions WHERE permission = 'bets:unsettle';
+
+DROP INDEX IF EXISTS idx_transactions_bet;
+-- from_account/to_account stay nullable: settlement entries have NULL on the
+-- sportsbook side and there's no account id that could stand in for it
+ALTER TABLE transactions DROP COLUMN IF EXISTS reversal_of;
+ALTER TABLE transactions DROP COLUMN IF EXISTS bet_id;
+
+ALTER TABLE bets DROP COLUMN IF EXISTS cashout_amount;
+ALTER TABLE bets DROP COLUMN IF EXISTS settled_by;
+ALTER TABLE bets DROP COLUMN IF EXISTS settled_at;
@@ -0,0 +1,18 @@
+-- Settling a bet locks it and posts its profit to the ledger (bets.js settleBet).
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS settled_by INT REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS cashout_amount DECIMAL(12,2);
+
+-- ledger entries from a settlement point at their bet; an unsettle writes
+-- reversing entries (reversal_of) instead of deleting anything
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS bet_id INT REFERENCES bets(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reversal_of INT REFERENCES transactions(id);
+-- NULL on one side = money coming from / going to the sportsbook itself
+ALTER TABLE transactions ALTER COLUMN from_account DROP NOT NULL;
+ALTER TABLE transactions ALTER COLUMN to_account DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_bet ON transactions (bet_id);
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, 'bets:unsettle' FROM roles WHERE name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,18 @@
+-- The selections of a parlay. The bet's odds are the product of its legs' odds
+-- (a pushed or voided leg counts as 1.00); see bets.js.
+CREATE TABLE IF NOT EXISTS bet_legs (
+  id SERIAL PRIMARY KEY,
+  bet_id INT NOT NULL REFERENCES bets(id) ON DELETE CASCADE,
+  leg_number INT NOT NULL,
+  event VARCHAR(255) NOT NULL,       -- e.g. "Lakers @ Celtics"
+  sport VARCHAR(50),
+  market VARCHAR(100),
+  selection VARCHAR(255) NOT NULL,
+  odds_american INT NOT NULL,
+  odds_decimal DECIMAL(10,4) NOT NULL,
+  result VARCHAR(20) NOT NULL DEFAULT 'Open',  -- Open, Won, Lost, Push, Void
+  graded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (bet_id, leg_number)
+);
@@ -0,0 +1,12 @@
+-- The sport a bet is on, for analytics (GET /api/bets/analytics).
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS sport VARCHAR(50);  -- e.g. NBA, NFL, Soccer
+
+-- parlays whose legs are all on one sport take that sport
+UPDATE bets b SET sport = l.sport
+FROM (
+  SELECT bet_id, MIN(sport) AS sport
+  FROM bet_legs
+  GROUP BY bet_id
+  HAVING COUNT(DISTINCT sport) = 1 AND COUNT(*) = COUNT(sport)
+) l
+WHERE l.bet_id = b.id AND b.sport IS NULL;
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS idx_transactions_to_account;
+DROP INDEX IF EXISTS idx_transactions_from_account;
+DROP INDEX IF EXISTS idx_transactions_user_date;
+DROP INDEX IF EXISTS idx_accounts_user;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS fk_transactions_to_account;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS fk_transactions_from_account;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS fk_transactions_user;
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS fk_accounts_user;
@@ -0,0 +1,43 @@
+-- Foreign keys and indexes that accounts and transactions were created without (002).
+-- Adding them checks the existing rows: a database with accounts or transactions
+-- pointing at deleted users/accounts has to be cleaned up by hand first.
+
+-- a user's accounts and ledger go with them. Each constraint is only added if
+-- it isn't there yet, so the script can be run again (see migrate.js).
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_accounts_user') THEN
+    ALTER TABLE accounts
+      ADD CONSTRAINT fk_accounts_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_transactions_user') THEN
+    ALTER TABLE transactions
+      ADD CONSTRAINT fk_transactions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+-- an account with ledger entries can't be deleted on its own. NO ACTION rather
+-- than RESTRICT: it's checked at the end of the statement, so deleting the user
+-- (which cascades to both tables) still works. NULL is the sportsbook side (015).
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_transactions_from_account') THEN
+    ALTER TABLE transactions
+      ADD CONSTRAINT fk_transactions_from_account FOREIGN KEY (from_account) REFERENCES accounts(id) ON DELETE NO ACTION;
+  END IF;
+END $$;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_transactions_to_account') THEN
+    ALTER TABLE transactions
+      ADD CONSTRAINT fk_transactions_to_account FOREIGN KEY (to_account) REFERENCES accounts(id) ON DELETE NO ACTION;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user ON accounts (user_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions (user_id, date);
+CREATE INDEX IF NOT EXISTS idx_transactions_from_account ON transactions (from_account);
+CREATE INDEX IF NOT EXISTS idx_transactions_to_account ON transactions (to_account);
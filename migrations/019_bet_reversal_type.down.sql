@@ -0,0 +1,4 @@
+UPDATE transactions r
+SET type = o.type
+FROM transactions o
+WHERE r.reversal_of = o.id AND r.type = 'Bet Reversal';
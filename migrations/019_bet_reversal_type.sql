@@ -0,0 +1,4 @@
+-- Unsettling wrote its reversing entries with the type of the entry they undo,
+-- so sums by type counted "Bet Win"/"Bet Loss" twice. They get their own type.
+-- Balances aren't recomputed: reversals already moved them back.
+UPDATE transactions SET type = 'Bet Reversal' WHERE reversal_of IS NOT NULL AND type <> 'Bet Reversal';
@@ -0,0 +1,2 @@
+-- the cleared bodies stay cleared
+ALTER TABLE mail_outbox DROP COLUMN IF EXISTS expires_at;
@@ -0,0 +1,7 @@
+-- Mail bodies hold live links (reset, verification, invitation). They're only
+-- kept until the mail is sent or its link expires (mailer.js); expires_at is
+-- when the link in it stops working, NULL for mail without one.
+ALTER TABLE mail_outbox ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- bodies of mail sent before this are no use anymore
+UPDATE mail_outbox SET text_body = '', html_body = NULL WHERE status = 'sent' AND text_body <> '';
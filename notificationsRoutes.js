@@ -1,34 +1,53 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
+const db = require("./db");
 const { requireAuth } = require("./authMiddleware");
+const { v, validate } = require("./validation");
+const { ForbiddenError, NotFoundError } = require("./errors");
+const { listing, equals, dateRange, fetchPage } = require("./pagination");
+const { rateLimit } = require("./rateLimit");
 
 const router = express.Router();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // ssl if needed:
-  // ssl: { rejectUnauthorized: false },
+const notificationList = listing({
+  sort: { created_at: "created_at", id: "id" },
+  defaultSort: "-created_at",
+  tiebreaker: "id",
+  filters: {
+    read: equals("read", v.boolean()),
+    ...dateRange("created_at"),
+  },
 });
 
+const updateNotificationSchema = {
+  params: { id: v.id() },
+  body: { read: v.boolean().optional() },
+};
+
+const createNotificationSchema = {
+  body: {
+    user_id: v.id(),
+    title: v.string({ min: 1, max: 255 }),
+    body: v.string().nullable().optional(),
+  },
+};
+
 /**
  * GET /api/notifications
  * returns the current user's notifications, newest first
+ * paginated, filters: read, from/to (created); see pagination.js
  */
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, validate({ query: notificationList.query }), async (req, res, next) => {
   try {
-    const userId = req.user.userId;
-    const query = `
-      SELECT id, title, body, read, created_at
-      FROM notifications
-      WHERE user_id=$1
-      ORDER BY created_at DESC
-    `;
-    const result = await pool.query(query, [userId]);
-    return res.json(result.rows);
+    const notifications = await fetchPage(req, res, notificationList, {
+      select: "id, title, body, read, created_at",
+      from: "notifications",
+      where: ["user_id = $1"],
+      params: [req.user.userId],
+    });
+    return res.json(notifications);
   } catch (err) {
-    console.error("// get notifications error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -37,23 +56,23 @@ router.get("/", requireAuth, async (req, res) => {
  * mark a notification as read (or update title/body if you want)
  * expects { read: true } or something similar
  */
-router.patch("/:id", requireAuth, async (req, res) => {
+router.patch("/:id", requireAuth, validate(updateNotificationSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const notifId = req.params.id;
     const { read } = req.body;
 
     // first fetch notification
-    const notifRes = await pool.query(
+    const notifRes = await db.query(
       "SELECT id, user_id FROM notifications WHERE id=$1",
       [notifId]
     );
     if (notifRes.rows.length === 0) {
-      return res.status(404).json({ error: "Notification not found" });
+      throw new NotFoundError("Notification not found");
     }
     const notif = notifRes.rows[0];
     if (notif.user_id !== userId) {
-      return res.status(403).json({ error: "Not your notification" });
+      throw new ForbiddenError("Not your notification");
     }
 
     // build partial update
@@ -64,7 +83,7 @@ router.patch("/:id", requireAuth, async (req, res) => {
     // if we pass read in the body, we update it
     if (read !== undefined) {
       fields.push("read=$1");
-      values.push(!!read); // force boolean
+      values.push(read);
     }
     if (fields.length === 0) {
       return res.json({ message: "No changes" });
@@ -74,14 +93,13 @@ router.patch("/:id", requireAuth, async (req, res) => {
     updateQuery += " RETURNING id, user_id, title, body, read, created_at";
     values.push(notifId);
 
-    const updateRes = await pool.query(updateQuery, values);
+    const updateRes = await db.query(updateQuery, values);
     return res.json({
       message: "Notification updated",
       notification: updateRes.rows[0]
     });
   } catch (err) {
-    console.error("// update notification error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -90,15 +108,12 @@ router.patch("/:id", requireAuth, async (req, res) => {
  * for an admin or some system function to create a notification for a user
  * expects { user_id, title, body }
  */
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, rateLimit("notifications"), validate(createNotificationSchema), async (req, res, next) => {
   try {
     // if only admin can do this, check if role=admin or superadmin
     // here we skip the role check for simplicity
     const { user_id, title, body } = req.body;
-    if (!user_id || !title) {
-      return res.status(400).json({ error: "Missing user_id or title" });
-    }
-    const insertRes = await pool.query(
+    const insertRes = await db.query(
       `INSERT INTO notifications (user_id, title, body)
        VALUES ($1, $2, $3)
        RETURNING id, user_id, title, body, read, created_at`,
@@ -109,9 +124,15 @@ router.post("/", requireAuth, async (req, res) => {
       notification: insertRes.rows[0]
     });
   } catch (err) {
-    console.error("// create notification error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /": "List your notifications, newest first",
+  "PATCH /:id": "Mark a notification as read",
+  "POST /": "Create a notification for a user",
+};
+
 module.exports = router;
@@ -1,13 +1,24 @@
 const express = require("express");
 const router = express.Router();
-const { Pool } = require("pg");
+const db = require("./db");
 const { requireAuth } = require("./authMiddleware");  // Explicit destructuring
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
+const onboardingSchema = {
+  body: {
+    birthday: v.date().nullable().optional(),
+    has_paypal: v.boolean().optional(),
+    primary_bank: v.string({ max: 100 }).nullable().optional(),
+    used_sportsbooks: v.boolean().optional(),
+    sportsbooks_used: v.array(v.string({ min: 1, max: 100 }), { max: 50 }).optional(),
+    calendar_availability: v.json().optional(),
+    completed_promotions: v.array(v.string({ min: 1, max: 200 }), { max: 100 }).optional(),
+    referral_name: v.string({ max: 200 }).nullable().optional(),
+  },
+};
 
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, rateLimit("onboarding"), validate(onboardingSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const {
@@ -21,34 +32,41 @@ router.post("/", requireAuth, async (req, res) => {
       referral_name,
     } = req.body;
 
-    await pool.query(`
-      INSERT INTO user_onboarding (
-        user_id, birthday, has_paypal, primary_bank, used_sportsbooks,
-        sportsbooks_used, calendar_availability, completed_promotions, referral_name
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-    `, [
-      userId,
-      birthday,
-      has_paypal,
-      primary_bank,
-      used_sportsbooks,
-      sportsbooks_used,
-      calendar_availability,
-      completed_promotions,
-      referral_name,
-    ]);
+    // answers and the completed flag are saved together
+    await db.withTransaction(async (client) => {
+      await client.query(`
+        INSERT INTO user_onboarding (
+          user_id, birthday, has_paypal, primary_bank, used_sportsbooks,
+          sportsbooks_used, calendar_availability, completed_promotions, referral_name
+        )
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+      `, [
+        userId,
+        birthday,
+        has_paypal,
+        primary_bank,
+        used_sportsbooks,
+        sportsbooks_used,
+        calendar_availability,
+        completed_promotions,
+        referral_name,
+      ]);
 
-    await pool.query(
-      "UPDATE users SET onboarding_completed=true WHERE id=$1",
-      [userId]
-    );
+      await client.query(
+        "UPDATE users SET onboarding_completed=true WHERE id=$1",
+        [userId]
+      );
+    });
 
     res.status(200).json({ message: "Onboarding complete" });
   } catch (err) {
-    console.error("Onboarding error:", err);
-    res.status(500).json({ error: "Server error during onboarding" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "POST /": "Save the onboarding answers and finish onboarding",
+};
+
 module.exports = router;
@@ -0,0 +1,214 @@
+const express = require("express");
+const swaggerUi = require("swagger-ui-express");
+const { requireAuth } = require("./authMiddleware");
+const { version } = require("./package.json");
+
+/**
+ * OpenAPI 3 document built from the routers themselves:
+ *   - paths and methods from each router's routes
+ *   - params / query / body schemas from their validate() middleware
+ *   - auth and permissions from requireAuth / requirePermission
+ *   - the summary from router.docs, keyed by "METHOD /path" as written in the router
+ * A route without a router.docs entry is left out (test/openapi.test.js catches that).
+ */
+
+const ERROR_RESPONSE = { $ref: "#/components/responses/Error" };
+
+// validation.js schema -> OpenAPI schema object
+function toOpenApiSchema(s) {
+  const out = {};
+  for (const [key, value] of Object.entries(s.spec)) {
+    if (value !== undefined && key !== "items" && key !== "properties") {
+      out[key] = value;
+    }
+  }
+  if (s.type === "array") {
+    out.items = toOpenApiSchema(s.spec.items);
+  }
+  if (s.type === "object") {
+    const shape = s.spec.properties;
+    out.properties = Object.fromEntries(
+      Object.entries(shape).map(([key, prop]) => [key, toOpenApiSchema(prop)])
+    );
+    const required = Object.keys(shape).filter((key) => shape[key].required);
+    if (required.length > 0) {
+      out.required = required;
+    }
+  }
+  if (s.allowNull) out.nullable = true;
+  if (s.description) out.description = s.description;
+  if (s.defaultValue !== undefined && typeof s.defaultValue !== "function") {
+    out.default = s.defaultValue;
+  }
+  return out;
+}
+
+// "/api" + "/bets/:id" -> "/api/bets/{id}"
+function toOpenApiPath(mountPath, routePath) {
+  const full = routePath === "/" ? mountPath : `${mountPath}${routePath}`;
+  return full.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * Every route of the given [mountPath, router] list:
+ * [{ method, path, docsKey, router, route, handlers }] (route is Express's Route)
+ */
+function listRoutes(routers) {
+  const routes = [];
+  for (const [mountPath, router] of routers) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method,
+          path: toOpenApiPath(mountPath, layer.route.path),
+          docsKey: `${method.toUpperCase()} ${layer.route.path}`,
+          tag: mountPath.split("/")[2] || "health",
+          router,
+          route: layer.route,
+          handlers: layer.route.stack.map((routeLayer) => routeLayer.handle),
+        });
+      }
+    }
+  }
+  return routes;
+}
+
+function buildOperation(route, summary) {
+  const schemas = {};
+  const extraContent = {};
+  const permissions = [];
+  let authenticated = false;
+  for (const handler of route.handlers) {
+    if (handler === requireAuth) authenticated = true;
+    if (handler.permissions) permissions.push(...handler.permissions);
+    Object.assign(schemas, handler.validationSchemas);
+    // other request body types a handler accepts, as OpenAPI media types
+    Object.assign(extraContent, handler.requestContent);
+  }
+
+  const parameters = [];
+  const pathParams = schemas.params ? schemas.params.spec.properties : {};
+  for (const [, name] of route.path.matchAll(/\{(\w+)\}/g)) {
+    parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: pathParams[name] ? toOpenApiSchema(pathParams[name]) : { type: "string" },
+    });
+  }
+  if (schemas.query) {
+    for (const [name, s] of Object.entries(schemas.query.spec.properties)) {
+      parameters.push({ name, in: "query", required: s.required, schema: toOpenApiSchema(s) });
+    }
+  }
+
+  const operation = { tags: [route.tag], summary };
+  if (permissions.length > 0) {
+    operation.description = `Needs permission: ${permissions.join(", ")}`;
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: toOpenApiSchema(schemas.body) }, ...extraContent },
+    };
+  }
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }, { apiKey: [] }];
+  }
+  operation.responses = {
+    200: { description: "OK", content: { "application/json": { schema: { type: "object" } } } },
+    default: ERROR_RESPONSE,
+  };
+  return operation;
+}
+
+function buildSpec(routers) {
+  const paths = {};
+  for (const route of listRoutes(routers)) {
+    const summary = route.router.docs && route.router.docs[route.docsKey];
+    if (!summary) continue;
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route, summary);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "BetLogic API",
+      version,
+      description:
+        "Errors always answer { code, message, details, requestId }. " +
+        "Validation errors list every invalid field in details.",
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "Access token from /api/auth/login, or a personal API key (bl_...)",
+        },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            code: { type: "string", example: "VALIDATION_FAILED" },
+            message: { type: "string" },
+            details: { nullable: true },
+            requestId: { type: "string" },
+          },
+          required: ["code", "message", "details", "requestId"],
+        },
+      },
+      responses: {
+        Error: {
+          description: "Error",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * GET /openapi.json and the Swagger UI for the given routers.
+ * The document is built on first use, once every router is mounted.
+ */
+function docsRouter(routers) {
+  const router = express.Router();
+  let spec = null;
+  const getSpec = () => {
+    spec = spec || buildSpec(routers);
+    return spec;
+  };
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(getSpec());
+  });
+  router.use(
+    "/",
+    (req, res, next) => {
+      req.swaggerDoc = getSpec();
+      next();
+    },
+    swaggerUi.serveFiles(),
+    swaggerUi.setup()
+  );
+
+  router.docs = {
+    "GET /openapi.json": "This OpenAPI document",
+  };
+  return router;
+}
+
+module.exports = {
+  listRoutes,
+  buildSpec,
+  docsRouter,
+};
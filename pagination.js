@@ -0,0 +1,142 @@
+const db = require("./db");
+const { v } = require("./validation");
+
+/**
+ * Pagination, filtering and sorting shared by the list endpoints:
+ *
+ *   GET /api/bets?limit=50&offset=100&sort=-date,amount&from=2025-01-01&to=2025-01-31&user_id=3
+ *
+ * - limit (default 50, at most 500) and offset
+ * - sort: comma-separated fields from the route's whitelist, "-" for descending
+ * - filters declared per route; date ranges are always from/to (inclusive)
+ * The body is still the page of rows. The number of matching rows is in the
+ * X-Total-Count header and the next/prev pages in the Link header.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const SORT_PATTERN = /^-?\w+(,-?\w+)*$/;
+
+// a query param that narrows the list; sql(placeholder) returns the WHERE condition
+function filter(schema, sql) {
+  return { schema, sql };
+}
+
+function equals(column, schema) {
+  return filter(schema, (p) => `${column} = ${p}`);
+}
+
+// from/to on a date or timestamp column, both days included
+function dateRange(column) {
+  return {
+    from: filter(v.date(), (p) => `${column} >= ${p}`),
+    to: filter(v.date(), (p) => `${column} < ${p}::date + 1`),
+  };
+}
+
+/**
+ * A list definition:
+ *   sort: { field: "sql column" } whitelist; defaultSort like "-date"
+ *   tiebreaker: unique column appended to every ORDER BY so pages don't overlap
+ *   filters: { param: filter(...) }
+ * .query is the shape to pass to validate({ query }).
+ */
+function listing({ sort, defaultSort, tiebreaker, filters = {} }) {
+  const sortFields = Object.keys(sort);
+  const query = {
+    limit: v.integer({ min: 1, max: MAX_LIMIT }).default(DEFAULT_LIMIT),
+    offset: v.integer({ min: 0 }).default(0),
+    sort: v
+      .string({ max: 200, pattern: SORT_PATTERN })
+      .default(defaultSort)
+      .describe(`comma-separated, "-" for descending; one of: ${sortFields.join(", ")}`)
+      .check(async (value) => {
+        const unknown = value.split(",").find((part) => !sortFields.includes(part.replace(/^-/, "")));
+        return unknown ? `can only sort by: ${sortFields.join(", ")}` : null;
+      }),
+  };
+  for (const [name, f] of Object.entries(filters)) {
+    query[name] = f.schema.optional();
+  }
+  return { sort, tiebreaker, filters, query };
+}
+
+function orderBy(list, sortParam) {
+  const parts = sortParam.split(",").map((part) => {
+    const desc = part.startsWith("-");
+    return `${list.sort[part.replace(/^-/, "")]} ${desc ? "DESC" : "ASC"}`;
+  });
+  if (list.tiebreaker) {
+    parts.push(`${list.tiebreaker} DESC`);
+  }
+  return parts.join(", ");
+}
+
+// Link header with the next/prev pages, same query otherwise
+function pageLinks(req, { limit, offset, total }) {
+  const link = (rel, pageOffset) => {
+    const url = new URL(req.originalUrl, "http://localhost");
+    url.searchParams.set("limit", String(limit));
+    url.searchParams.set("offset", String(pageOffset));
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  };
+  const links = [];
+  if (offset + limit < total) links.push(link("next", offset + limit));
+  if (offset > 0) links.push(link("prev", Math.max(offset - limit, 0)));
+  return links.join(", ");
+}
+
+/**
+ * The WHERE clause for the filters present in query (already validated),
+ * after the fixed where/params conditions. Returns { whereSql, values }.
+ */
+function whereFilters(filters, query, { where = [], params = [] } = {}) {
+  const conditions = [...where];
+  const values = [...params];
+  for (const [name, f] of Object.entries(filters)) {
+    if (query[name] !== undefined) {
+      values.push(query[name]);
+      conditions.push(f.sql(`$${values.length}`));
+    }
+  }
+  const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  return { whereSql, values };
+}
+
+/**
+ * Runs a list query for req.query (already validated against list.query) and
+ * sets the paging headers. Returns the rows of the page.
+ *   select: column list, from: FROM clause (with joins)
+ *   where/params: fixed conditions using $1.. (filters are numbered after them)
+ */
+async function fetchPage(req, res, list, { select, from, where = [], params = [] }) {
+  const { whereSql, values } = whereFilters(list.filters, req.query, { where, params });
+  const { limit, offset } = req.query;
+
+  const countRes = await db.query(`SELECT COUNT(*)::int AS total FROM ${from} ${whereSql}`, values);
+  const rowsRes = await db.query(
+    `SELECT ${select} FROM ${from} ${whereSql}
+     ORDER BY ${orderBy(list, req.query.sort)}
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+
+  const total = countRes.rows[0].total;
+  res.set("X-Total-Count", String(total));
+  const links = pageLinks(req, { limit, offset, total });
+  if (links) {
+    res.set("Link", links);
+  }
+  return rowsRes.rows;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  filter,
+  equals,
+  dateRange,
+  listing,
+  whereFilters,
+  fetchPage,
+};
@@ -0,0 +1,88 @@
+require("dotenv").config();
+const db = require("./db");
+
+/**
+ * Every permission the API checks. Roles in the DB grant a subset of these
+ * ("*" grants all). Access to your own bets/tasks/calendar needs no permission;
+ * the ":any" variants are for other people's data.
+ */
+const PERMISSIONS = {
+  "users:read": "List team members",
+  "users:write": "Edit, deactivate and log out team members",
+  "users:roles": "Change a team member's role",
+  "users:impersonate": "View the app as another team member",
+  "roles:manage": "Create and edit roles",
+  "invites:write": "Invite new team members",
+  "security:manage": "View and clear login lockouts, see who is rate limited",
+  "mail:manage": "View and retry outgoing email",
+  "finances:read": "View everyone's transactions and the company overview",
+  "finances:write": "Create and edit transactions",
+  "promotions:read:any": "View every promotion",
+  "promotions:write": "Create and edit promotions",
+  "promotions:assign": "Assign promotions to team members",
+  "tasks:read:any": "View everyone's tasks",
+  "tasks:write:any": "Create and edit tasks for anyone",
+  "bets:read:any": "View everyone's bets",
+  "bets:write:any": "Create and edit bets for anyone",
+  "bets:unsettle": "Reverse a settled bet and its ledger entries",
+  "calendar:read:any": "View everyone's calendar",
+  "calendar:write:any": "Create and edit calendar events for anyone",
+  "messages:read:any": "Admin message inbox",
+};
+
+const WILDCARD = "*";
+
+const CACHE_TTL_MS = parseInt(process.env.AUTH_CACHE_TTL_MS, 10) || 30000;
+// role name -> { permissions: Set, cachedUntil }
+const roleCache = new Map();
+
+function isKnownPermission(permission) {
+  return permission === WILDCARD || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+}
+
+// Set of permissions granted to a role (empty if the role doesn't exist)
+async function getRolePermissions(roleName) {
+  const cached = roleCache.get(roleName);
+  if (cached && cached.cachedUntil > Date.now()) {
+    return cached.permissions;
+  }
+  const result = await db.query(
+    `SELECT rp.permission
+     FROM roles r
+     JOIN role_permissions rp ON rp.role_id = r.id
+     WHERE r.name=$1`,
+    [roleName]
+  );
+  const permissions = new Set(result.rows.map((row) => row.permission));
+  roleCache.set(roleName, { permissions, cachedUntil: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+async function roleHasPermission(roleName, permission) {
+  const permissions = await getRolePermissions(roleName);
+  return permissions.has(WILDCARD) || permissions.has(permission);
+}
+
+// call after editing a role's permissions (or with no name to clear everything)
+function invalidateRole(roleName) {
+  if (roleName) {
+    roleCache.delete(roleName);
+  } else {
+    roleCache.clear();
+  }
+}
+
+async function roleExists(roleName) {
+  const result = await db.query("SELECT id FROM roles WHERE name=$1", [roleName]);
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  PERMISSIONS,
+  WILDCARD,
+  isKnownPermission,
+  getRolePermissions,
+  roleHasPermission,
+  invalidateRole,
+  roleExists,
+};
@@ -1,31 +1,60 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
-const { requireAuth, requireAdmin } = require("./authMiddleware");
+const db = require("./db");
+const { withTransaction } = db;
+const { requireAuth, requirePermission, financialMutation } = require("./authMiddleware");
 // adjust path if your authMiddleware is in a subfolder
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
+const { ForbiddenError, NotFoundError } = require("./errors");
 
 const router = express.Router();
 
-// create pg pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // if needed for Render SSL:
-  // ssl: { rejectUnauthorized: false },
-});
+const promotionParams = { id: v.id() };
+
+const createPromotionSchema = {
+  body: {
+    title: v.string({ min: 1, max: 255 }),
+    description: v.string().nullable().optional(),
+    imageUrl: v.string({ max: 2000 }).nullable().optional(),
+    startDate: v.date().nullable().optional(),
+    endDate: v.date().nullable().optional(),
+    sportsbook_name: v.string({ max: 100 }).nullable().optional(),
+    steps: v
+      .array(
+        v.object({
+          step_number: v.integer({ min: 1 }),
+          title: v.string({ max: 255 }).nullable().optional(),
+          description: v.string().nullable().optional(),
+        }),
+        { max: 100 }
+      )
+      .optional(),
+  },
+};
+
+const progressSchema = {
+  params: promotionParams,
+  body: { completedSteps: v.array(v.integer({ min: 1 }), { max: 100 }).default(() => []) },
+};
+
+const assignSchema = {
+  body: { userId: v.id(), promotionId: v.id() },
+};
 
 /**
  * Helper to create a sportsbook account if user doesn't have it yet.
- * Called when user completes step 1 of a promotion.
+ * Called when user completes step 1 of a promotion, inside the progress transaction.
  */
-async function autoCreateSportsbookAccount(userId, accountName) {
+async function autoCreateSportsbookAccount(client, userId, accountName) {
   // check if user already has that account
-  const checkRes = await pool.query(
+  const checkRes = await client.query(
     "SELECT id FROM accounts WHERE user_id=$1 AND name=$2",
     [userId, accountName]
   );
   if (checkRes.rows.length === 0) {
     // insert
-    await pool.query(
+    await client.query(
       "INSERT INTO accounts (user_id, name) VALUES ($1, $2)",
       [userId, accountName]
     );
@@ -36,7 +65,7 @@ async function autoCreateSportsbookAccount(userId, accountName) {
  * GET /api/promotions
  * returns promotions assigned to the current user from user_promotions_assigned table
  */
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, async (req, res, next) => {
   try {
     const userId = req.user.userId;
     // only return promotions assigned to this user
@@ -48,11 +77,10 @@ router.get("/", requireAuth, async (req, res) => {
       AND p.status <> 'archived'
       ORDER BY p.created_at DESC
     `;
-    const result = await pool.query(query, [userId]);
+    const result = await db.query(query, [userId]);
     return res.json(result.rows);
   } catch (err) {
-    console.error("// get user assigned promotions error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -60,32 +88,32 @@ router.get("/", requireAuth, async (req, res) => {
  * GET /api/promotions/:id
  * returns detail for one promotion plus its steps
  */
-router.get("/:id", requireAuth, async (req, res) => {
+router.get("/:id", requireAuth, validate({ params: promotionParams }), async (req, res, next) => {
   try {
     const promoId = req.params.id;
 
     // check if user is assigned to this promotion
-    const assignCheck = await pool.query(
+    const assignCheck = await db.query(
       `SELECT id FROM user_promotions_assigned
        WHERE user_id=$1 AND promotion_id=$2`,
       [req.user.userId, promoId]
     );
     if (assignCheck.rows.length === 0) {
-      return res.status(403).json({ error: "You are not assigned this promotion" });
+      throw new ForbiddenError("You are not assigned this promotion");
     }
 
     // fetch promotion
-    const promoRes = await pool.query(
+    const promoRes = await db.query(
       "SELECT id, title, description, image_url, status, start_date, end_date, sportsbook_name FROM promotions WHERE id=$1",
       [promoId]
     );
     if (promoRes.rows.length === 0) {
-      return res.status(404).json({ error: "Promotion not found" });
+      throw new NotFoundError("Promotion not found");
     }
     const promotion = promoRes.rows[0];
 
     // fetch steps
-    const stepsRes = await pool.query(
+    const stepsRes = await db.query(
       `SELECT id, promotion_id, step_number, title, description
        FROM promotion_steps
        WHERE promotion_id=$1
@@ -98,20 +126,19 @@ router.get("/:id", requireAuth, async (req, res) => {
       steps: stepsRes.rows,
     });
   } catch (err) {
-    console.error("// get promotion detail error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
 /**
  * POST /api/promotions
- * admin-only route to create a new promotion + optional steps
+ * needs promotions:write. creates a new promotion + optional steps
  * expects: {
- *   title, description, imageUrl, startDate, endDate, sportsbookName,
+ *   title, description, imageUrl, startDate, endDate, sportsbook_name,
  *   steps:[{step_number, title, description}...]
  * }
  */
-router.post("/", requireAuth, requireAdmin, async (req, res) => {
+router.post("/", requireAuth, requirePermission("promotions:write"), rateLimit("promotions"), validate(createPromotionSchema), async (req, res, next) => {
     try {
       const {
         title,
@@ -123,48 +150,46 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
         steps
       } = req.body;
   
-      if (!title) {
-        return res.status(400).json({ error: "Missing title" });
-      }
-  
-      // insert promotion, including sportsbook_name
-      const promoRes = await pool.query(
-        `INSERT INTO promotions
-           (title, description, image_url, start_date, end_date, sportsbook_name)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING id, title, description, image_url, start_date, end_date, status, sportsbook_name`,
-        [
-          title,
-          description || null,
-          imageUrl || null,
-          startDate || null,
-          endDate || null,
-          sportsbook_name || null
-        ]
-      );
-      const newPromo = promoRes.rows[0];
-      const promoId = newPromo.id;
-  
-      // if steps array is provided
-      if (Array.isArray(steps) && steps.length > 0) {
-        for (const s of steps) {
-          const { step_number, title: stitle, description: sdesc } = s;
-          await pool.query(
-            `INSERT INTO promotion_steps
-               (promotion_id, step_number, title, description)
-             VALUES ($1, $2, $3, $4)`,
-            [promoId, step_number, stitle || null, sdesc || null]
-          );
+      // promotion and its steps are created together, a bad step leaves nothing behind
+      const newPromo = await withTransaction(async (client) => {
+        // insert promotion, including sportsbook_name
+        const promoRes = await client.query(
+          `INSERT INTO promotions
+             (title, description, image_url, start_date, end_date, sportsbook_name)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id, title, description, image_url, start_date, end_date, status, sportsbook_name`,
+          [
+            title,
+            description || null,
+            imageUrl || null,
+            startDate || null,
+            endDate || null,
+            sportsbook_name || null
+          ]
+        );
+        const promoId = promoRes.rows[0].id;
+
+        // if steps array is provided
+        if (Array.isArray(steps) && steps.length > 0) {
+          for (const s of steps) {
+            const { step_number, title: stitle, description: sdesc } = s;
+            await client.query(
+              `INSERT INTO promotion_steps
+                 (promotion_id, step_number, title, description)
+               VALUES ($1, $2, $3, $4)`,
+              [promoId, step_number, stitle || null, sdesc || null]
+            );
+          }
         }
-      }
+        return promoRes.rows[0];
+      });
   
       return res.json({
         message: "Promotion created",
         promotion: newPromo
       });
     } catch (err) {
-      console.error("// create promotion error", err);
-      res.status(500).json({ error: "Server error" });
+      next(err);
     }
   });
   
@@ -174,34 +199,33 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
  * user updates their progress for a promotion
  * expects { completedSteps: [...] }
  * automatically calculates progressPct, creates an account if step 1 is completed
+ * (so it's a financial change, blocked while impersonating)
  */
-router.post("/:id/progress", requireAuth, async (req, res) => {
+router.post("/:id/progress", requireAuth, financialMutation, rateLimit("promotions"), validate(progressSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const promoId = req.params.id;
     const { completedSteps } = req.body;
 
     // check assignment
-    const assignCheck = await pool.query(
+    const assignCheck = await db.query(
       `SELECT id FROM user_promotions_assigned
        WHERE user_id=$1 AND promotion_id=$2`,
       [userId, promoId]
     );
     if (assignCheck.rows.length === 0) {
-      return res.status(403).json({ error: "You are not assigned this promotion" });
+      throw new ForbiddenError("You are not assigned this promotion");
     }
 
     // fetch total steps
-    const countRes = await pool.query(
+    const countRes = await db.query(
       "SELECT COUNT(*) as total FROM promotion_steps WHERE promotion_id=$1",
       [promoId]
     );
     const totalSteps = parseInt(countRes.rows[0].total, 10) || 0;
 
     // unique completed steps
-    const uniqueCompleted = Array.isArray(completedSteps)
-      ? [...new Set(completedSteps)]
-      : [];
+    const uniqueCompleted = [...new Set(completedSteps)];
 
     // compute newPct
     let newPct = 0;
@@ -210,51 +234,52 @@ router.post("/:id/progress", requireAuth, async (req, res) => {
     }
 
     // fetch the promotion row to see if there's a sportsbook_name
-    const promoRes = await pool.query(
+    const promoRes = await db.query(
       "SELECT id, sportsbook_name FROM promotions WHERE id=$1",
       [promoId]
     );
     if (promoRes.rows.length === 0) {
-      return res.status(404).json({ error: "Promotion not found" });
+      throw new NotFoundError("Promotion not found");
     }
     const { sportsbook_name } = promoRes.rows[0];
 
-    // if step 1 is in uniqueCompleted, and there's a sportsbook_name, create account
-    if (uniqueCompleted.includes(1) && sportsbook_name) {
-      await autoCreateSportsbookAccount(userId, sportsbook_name);
-    }
+    // account creation and the progress row commit together
+    const result = await withTransaction(async (client) => {
+      // if step 1 is in uniqueCompleted, and there's a sportsbook_name, create account
+      if (uniqueCompleted.includes(1) && sportsbook_name) {
+        await autoCreateSportsbookAccount(client, userId, sportsbook_name);
+      }
 
-    // check if user_promotion_progress row exists
-    const uppRes = await pool.query(
-      "SELECT id, completed_steps, progress_pct FROM user_promotion_progress WHERE user_id=$1 AND promotion_id=$2",
-      [userId, promoId]
-    );
-    if (uppRes.rows.length === 0) {
-      // insert
-      const insertRes = await pool.query(
-        `INSERT INTO user_promotion_progress
-           (user_id, promotion_id, completed_steps, progress_pct, started_at)
-         VALUES ($1, $2, $3, $4, NOW())
-         RETURNING id, user_id, promotion_id, completed_steps, progress_pct, started_at, completed_at`,
-        [
-          userId,
-          promoId,
-          JSON.stringify(uniqueCompleted),
-          newPct
-        ]
+      // check if user_promotion_progress row exists (locked against concurrent updates)
+      const uppRes = await client.query(
+        `SELECT id, completed_steps, progress_pct FROM user_promotion_progress
+         WHERE user_id=$1 AND promotion_id=$2
+         FOR UPDATE`,
+        [userId, promoId]
       );
-      return res.json({
-        message: "Progress created",
-        progress: insertRes.rows[0]
-      });
-    } else {
+      if (uppRes.rows.length === 0) {
+        // insert
+        const insertRes = await client.query(
+          `INSERT INTO user_promotion_progress
+             (user_id, promotion_id, completed_steps, progress_pct, started_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           RETURNING id, user_id, promotion_id, completed_steps, progress_pct, started_at, completed_at`,
+          [
+            userId,
+            promoId,
+            JSON.stringify(uniqueCompleted),
+            newPct
+          ]
+        );
+        return { message: "Progress created", progress: insertRes.rows[0] };
+      }
       // update
       const existing = uppRes.rows[0];
       let completedAtClause = "";
       if (newPct === 100) {
         completedAtClause = ", completed_at=NOW()";
       }
-      const updateRes = await pool.query(
+      const updateRes = await client.query(
         `UPDATE user_promotion_progress
          SET completed_steps=$1,
              progress_pct=$2,
@@ -264,38 +289,40 @@ router.post("/:id/progress", requireAuth, async (req, res) => {
          RETURNING id, user_id, promotion_id, completed_steps, progress_pct, started_at, completed_at`,
         [JSON.stringify(uniqueCompleted), newPct, existing.id]
       );
-      return res.json({
-        message: "Progress updated",
-        progress: updateRes.rows[0]
-      });
-    }
+      return { message: "Progress updated", progress: updateRes.rows[0] };
+    });
+    return res.json(result);
   } catch (err) {
-    console.error("// update progress error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
 /**
  * POST /api/promotions/assign
  * Body: { userId, promotionId }
- * admin-only. assigns a promotion to a user in user_promotions_assigned
+ * needs promotions:assign. assigns a promotion to a user in user_promotions_assigned
  */
-router.post("/assign", requireAuth, requireAdmin, async (req, res) => {
+router.post("/assign", requireAuth, requirePermission("promotions:assign"), rateLimit("promotions"), validate(assignSchema), async (req, res, next) => {
   try {
     const { userId, promotionId } = req.body;
-    if (!userId || !promotionId) {
-      return res.status(400).json({ error: "Missing userId or promotionId" });
-    }
-    await pool.query(
+    await db.query(
       `INSERT INTO user_promotions_assigned (user_id, promotion_id)
        VALUES ($1, $2)`,
       [userId, promotionId]
     );
     return res.json({ message: "Promotion assigned to user" });
   } catch (err) {
-    console.error("// assign promo error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /": "List the promotions assigned to you",
+  "GET /:id": "A promotion and its steps",
+  "POST /": "Create a promotion with optional steps",
+  "POST /:id/progress": "Save your completed steps for a promotion",
+  "POST /assign": "Assign a promotion to a user",
+};
+
 module.exports = router;
@@ -0,0 +1,336 @@
+require("dotenv").config();
+const db = require("./db");
+const { logger } = require("./logger");
+const { TooManyRequestsError } = require("./errors");
+
+/**
+ * Request rate limits per route group, counted per user and per IP in fixed
+ * windows. Each router has a group; its write routes (and the finance reads)
+ * use rateLimit("group") after requireAuth, the auth routes before sign-in
+ * count by IP only. The "api" group covers every /api request by IP, see app.js.
+ *
+ * RATE_LIMITS overrides the defaults below as JSON, a limit of 0 turns one off:
+ *   RATE_LIMITS='{"bets":{"user":{"limit":30,"windowSeconds":60}}}'
+ * Only the groups and key types below can be set; anything else stops startup.
+ * RATE_LIMIT_STORE=postgres shares the counters between instances (rate_limits
+ * table); the default in-memory store is per process.
+ */
+const DEFAULT_LIMITS = {
+  api: {
+    ip: { limit: 1200, windowSeconds: 60 },
+  },
+  bets: {
+    user: { limit: 60, windowSeconds: 60 },
+    ip: { limit: 120, windowSeconds: 60 },
+  },
+  messages: {
+    user: { limit: 30, windowSeconds: 60 },
+    ip: { limit: 60, windowSeconds: 60 },
+  },
+  notifications: {
+    user: { limit: 30, windowSeconds: 60 },
+    ip: { limit: 60, windowSeconds: 60 },
+  },
+  tasks: {
+    user: { limit: 60, windowSeconds: 60 },
+    ip: { limit: 120, windowSeconds: 60 },
+  },
+  calendar: {
+    user: { limit: 60, windowSeconds: 60 },
+    ip: { limit: 120, windowSeconds: 60 },
+  },
+  finances: {
+    user: { limit: 60, windowSeconds: 60 },
+    ip: { limit: 120, windowSeconds: 60 },
+  },
+  admin: {
+    user: { limit: 120, windowSeconds: 60 },
+    ip: { limit: 240, windowSeconds: 60 },
+  },
+  promotions: {
+    user: { limit: 30, windowSeconds: 60 },
+    ip: { limit: 60, windowSeconds: 60 },
+  },
+  // sign-in, registration and password reset; failed logins are also locked out per account (loginThrottle.js)
+  auth: {
+    user: { limit: 30, windowSeconds: 60 },
+    ip: { limit: 60, windowSeconds: 60 },
+  },
+  onboarding: {
+    user: { limit: 10, windowSeconds: 60 },
+    ip: { limit: 30, windowSeconds: 60 },
+  },
+  "api-keys": {
+    user: { limit: 10, windowSeconds: 60 },
+    ip: { limit: 30, windowSeconds: 60 },
+  },
+};
+
+const KEY_TYPES = ["user", "ip"];
+
+// throttled keys stay in the admin view this long after their last blocked request
+const BLOCKED_VISIBLE_MINUTES = 60;
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// what's wrong with one group of RATE_LIMITS, as messages; [] if nothing
+function limitProblems(group, byKey) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, group)) {
+    return [`${group} is not a rate limit group (${Object.keys(DEFAULT_LIMITS).join(", ")})`];
+  }
+  if (!isPlainObject(byKey)) {
+    return [`${group} must be an object of limits by key type`];
+  }
+  const problems = [];
+  for (const [keyType, limit] of Object.entries(byKey)) {
+    if (!KEY_TYPES.includes(keyType)) {
+      problems.push(`${group}.${keyType} is not one of ${KEY_TYPES.join(", ")}`);
+    } else if (!isPlainObject(limit)) {
+      problems.push(`${group}.${keyType} must be an object`);
+    } else if (!DEFAULT_LIMITS[group][keyType] && (limit.limit === undefined || limit.windowSeconds === undefined)) {
+      problems.push(`${group}.${keyType} has no default, set both limit and windowSeconds`);
+    } else {
+      for (const [setting, value] of Object.entries(limit)) {
+        if (!["limit", "windowSeconds"].includes(setting)) {
+          problems.push(`${group}.${keyType}.${setting} is not a limit setting`);
+        } else if (!Number.isInteger(value) || value < (setting === "limit" ? 0 : 1)) {
+          problems.push(`${group}.${keyType}.${setting} must be a whole number${setting === "limit" ? "" : " above 0"}`);
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+// DEFAULT_LIMITS with RATE_LIMITS applied; a malformed RATE_LIMITS stops startup
+function loadLimits() {
+  const limits = JSON.parse(JSON.stringify(DEFAULT_LIMITS));
+  if (!process.env.RATE_LIMITS) {
+    return limits;
+  }
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS);
+  } catch (err) {
+    throw new Error(`RATE_LIMITS is not valid JSON: ${err.message}`);
+  }
+  if (!isPlainObject(overrides)) {
+    throw new Error("RATE_LIMITS must be a JSON object of limits by group");
+  }
+  const problems = Object.entries(overrides).flatMap(([group, byKey]) => limitProblems(group, byKey));
+  if (problems.length > 0) {
+    throw new Error(`RATE_LIMITS is invalid: ${problems.join("; ")}`);
+  }
+  for (const [group, byKey] of Object.entries(overrides)) {
+    for (const [keyType, limit] of Object.entries(byKey)) {
+      limits[group][keyType] = { ...limits[group][keyType], ...limit };
+    }
+  }
+  return limits;
+}
+
+const LIMITS = loadLimits();
+
+/**
+ * Stores: hit(entry) counts one request and returns { hits, resetAt } for
+ * the current window; block(entry) records a rejected one; listBlocked() returns
+ * the throttled keys for the admin view.
+ * entry = { group, keyType, keyValue, windowMs, windowStart }
+ */
+function memoryStore() {
+  const counters = new Map();
+
+  // forget finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    const visibleMs = BLOCKED_VISIBLE_MINUTES * 60000;
+    for (const [key, c] of counters) {
+      const idle = c.lastBlockedAt ? now - c.lastBlockedAt.getTime() > visibleMs : true;
+      if (c.windowStart + c.windowMs < now && idle) counters.delete(key);
+    }
+  }, 60000);
+  sweep.unref();
+
+  const keyOf = (entry) => `${entry.group}|${entry.keyType}|${entry.keyValue}`;
+
+  return {
+    async hit(entry) {
+      const key = keyOf(entry);
+      let c = counters.get(key);
+      if (!c) {
+        c = { ...entry, hits: 0, blocked: 0, lastBlockedAt: null };
+        counters.set(key, c);
+      }
+      if (c.windowStart !== entry.windowStart) {
+        Object.assign(c, { windowStart: entry.windowStart, windowMs: entry.windowMs, hits: 0 });
+      }
+      c.hits += 1;
+      return { hits: c.hits, resetAt: c.windowStart + c.windowMs };
+    },
+    async block(entry) {
+      const c = counters.get(keyOf(entry));
+      c.blocked += 1;
+      c.lastBlockedAt = new Date();
+    },
+    async listBlocked() {
+      const since = Date.now() - BLOCKED_VISIBLE_MINUTES * 60000;
+      return [...counters.values()]
+        .filter((c) => c.lastBlockedAt && c.lastBlockedAt.getTime() > since)
+        .map((c) => ({
+          group: c.group,
+          keyType: c.keyType,
+          keyValue: c.keyValue,
+          hits: c.hits,
+          blocked: c.blocked,
+          lastBlockedAt: c.lastBlockedAt,
+          resetAt: new Date(c.windowStart + c.windowMs),
+        }));
+    },
+  };
+}
+
+function postgresStore() {
+  return {
+    async hit(entry) {
+      // a new window resets the counter
+      const upsertRes = await db.query(
+        `INSERT INTO rate_limits (route_group, key_type, key_value, window_start, window_ms, hits)
+         VALUES ($1, $2, $3, to_timestamp($4 / 1000.0), $5, 1)
+         ON CONFLICT (route_group, key_type, key_value) DO UPDATE
+         SET hits = CASE
+               WHEN rate_limits.window_start = EXCLUDED.window_start THEN rate_limits.hits + 1
+               ELSE 1
+             END,
+             window_start = EXCLUDED.window_start,
+             window_ms = EXCLUDED.window_ms
+         RETURNING hits`,
+        [entry.group, entry.keyType, entry.keyValue, entry.windowStart, entry.windowMs]
+      );
+      return { hits: upsertRes.rows[0].hits, resetAt: entry.windowStart + entry.windowMs };
+    },
+    async block(entry) {
+      await db.query(
+        `UPDATE rate_limits
+         SET blocked = blocked + 1, last_blocked_at = NOW()
+         WHERE route_group=$1 AND key_type=$2 AND key_value=$3`,
+        [entry.group, entry.keyType, entry.keyValue]
+      );
+    },
+    async listBlocked() {
+      const result = await db.query(
+        `SELECT route_group AS "group", key_type AS "keyType", key_value AS "keyValue",
+                hits, blocked, last_blocked_at AS "lastBlockedAt",
+                window_start + make_interval(secs => window_ms / 1000.0) AS "resetAt"
+         FROM rate_limits
+         WHERE last_blocked_at > NOW() - make_interval(mins => $1)`,
+        [BLOCKED_VISIBLE_MINUTES]
+      );
+      return result.rows;
+    },
+  };
+}
+
+function createStore(kind = process.env.RATE_LIMIT_STORE || "memory") {
+  switch (kind) {
+    case "memory":
+      return memoryStore();
+    case "postgres":
+      return postgresStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${kind}`);
+  }
+}
+
+const store = createStore();
+
+// the keys a request is counted under: the user (once authenticated) and the IP
+function keysFor(req, groupLimits) {
+  const keys = [];
+  if (groupLimits.user && groupLimits.user.limit > 0 && req.user) {
+    keys.push({ keyType: "user", keyValue: String(req.user.userId), ...groupLimits.user });
+  }
+  if (groupLimits.ip && groupLimits.ip.limit > 0 && req.ip) {
+    keys.push({ keyType: "ip", keyValue: req.ip, ...groupLimits.ip });
+  }
+  return keys;
+}
+
+/**
+ * Middleware counting the request against group's limits. Sets
+ * RateLimit-Limit / -Remaining / -Reset (and RateLimit-Policy) for the tightest
+ * limit; over any limit it's a 429 RATE_LIMITED with Retry-After.
+ * If the store fails the request goes through (logged), limits aren't worth an outage.
+ */
+function rateLimit(group) {
+  const groupLimits = LIMITS[group];
+  if (!groupLimits) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    let tightest = null;
+    let exceeded = null;
+    try {
+      for (const key of keysFor(req, groupLimits)) {
+        const windowMs = key.windowSeconds * 1000;
+        const entry = {
+          group,
+          keyType: key.keyType,
+          keyValue: key.keyValue,
+          windowMs,
+          windowStart: Math.floor(now / windowMs) * windowMs,
+        };
+        const { hits, resetAt } = await store.hit(entry);
+        const state = { ...key, entry, remaining: Math.max(key.limit - hits, 0), resetAt };
+        if (!tightest || state.remaining < tightest.remaining) {
+          tightest = state;
+        }
+        if (hits > key.limit && !exceeded) {
+          exceeded = state;
+          await store.block(entry);
+        }
+      }
+    } catch (err) {
+      req.log.error("rate limit store error", { group, err });
+      return next();
+    }
+    if (!tightest) {
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((tightest.resetAt - now) / 1000), 0);
+    res.set({
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(tightest.remaining),
+      "RateLimit-Reset": String(resetSeconds),
+      "RateLimit-Policy": `${tightest.limit};w=${tightest.windowSeconds}`,
+    });
+    if (!exceeded) {
+      return next();
+    }
+    const retryAfter = Math.max(Math.ceil((exceeded.resetAt - now) / 1000), 1);
+    res.set("Retry-After", String(retryAfter));
+    req.log.warn("rate limited", { group, keyType: exceeded.keyType, keyValue: exceeded.keyValue });
+    return next(
+      new TooManyRequestsError(
+        "Too many requests, slow down",
+        { group, keyType: exceeded.keyType, limit: exceeded.limit, retryAfter },
+        "RATE_LIMITED"
+      )
+    );
+  };
+}
+
+// keys throttled in the last hour, most recently blocked first
+async function listThrottled() {
+  const rows = await store.listBlocked();
+  return rows.sort((a, b) => new Date(b.lastBlockedAt) - new Date(a.lastBlockedAt));
+}
+
+module.exports = {
+  LIMITS,
+  loadLimits,
+  rateLimit,
+  listThrottled,
+};
@@ -0,0 +1,17 @@
+const crypto = require("crypto");
+
+// ids passed in by a proxy/load balancer are kept if they look sane
+const INCOMING_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Gives every request an id (req.id), echoed in the X-Request-Id response
+ * header and in error bodies so a user report can be matched to the logs.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -1,54 +1,24 @@
 require("dotenv").config();
-console.log("DEBUG DATABASE_URL =", process.env.DATABASE_URL);
-const express = require("express");
-const cors = require("cors");
-const { Pool } = require("pg");
-const authRoutes = require("./authRoutes");
-const adminRoutes = require("./adminRoutes"); 
-const financesRoutes = require("./financesRoutes");
-const promotionsRoutes = require("./promotionsRoutes");
-const tasksRoutes = require("./tasksRoutes");
-const betsRoutes = require("./betsRoutes");
-const calendarRoutes = require("./calendarRoutes");
-const messagesRoutes = require("./messagesRoutes");
-const notificationsRoutes = require("./notificationsRoutes");
-const userRoutes = require("./userRoutes");
-const onboardingRoutes = require("./onboardingRoutes");
-
-
-const app = express();
-app.use(cors());
-app.use(express.json());
-app.use("/api/auth", authRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/finances", financesRoutes);
-app.use("/api/promotions", promotionsRoutes);
-app.use("/api/tasks", tasksRoutes);
-app.use("/api/bets", betsRoutes);
-app.use("/api/calendar", calendarRoutes);
-app.use("/api/messages", messagesRoutes);
-app.use("/api/notifications", notificationsRoutes);
-app.use("/api/onboarding", onboardingRoutes);
-
-
-// Create a pool to connect to the PostgreSQL database
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-  });
-  
-
-// Simple test endpoint
-app.get("/api/ping", async (req, res) => {
-    try {
-      const pingRes = await pool.query("SELECT NOW() as current_time");
-      res.json({ message: "pong", currentTime: pingRes.rows[0].current_time });
-    } catch (err) {
-      console.error("DEBUG PING ERROR:", err);
-      res.status(500).json({ error: "Database connection failed" });
-    }
-  });
+const { app } = require("./app");
+const { startOutboxWorker } = require("./mailer");
+const { logger } = require("./logger");
+const { gracefulShutdown } = require("./shutdown");
 
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+const server = app.listen(PORT, () => {
+  logger.info("server listening", { port: PORT });
+  // delivers queued emails (verification, reset, ...) with retries
+  startOutboxWorker();
 });
+
+// deploys send SIGTERM: finish in-flight requests, close the pool, then exit
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    gracefulShutdown(server, signal)
+      .then(() => process.exit(0))
+      .catch((err) => {
+        logger.error("shutdown error", { err });
+        process.exit(1);
+      });
+  });
+}
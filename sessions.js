@@ -0,0 +1,212 @@
+require("dotenv").config();
+const jwt = require("jsonwebtoken");
+const db = require("./db");
+const crypto = require("crypto");
+
+// access tokens are short-lived, refresh tokens keep the session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// how long requireAuth may trust a cached session/user lookup.
+// changes made through this process (logout, deactivate, promote) invalidate
+// the cache right away; the TTL only bounds staleness across processes.
+const AUTH_CACHE_TTL_MS = parseInt(process.env.AUTH_CACHE_TTL_MS, 10) || 30000;
+
+// sessionId -> { userId, role, status, twoFactorEnabled, cachedUntil }, oldest first
+const principalCache = new Map();
+// past this many entries, expired ones are swept and then the oldest dropped
+const AUTH_CACHE_MAX_ENTRIES = parseInt(process.env.AUTH_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// sha256 of a token, what we actually keep in the DB
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(40).toString("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// signs an access token bound to a session
+function generateAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Creates a new session for a user (called on login).
+ * Returns { token, refreshToken, sessionId }.
+ */
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const insertRes = await db.query(
+    `INSERT INTO user_sessions
+       (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      (req && req.headers["user-agent"]) || null,
+      (req && req.ip) || null,
+      refreshExpiry(),
+    ]
+  );
+  const sessionId = insertRes.rows[0].id;
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new access token + refresh token.
+ * The old refresh token stops working immediately.
+ * Returns null if the refresh token is unknown, expired or revoked.
+ */
+async function rotateSession(refreshToken) {
+  const sessionRes = await db.query(
+    `SELECT s.id, s.user_id, u.role, u.status
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_token_hash=$1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()`,
+    [hashToken(refreshToken)]
+  );
+  if (sessionRes.rows.length === 0) {
+    return null;
+  }
+  const session = sessionRes.rows[0];
+  if (session.status !== "active") {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const nextRefreshToken = newRefreshToken();
+  // only rotate if nobody else rotated this token in the meantime
+  const updateRes = await db.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash=$1, last_used_at=NOW(), expires_at=$2
+     WHERE id=$3 AND refresh_token_hash=$4 AND revoked_at IS NULL`,
+    [hashToken(nextRefreshToken), refreshExpiry(), session.id, hashToken(refreshToken)]
+  );
+  if (updateRes.rowCount === 0) {
+    return null;
+  }
+
+  return {
+    token: generateAccessToken({ id: session.user_id, role: session.role }, session.id),
+    refreshToken: nextRefreshToken,
+    sessionId: session.id,
+    role: session.role,
+  };
+}
+
+// revokes a single session (logout)
+async function revokeSession(sessionId) {
+  principalCache.delete(sessionId);
+  await db.query(
+    "UPDATE user_sessions SET revoked_at=NOW() WHERE id=$1 AND revoked_at IS NULL",
+    [sessionId]
+  );
+}
+
+// revokes every session of a user (log out all devices), returns how many
+async function revokeAllSessions(userId) {
+  invalidateUser(userId);
+  const updateRes = await db.query(
+    "UPDATE user_sessions SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL",
+    [userId]
+  );
+  return updateRes.rowCount;
+}
+
+/**
+ * Returns the current { userId, role, status, twoFactorEnabled } behind a session, or null if
+ * the session is unknown, revoked, expired or belongs to another user.
+ * Role and status come from the users table, not from the token, so role
+ * changes and deactivations apply on the next request.
+ */
+async function getSessionPrincipal(sessionId, userId) {
+  const cached = principalCache.get(sessionId);
+  if (cached && cached.cachedUntil > Date.now() && cached.userId === userId) {
+    return cached;
+  }
+  principalCache.delete(sessionId);
+  const sessionRes = await db.query(
+    `SELECT s.user_id, u.role, u.status, u.totp_enabled
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id=$1 AND s.user_id=$2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  if (sessionRes.rows.length === 0) {
+    return null;
+  }
+  const row = sessionRes.rows[0];
+  const principal = {
+    userId: row.user_id,
+    role: row.role,
+    status: row.status,
+    twoFactorEnabled: row.totp_enabled,
+    cachedUntil: Date.now() + AUTH_CACHE_TTL_MS,
+  };
+  cachePrincipal(sessionId, principal);
+  return principal;
+}
+
+function cachePrincipal(sessionId, principal) {
+  if (principalCache.size >= AUTH_CACHE_MAX_ENTRIES) {
+    const now = Date.now();
+    for (const [key, entry] of principalCache) {
+      if (entry.cachedUntil <= now) principalCache.delete(key);
+    }
+    // still full: drop the oldest (Maps iterate in insertion order)
+    while (principalCache.size >= AUTH_CACHE_MAX_ENTRIES) {
+      principalCache.delete(principalCache.keys().next().value);
+    }
+  }
+  principalCache.set(sessionId, principal);
+}
+
+// drops cached lookups for a user, call after changing their role or status
+function invalidateUser(userId) {
+  const id = parseInt(userId, 10);
+  for (const [sessionId, principal] of principalCache) {
+    if (principal.userId === id) {
+      principalCache.delete(sessionId);
+    }
+  }
+}
+
+// active sessions of a user, newest first
+async function listSessions(userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getSessionPrincipal,
+  invalidateUser,
+  listSessions,
+};
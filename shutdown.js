@@ -0,0 +1,63 @@
+const db = require("./db");
+const { logger } = require("./logger");
+const { stopOutboxWorker } = require("./mailer");
+
+// in-flight requests get this long to finish before their connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+// time for the load balancer to see readiness fail before we stop listening
+const SHUTDOWN_DELAY_MS = parseInt(process.env.SHUTDOWN_DELAY_MS, 10) || 0;
+
+let shuttingDown = false;
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// while draining, keep-alive clients are told to reconnect (to another instance)
+function closeConnectionsWhenDraining(req, res, next) {
+  if (shuttingDown) {
+    res.set("Connection", "close");
+  }
+  next();
+}
+
+/**
+ * SIGTERM/SIGINT: readiness starts failing, the server stops accepting
+ * connections and waits for in-flight requests (open transactions commit or
+ * roll back as usual), then the outbox worker stops and the pool is closed.
+ * Resolves once everything is closed; server.js exits afterwards.
+ */
+async function gracefulShutdown(server, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info("shutting down", { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  stopOutboxWorker();
+
+  if (SHUTDOWN_DELAY_MS > 0) {
+    await new Promise((resolve) => setTimeout(resolve, SHUTDOWN_DELAY_MS));
+  }
+
+  await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      logger.warn("shutdown timeout, closing open connections");
+      server.closeAllConnections();
+    }, SHUTDOWN_TIMEOUT_MS);
+    timer.unref();
+    // stops listening; idle keep-alive connections are closed right away
+    server.close((err) => {
+      clearTimeout(timer);
+      if (err) logger.error("server close error", { err });
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+
+  await db.pool.end();
+  logger.info("shutdown complete");
+}
+
+module.exports = {
+  isShuttingDown,
+  closeConnectionsWhenDraining,
+  gracefulShutdown,
+};
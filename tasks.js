@@ -0,0 +1,17 @@
+const { v } = require("./validation");
+const { TASK_STATUSES } = require("./enums");
+const { listing, equals, dateRange } = require("./pagination");
+
+// sorts and filters of GET /api/tasks and GET /api/admin/tasks, over "tasks"
+const taskList = listing({
+  sort: { created_at: "created_at", updated_at: "updated_at", title: "title", status: "status", id: "id" },
+  defaultSort: "-id",
+  tiebreaker: "id",
+  filters: {
+    user_id: equals("user_id", v.id()),
+    status: equals("status", v.oneOf(TASK_STATUSES)),
+    ...dateRange("created_at"),
+  },
+});
+
+module.exports = { taskList };
@@ -1,143 +1,145 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
-const { requireAuth } = require("./authMiddleware");
+const db = require("./db");
+const { requireAuth, can } = require("./authMiddleware");
+const { v, validate } = require("./validation");
+const { rateLimit } = require("./rateLimit");
+const { ForbiddenError, NotFoundError } = require("./errors");
+const { TASK_STATUSES } = require("./enums");
+const { fetchPage } = require("./pagination");
+const { taskList } = require("./tasks");
 
 const router = express.Router();
 
-// create pg pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // ssl might be needed if Render requires it
-  // ssl: { rejectUnauthorized: false },
-});
+const createTaskSchema = {
+  body: {
+    title: v.string({ min: 1, max: 255 }),
+    description: v.string().nullable().optional(),
+    status: v.oneOf(TASK_STATUSES).default("todo"),
+    user_id: v.id().optional(),
+  },
+};
+
+const updateTaskSchema = {
+  params: { id: v.id() },
+  body: {
+    title: v.string({ min: 1, max: 255 }).optional(),
+    description: v.string().nullable().optional(),
+    status: v.oneOf(TASK_STATUSES).optional(),
+  },
+};
 
 /**
  * GET /api/tasks
- * - if user.role in ["admin","superadmin"], returns all tasks
+ * - if user has tasks:read:any, returns all tasks (or ?user_id=xx)
  * - otherwise returns tasks assigned to req.user.userId
+ * paginated, filters: user_id, status, from/to (created); see pagination.js
  */
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, validate({ query: taskList.query }), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
-
-    let query = `
-      SELECT id, user_id, title, description, status, created_by, created_at, updated_at
-      FROM tasks
-      ORDER BY id DESC
-    `;
-    let params = [];
-
-    if (role !== "admin" && role !== "superadmin") {
+    if (!(await can(req, "tasks:read:any"))) {
       // normal user => filter tasks by user_id
-      query = `
-        SELECT id, user_id, title, description, status, created_by, created_at, updated_at
-        FROM tasks
-        WHERE user_id=$1
-        ORDER BY id DESC
-      `;
-      params = [userId];
+      req.query.user_id = req.user.userId;
     }
-
-    const result = await pool.query(query, params);
-    return res.json(result.rows);
+    const tasks = await fetchPage(req, res, taskList, {
+      select: "id, user_id, title, description, status, created_by, created_at, updated_at",
+      from: "tasks",
+    });
+    return res.json(tasks);
   } catch (err) {
-    console.error("// get tasks error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
 /**
  * POST /api/tasks
  * - if normal user, forced to create tasks for themselves
- * - if admin/superadmin, can pass user_id in the body to assign tasks to that user
+ * - with tasks:write:any, can pass user_id in the body to assign tasks to that user
  */
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, rateLimit("tasks"), validate(createTaskSchema), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const { user_id, title, description, status } = req.body;
 
-    if (!title) {
-      return res.status(400).json({ error: "Missing title" });
-    }
-
     let assignedUserId = userId; // default = the user themselves
 
-    // if admin, they can override assignedUserId
-    if ((role === "admin" || role === "superadmin") && user_id) {
+    // with tasks:write:any, they can override assignedUserId
+    if (user_id && (await can(req, "tasks:write:any"))) {
       assignedUserId = user_id;
     }
 
-    // insert task
-    const insertRes = await pool.query(
-      `INSERT INTO tasks (user_id, title, description, status, created_by)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, user_id, title, description, status, created_by, created_at, updated_at`,
-      [
-        assignedUserId,
-        title,
-        description || null,
-        status || "todo",
-        userId  // created_by is the user who posted this route
-      ]
-    );
-
-    const newTask = insertRes.rows[0];
-
-    // ADDED: Insert into activity_log
-    // action = "TASK_CREATE"
-    // details: JSON string containing the new task's ID and title
-    await pool.query(
-      `INSERT INTO activity_log (user_id, action, details)
-       VALUES ($1, $2, $3)`,
-      [
-        userId,
-        "TASK_CREATE",
-        JSON.stringify({
-          taskId: newTask.id,
-          title: newTask.title
-        })
-      ]
-    );
+    // task and its activity_log entry are written together
+    const newTask = await db.withTransaction(async (client) => {
+      // insert task
+      const insertRes = await client.query(
+        `INSERT INTO tasks (user_id, title, description, status, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, user_id, title, description, status, created_by, created_at, updated_at`,
+        [
+          assignedUserId,
+          title,
+          description || null,
+          status,
+          userId  // created_by is the user who posted this route
+        ]
+      );
+      const task = insertRes.rows[0];
+
+      // ADDED: Insert into activity_log
+      // action = "TASK_CREATE"
+      // details: JSON string containing the new task's ID and title
+      await client.query(
+        `INSERT INTO activity_log (user_id, action, details)
+         VALUES ($1, $2, $3)`,
+        [
+          userId,
+          "TASK_CREATE",
+          JSON.stringify({
+            taskId: task.id,
+            title: task.title
+          })
+        ]
+      );
+      return task;
+    });
 
     return res.json({
       message: "Task created",
       task: newTask
     });
   } catch (err) {
-    console.error("// create task error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
 /**
  * PATCH /api/tasks/:id
  * - if normal user, can only update tasks assigned to themselves
- * - if admin/superadmin, can update any task
+ * - with tasks:write:any, can update any task
  */
-router.patch("/:id", requireAuth, async (req, res) => {
+router.patch("/:id", requireAuth, rateLimit("tasks"), validate(updateTaskSchema), async (req, res, next) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const taskId = req.params.id;
     const { title, description, status } = req.body;
 
     // fetch the task
-    const taskRes = await pool.query(
+    const taskRes = await db.query(
       `SELECT id, user_id, title, description, status, created_by
        FROM tasks
        WHERE id=$1`,
       [taskId]
     );
     if (taskRes.rows.length === 0) {
-      return res.status(404).json({ error: "Task not found" });
+      throw new NotFoundError("Task not found");
     }
     const task = taskRes.rows[0];
 
     // check ownership
-    if (role !== "admin" && role !== "superadmin") {
+    if (!(await can(req, "tasks:write:any"))) {
       // normal user => must be their task
       if (task.user_id !== userId) {
-        return res.status(403).json({ error: "Not your task" });
+        throw new ForbiddenError("Not your task");
       }
     }
 
@@ -169,15 +171,21 @@ router.patch("/:id", requireAuth, async (req, res) => {
 
     values.push(taskId);
 
-    const updateRes = await pool.query(updateQuery, values);
+    const updateRes = await db.query(updateQuery, values);
     return res.json({
       message: "Task updated",
       task: updateRes.rows[0]
     });
   } catch (err) {
-    console.error("// update task error", err);
-    res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
+// summaries for the API docs (openapi.js), one per route
+router.docs = {
+  "GET /": "List tasks (everyone's with tasks:read:any, otherwise your own)",
+  "POST /": "Create a task",
+  "PATCH /:id": "Update a task",
+};
+
 module.exports = router;
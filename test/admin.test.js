@@ -0,0 +1,114 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let admin;
+let superadmin;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+  superadmin = await t.signIn({ role: "superadmin" });
+});
+
+after(() => t.close());
+
+test("admin routes check permissions", async () => {
+  const denied = await t.request("GET", "/api/admin/users", { token: alice.token });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.code, "MISSING_PERMISSION");
+
+  const users = await t.request("GET", "/api/admin/users", { token: admin.token });
+  assert.strictEqual(users.status, 200);
+
+  // roles are superadmin-only by default
+  assert.strictEqual((await t.request("GET", "/api/admin/roles", { token: admin.token })).status, 403);
+  assert.strictEqual((await t.request("GET", "/api/admin/roles", { token: superadmin.token })).status, 200);
+});
+
+test("a custom role grants exactly its permissions", async () => {
+  const role = await t.request("POST", "/api/admin/roles", {
+    token: superadmin.token,
+    body: { name: "bookkeeper", permissions: ["finances:read"] },
+  });
+  assert.strictEqual(role.status, 200);
+
+  const keeper = await t.signIn();
+  const promoted = await t.request("POST", "/api/admin/users/promote", {
+    token: superadmin.token,
+    body: { userId: keeper.user.id, newRole: "bookkeeper" },
+  });
+  assert.strictEqual(promoted.status, 200);
+
+  // the new role applies to the existing session
+  assert.strictEqual((await t.request("GET", "/api/finances/overview", { token: keeper.token })).status, 200);
+  assert.strictEqual((await t.request("GET", "/api/admin/users", { token: keeper.token })).status, 403);
+
+  const unknown = await t.request("POST", "/api/admin/users/promote", {
+    token: superadmin.token,
+    body: { userId: keeper.user.id, newRole: "wizard" },
+  });
+  assert.strictEqual(unknown.status, 400);
+});
+
+test("deactivating a user ends their sessions", async () => {
+  const bob = await t.signIn();
+  const res = await t.request("POST", "/api/admin/users/deactivate", {
+    token: admin.token,
+    body: { userId: bob.user.id },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await t.request("GET", "/api/bets", { token: bob.token })).status, 401);
+
+  const login = await t.request("POST", "/api/auth/login", {
+    body: { email: bob.user.email, password: "test-password-123" },
+  });
+  assert.strictEqual(login.status, 403);
+});
+
+test("impersonation acts as the target and blocks money changes", async () => {
+  await t.request("POST", "/api/bets", { token: admin.token, body: { matchup: "Admin's own" } });
+  const started = await t.request("POST", "/api/admin/impersonate", {
+    token: superadmin.token,
+    body: { userId: admin.user.id, reason: "support ticket" },
+  });
+  assert.strictEqual(started.status, 200);
+  const token = started.body.token;
+
+  const bets = await t.request("GET", "/api/bets", { token });
+  assert.strictEqual(bets.status, 200);
+
+  const money = await t.request("POST", "/api/admin/finances", {
+    token,
+    body: { user_id: alice.user.id, from_account: 1, to_account: 2, amount: 10 },
+  });
+  assert.strictEqual(money.status, 403);
+  assert.strictEqual(money.body.code, "IMPERSONATION_NOT_ALLOWED");
+  // promotion progress can open a sportsbook account
+  const progress = await t.request("POST", "/api/promotions/1/progress", { token, body: { completedSteps: [1] } });
+  assert.strictEqual(progress.body.code, "IMPERSONATION_NOT_ALLOWED");
+  // imports settle bets with a final result
+  const imported = await t.request("POST", "/api/bets/import", { token, body: { csv: "matchup,amount\nA v B,5" } });
+  assert.strictEqual(imported.body.code, "IMPERSONATION_NOT_ALLOWED");
+  // every bet write is guarded, not just the ones that settle
+  const created = await t.request("POST", "/api/bets", { token, body: { matchup: "On their behalf" } });
+  assert.strictEqual(created.body.code, "IMPERSONATION_NOT_ALLOWED");
+  const ownBet = (await t.db.query("SELECT id FROM bets WHERE user_id=$1", [admin.user.id])).rows[0].id;
+  const edited = await t.request("PATCH", `/api/bets/${ownBet}`, { token, body: { amount: 500 } });
+  assert.strictEqual(edited.body.code, "IMPERSONATION_NOT_ALLOWED");
+  const forAlice = await t.request("POST", "/api/admin/bets", { token, body: { user_id: alice.user.id, matchup: "X" } });
+  assert.strictEqual(forAlice.body.code, "IMPERSONATION_NOT_ALLOWED");
+
+  assert.strictEqual((await t.request("POST", "/api/auth/logout", { token })).status, 200);
+  assert.strictEqual((await t.request("GET", "/api/bets", { token })).status, 401);
+
+  // admins can't impersonate
+  const denied = await t.request("POST", "/api/admin/impersonate", {
+    token: admin.token,
+    body: { userId: alice.user.id },
+  });
+  assert.strictEqual(denied.status, 403);
+});
@@ -0,0 +1,51 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+});
+
+after(() => t.close());
+
+test("an API key works within its scopes until revoked", async () => {
+  const created = await t.request("POST", "/api/api-keys", {
+    token: alice.token,
+    body: { name: "spreadsheet", scopes: ["bets:read"] },
+  });
+  assert.strictEqual(created.status, 200);
+  const { key, apiKey } = created.body;
+
+  assert.strictEqual((await t.request("GET", "/api/bets", { token: key })).status, 200);
+
+  const write = await t.request("POST", "/api/bets", { token: key, body: { matchup: "x" } });
+  assert.strictEqual(write.status, 403);
+  assert.deepStrictEqual(write.body.details, { scope: "bets:write" });
+
+  // account routes never take API keys
+  const sessions = await t.request("GET", "/api/auth/sessions", { token: key });
+  assert.strictEqual(sessions.status, 403);
+  const logout = await t.request("POST", "/api/auth/logout", { token: key });
+  assert.strictEqual(logout.status, 400);
+  assert.strictEqual(logout.body.code, "NOT_A_SESSION");
+  assert.strictEqual((await t.request("GET", "/api/bets", { token: key })).status, 200);
+
+  const list = await t.request("GET", "/api/api-keys", { token: alice.token });
+  assert.deepStrictEqual(list.body.map((k) => k.id), [apiKey.id]);
+
+  const revoked = await t.request("POST", `/api/api-keys/${apiKey.id}/revoke`, { token: alice.token });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual((await t.request("GET", "/api/bets", { token: key })).status, 401);
+});
+
+test("unknown scopes are rejected", async () => {
+  const res = await t.request("POST", "/api/api-keys", {
+    token: alice.token,
+    body: { name: "bad", scopes: ["everything"] },
+  });
+  assert.strictEqual(res.status, 400);
+});
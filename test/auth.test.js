@@ -0,0 +1,180 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { PASSWORD, startTestApp, tokenFromMail } = require("./helpers");
+
+let t;
+
+before(async () => {
+  t = await startTestApp();
+});
+
+after(() => t.close());
+
+test("register, verify by email, then log in", async () => {
+  const email = "new.member@betlogic.test";
+  const registered = await t.request("POST", "/api/auth/register", {
+    body: { email, password: "a-new-password", firstName: "Nia" },
+  });
+  assert.strictEqual(registered.status, 200);
+
+  const early = await t.request("POST", "/api/auth/login", { body: { email, password: "a-new-password" } });
+  assert.strictEqual(early.status, 403);
+
+  const mail = await t.lastMailTo(email);
+  assert.ok(mail, "verification email was sent");
+  assert.match(mail.text, /Hi Nia/);
+  const verified = await t.request("GET", `/api/auth/verify/${tokenFromMail(mail)}`);
+  assert.strictEqual(verified.status, 200);
+
+  const login = await t.request("POST", "/api/auth/login", { body: { email, password: "a-new-password" } });
+  assert.strictEqual(login.status, 200);
+  assert.strictEqual(login.body.role, "user");
+  assert.ok(login.body.token && login.body.refreshToken);
+});
+
+test("registering an existing email is a conflict", async () => {
+  const user = await t.createUser();
+  const res = await t.request("POST", "/api/auth/register", {
+    body: { email: user.email, password: "whatever-123" },
+  });
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.code, "CONFLICT");
+  assert.ok(res.body.requestId);
+});
+
+test("wrong password and unknown email get the same answer", async () => {
+  const user = await t.createUser();
+  const wrong = await t.request("POST", "/api/auth/login", { body: { email: user.email, password: "nope" } });
+  const unknown = await t.request("POST", "/api/auth/login", {
+    body: { email: "nobody@betlogic.test", password: "nope" },
+  });
+  assert.strictEqual(wrong.status, 401);
+  assert.deepStrictEqual(
+    { code: wrong.body.code, message: wrong.body.message },
+    { code: unknown.body.code, message: unknown.body.message }
+  );
+});
+
+test("a lockout holds until locked_until even after the failures leave the window", async () => {
+  const user = await t.createUser();
+  // locked by failures 20 minutes ago, past the 15 minute window, for another 10 minutes
+  await t.db.query(
+    `INSERT INTO auth_throttle (scope, key_type, key_value, failures, first_failure_at, last_failure_at, locked_until)
+     VALUES ('login', 'email', $1, 10, NOW() - INTERVAL '25 minutes', NOW() - INTERVAL '20 minutes',
+             NOW() + INTERVAL '10 minutes')`,
+    [user.email]
+  );
+  const locked = await t.request("POST", "/api/auth/login", { body: { email: user.email, password: PASSWORD } });
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual(locked.body.code, "ACCOUNT_LOCKED");
+
+  await t.db.query("UPDATE auth_throttle SET locked_until = NOW() - INTERVAL '1 minute' WHERE key_value=$1", [user.email]);
+  const unlocked = await t.request("POST", "/api/auth/login", { body: { email: user.email, password: PASSWORD } });
+  assert.strictEqual(unlocked.status, 200);
+});
+
+test("a deactivated user is told so, not asked to verify their email", async () => {
+  const user = await t.createUser();
+  await t.db.query("UPDATE users SET status='deactivated' WHERE id=$1", [user.id]);
+  const res = await t.request("POST", "/api/auth/login", { body: { email: user.email, password: PASSWORD } });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.code, "ACCOUNT_DEACTIVATED");
+  assert.strictEqual(res.body.message, "This account has been deactivated");
+});
+
+test("refresh rotates the refresh token and logout revokes the session", async () => {
+  const user = await t.createUser();
+  const login = await t.request("POST", "/api/auth/login", { body: { email: user.email, password: PASSWORD } });
+
+  const refreshed = await t.request("POST", "/api/auth/refresh", {
+    body: { refreshToken: login.body.refreshToken },
+  });
+  assert.strictEqual(refreshed.status, 200);
+  const reused = await t.request("POST", "/api/auth/refresh", {
+    body: { refreshToken: login.body.refreshToken },
+  });
+  assert.strictEqual(reused.status, 401);
+
+  const token = refreshed.body.token;
+  const sessions = await t.request("GET", "/api/auth/sessions", { token });
+  assert.strictEqual(sessions.status, 200);
+
+  assert.strictEqual((await t.request("POST", "/api/auth/logout", { token })).status, 200);
+  assert.strictEqual((await t.request("GET", "/api/auth/sessions", { token })).status, 401);
+});
+
+test("forgot and reset password", async () => {
+  const user = await t.createUser();
+  const oldToken = await t.login(user.email);
+
+  const forgot = await t.request("POST", "/api/auth/forgot", { body: { email: user.email } });
+  assert.strictEqual(forgot.status, 200);
+  const mail = await t.lastMailTo(user.email);
+  assert.ok(mail, "reset email was sent");
+  // the outbox doesn't keep the link once it's sent
+  const token = tokenFromMail(mail);
+  const outbox = await t.db.query(
+    "SELECT status, text_body, html_body, expires_at FROM mail_outbox WHERE to_address=$1 AND template='reset'",
+    [user.email]
+  );
+  assert.strictEqual(outbox.rows[0].status, "sent");
+  assert.ok(outbox.rows[0].expires_at);
+  assert.ok(!outbox.rows[0].text_body.includes(token) && outbox.rows[0].html_body === null);
+
+  const body = { token, newPassword: "brand-new-password" };
+  assert.strictEqual((await t.request("POST", "/api/auth/reset", { body })).status, 200);
+  // the link only works once
+  assert.strictEqual((await t.request("POST", "/api/auth/reset", { body })).status, 400);
+
+  // old sessions are gone, the new password works
+  assert.strictEqual((await t.request("GET", "/api/auth/sessions", { token: oldToken })).status, 401);
+  await t.login(user.email, "brand-new-password");
+});
+
+test("mail whose link expired before it went out is dropped, body and all", async () => {
+  const address = "late@betlogic.test";
+  const queued = await t.db.query(
+    `INSERT INTO mail_outbox (template, to_address, subject, text_body, expires_at)
+     VALUES ('reset', $1, 'Reset your password', 'https://example.test/reset?token=secret', NOW() - INTERVAL '1 minute')
+     RETURNING id`,
+    [address]
+  );
+  assert.strictEqual(await t.lastMailTo(address), undefined);
+  const row = await t.db.query("SELECT status, text_body FROM mail_outbox WHERE id=$1", [queued.rows[0].id]);
+  assert.deepStrictEqual(row.rows[0], { status: "failed", text_body: "" });
+});
+
+test("invitation: admin invites, invitee accepts with the invited role", async () => {
+  const admin = await t.signIn({ role: "admin" });
+  const email = "invitee@betlogic.test";
+  const invited = await t.request("POST", "/api/admin/invites", { token: admin.token, body: { email } });
+  assert.strictEqual(invited.status, 200);
+
+  const mail = await t.lastMailTo(email);
+  const inviteToken = tokenFromMail(mail);
+  const preview = await t.request("GET", `/api/auth/invite/${inviteToken}`);
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.body.email, email);
+
+  const accepted = await t.request("POST", "/api/auth/accept-invite", {
+    body: { token: inviteToken, password: "invitee-password" },
+  });
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(accepted.body.user.status, "active");
+  await t.login(email, "invitee-password");
+
+  const again = await t.request("POST", "/api/auth/accept-invite", {
+    body: { token: inviteToken, password: "invitee-password" },
+  });
+  assert.strictEqual(again.status, 400);
+});
+
+test("validation errors list every invalid field", async () => {
+  const res = await t.request("POST", "/api/auth/register", { body: { email: "not-an-email" } });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, "VALIDATION_FAILED");
+  assert.deepStrictEqual(
+    res.body.details.map((d) => d.field).sort(),
+    ["email", "password"]
+  );
+});
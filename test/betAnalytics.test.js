@@ -0,0 +1,141 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+
+// creates a bet on the user's account and settles it unless result is Open
+async function settledBet(who, accountId, { result, ...body }) {
+  const created = await t.request("POST", "/api/bets", { token: who.token, body: { account_id: accountId, ...body } });
+  assert.strictEqual(created.status, 200);
+  if (result !== "Open") {
+    const settled = await t.request("POST", `/api/bets/${created.body.bet.id}/settle`, {
+      token: who.token,
+      body: { result },
+    });
+    assert.strictEqual(settled.status, 200);
+  }
+}
+
+async function account(who, name) {
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, $2) RETURNING id", [
+    who.user.id,
+    name,
+  ]);
+  return accountRes.rows[0].id;
+}
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+
+  const fanduel = await account(alice, "FanDuel");
+  const bets = [
+    { date: "2025-01-06", amount: 10, odds_decimal: 2, sport: "NBA", result: "Won" },
+    { date: "2025-01-07", amount: 10, odds_decimal: 2, sport: "NBA", result: "Won" },
+    { date: "2025-01-08", amount: 20, odds_decimal: 1.5, sport: "NFL", result: "Lost" },
+    { date: "2025-01-09", amount: 10, odds_decimal: 3, sport: "NFL", result: "Push" },
+    { date: "2025-02-03", amount: 10, odds_decimal: 2.5, sport: "NBA", result: "Won" },
+    { date: "2025-02-04", amount: 5, odds_decimal: 2, sport: "NBA", stake_type: "free_bet", result: "Void" },
+    { date: "2025-02-05", amount: 50, odds_decimal: 2, sport: "NBA", result: "Open" },
+  ];
+  for (const bet of bets) {
+    await settledBet(alice, fanduel, bet);
+  }
+  const bobsBook = await account(bob, "BetMGM");
+  await settledBet(bob, bobsBook, { date: "2025-01-10", amount: 10, odds_decimal: 2, sport: "NBA", result: "Lost" });
+});
+
+after(() => t.close());
+
+test("totals cover settled bets: staked, profit, ROI, win rate, odds and streaks", async () => {
+  const res = await t.request("GET", "/api/bets/analytics", { token: alice.token });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.totals, {
+    bets: 6,
+    won: 3,
+    lost: 1,
+    push: 1,
+    void: 1,
+    cashout: 0,
+    staked: 60,
+    net_profit: 15,
+    roi: 25,
+    win_rate: 75,
+    average_odds: 2.1667,
+    average_odds_american: 117,
+    longest_win_streak: 2,
+    longest_losing_streak: 1,
+  });
+  assert.deepStrictEqual(res.body.groups, []);
+});
+
+test("groups by month and sport, filtered by date", async () => {
+  const byMonth = await t.request("GET", "/api/bets/analytics?group_by=month", { token: alice.token });
+  assert.deepStrictEqual(
+    byMonth.body.groups.map((g) => [g.key, g.bets, g.staked, g.net_profit, g.roi, g.longest_win_streak]),
+    [
+      ["2025-01", 4, 50, 0, 0, 2],
+      ["2025-02", 2, 10, 15, 150, 1],
+    ]
+  );
+
+  const bySport = await t.request("GET", "/api/bets/analytics?group_by=sport&from=2025-01-08", { token: alice.token });
+  assert.deepStrictEqual(
+    bySport.body.groups.map((g) => [g.key, g.bets, g.win_rate]),
+    [
+      ["NBA", 2, 100],
+      ["NFL", 2, 0],
+    ]
+  );
+  assert.strictEqual(bySport.body.totals.bets, 4);
+
+  const badGroup = await t.request("GET", "/api/bets/analytics?group_by=day", { token: alice.token });
+  assert.strictEqual(badGroup.status, 400);
+});
+
+test("admins see the team, users only themselves", async () => {
+  const team = await t.request("GET", "/api/bets/analytics?group_by=user", { token: admin.token });
+  assert.strictEqual(team.body.totals.bets, 7);
+  assert.deepStrictEqual(
+    team.body.groups.map((g) => [g.key, g.label, g.net_profit]),
+    [
+      [alice.user.id, alice.user.email, 15],
+      [bob.user.id, bob.user.email, -10],
+    ]
+  );
+
+  const sneaky = await t.request("GET", `/api/bets/analytics?user_id=${alice.user.id}`, { token: bob.token });
+  assert.strictEqual(sneaky.body.totals.bets, 1);
+  assert.strictEqual(sneaky.body.totals.net_profit, -10);
+  assert.strictEqual(sneaky.body.totals.win_rate, 0);
+});
+
+test("sportsbook groups are per book name, across every member's account", async () => {
+  const bobsFanDuel = await account(bob, "Fanduel");
+  await settledBet(bob, bobsFanDuel, { date: "2025-01-11", amount: 10, odds_decimal: 3, sport: "NBA", result: "Won" });
+
+  const byBook = await t.request("GET", "/api/bets/analytics?group_by=sportsbook", { token: admin.token });
+  assert.deepStrictEqual(
+    byBook.body.groups.map((g) => [g.key, g.bets, g.net_profit]),
+    [
+      ["betmgm", 1, -10],
+      ["fanduel", 7, 35],
+    ]
+  );
+  assert.ok(["FanDuel", "Fanduel"].includes(byBook.body.groups[1].label));
+
+  const mine = await t.request("GET", "/api/bets/analytics?group_by=sportsbook", { token: bob.token });
+  assert.deepStrictEqual(
+    mine.body.groups.map((g) => [g.key, g.bets]),
+    [
+      ["betmgm", 1],
+      ["fanduel", 1],
+    ]
+  );
+});
@@ -0,0 +1,278 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let parseCsv;
+let loadFormats;
+let alice;
+let bob;
+let admin;
+let draftkings;
+
+const DRAFTKINGS_CSV = [
+  "Placed Date,Event,Sport,Selection,Stake,Odds,Status",
+  '03/01/2025 19:05,"Lakers @ Celtics",NBA,Celtics ML,$20.00,+150,Won',
+  "03/02/2025,Chiefs @ Bills,NFL,Bills -3,10,-110,Lost",
+  "03/03/2025,Yankees @ Red Sox,MLB,Over 8.5,15,EVEN,Pending",
+  "03/03/2025,Yankees @ Red Sox,MLB,Over 8.5,15,EVEN,Pending",
+].join("\r\n");
+
+const betCount = async (userId) =>
+  (await t.db.query("SELECT COUNT(*)::int AS n FROM bets WHERE user_id=$1", [userId])).rows[0].n;
+
+before(async () => {
+  t = await startTestApp();
+  // after startTestApp, which points db.js at this file's database
+  ({ parseCsv, loadFormats } = require("../betImport"));
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'DraftKings') RETURNING id", [
+    alice.user.id,
+  ]);
+  draftkings = accountRes.rows[0].id;
+});
+
+after(() => t.close());
+
+test("parseCsv handles quotes, escaped quotes, line breaks in fields and CRLF", () => {
+  const records = parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n1,2');
+  assert.deepStrictEqual(records, [
+    { line: 1, values: ["a", "b"] },
+    { line: 2, values: ["x, y", 'say "hi"\nthere'] },
+    { line: 5, values: ["1", "2"] },
+  ]);
+});
+
+test("BET_IMPORT_FORMATS overrides formats, and a bad one fails with the variable's name", () => {
+  const loadWith = (value) => {
+    process.env.BET_IMPORT_FORMATS = value;
+    try {
+      return loadFormats();
+    } finally {
+      delete process.env.BET_IMPORT_FORMATS;
+    }
+  };
+  const formats = loadWith('{"betmgm":{"columns":{"amount":"Risk"},"decimal_separator":","}}');
+  assert.deepStrictEqual(formats.betmgm, {
+    columns: { amount: "Risk" },
+    date_format: "YYYY-MM-DD",
+    decimal_separator: ",",
+  });
+  assert.strictEqual(formats.draftkings.columns.amount, "Stake");
+
+  assert.throws(() => loadWith("{betmgm:"), /^Error: BET_IMPORT_FORMATS is not valid JSON: /);
+  assert.throws(
+    () => loadWith('{"betmgm":{"columns":{"stake":"Risk"},"date_format":"D.M.Y"}}'),
+    /BET_IMPORT_FORMATS is invalid: betmgm.columns.stake is not one of .*; betmgm.date_format must be one of/
+  );
+});
+
+test("a dry run previews the import with the account's format and flags duplicates", async () => {
+  const existing = await t.request("POST", "/api/bets", {
+    token: alice.token,
+    body: { date: "2025-03-02", matchup: "chiefs @ bills", amount: 10 },
+  });
+
+  const preview = await t.request("POST", "/api/bets/import", {
+    token: alice.token,
+    body: { csv: DRAFTKINGS_CSV, account_id: draftkings, dry_run: true },
+  });
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.body.format.name, "draftkings");
+  assert.deepStrictEqual(preview.body.summary, { rows: 4, new: 2, duplicate: 2, invalid: 0 });
+  const [won, lost, open, again] = preview.body.rows;
+  assert.strictEqual(won.bet.date, "2025-03-01");
+  assert.strictEqual(won.bet.odds_american, 150);
+  assert.strictEqual(won.bet.profit, 30);
+  assert.deepStrictEqual(lost.duplicate_of, { bet_id: existing.body.bet.id });
+  assert.strictEqual(open.bet.odds_decimal, 2);
+  assert.strictEqual(open.bet.result, "Open");
+  assert.deepStrictEqual(again.duplicate_of, { row: 4 });
+  assert.strictEqual(await betCount(alice.user.id), 1);
+});
+
+test("an import with an invalid row creates nothing; a valid one creates every new row", async () => {
+  const csv = `${DRAFTKINGS_CSV}\r\n03/04/2025,Jets @ Dolphins,NFL,Jets,ten,+120,Won\r\n03/05/2025,Nets @ Knicks,NBA,Knicks,5,,Won`;
+  const rejected = await t.request("POST", "/api/bets/import", {
+    token: alice.token,
+    body: { csv, account_id: draftkings },
+  });
+  assert.strictEqual(rejected.status, 400);
+  assert.strictEqual(rejected.body.code, "IMPORT_INVALID");
+  assert.deepStrictEqual(
+    rejected.body.details.map((d) => [d.row, d.field || d.code]),
+    [
+      [6, "amount"],
+      [7, "ODDS_REQUIRED"],
+    ]
+  );
+  const before = await betCount(alice.user.id);
+
+  const imported = await t.request("POST", "/api/bets/import", {
+    token: alice.token,
+    body: { csv: DRAFTKINGS_CSV, account_id: draftkings },
+  });
+  assert.strictEqual(imported.status, 200);
+  assert.deepStrictEqual(imported.body.summary, { rows: 4, created: 2, duplicate: 2 });
+  assert.strictEqual(imported.body.rows[0].bet.sportsbook, "DraftKings");
+  assert.strictEqual(imported.body.rows[0].bet.sport, "NBA");
+  assert.strictEqual(await betCount(alice.user.id), before + 2);
+
+  // importing the same file again only finds duplicates
+  const twice = await t.request("POST", "/api/bets/import", {
+    token: alice.token,
+    body: { csv: DRAFTKINGS_CSV, account_id: draftkings },
+  });
+  assert.deepStrictEqual(twice.body.summary, { rows: 4, created: 0, duplicate: 4 });
+});
+
+test("admins import for other users, with their own column mapping", async () => {
+  const csv = "When,Game,Risk,Price\n15/03/2025,Arsenal v Spurs,25,2.4";
+  const body = {
+    csv,
+    user_id: bob.user.id,
+    columns: { date: "When", matchup: "Game", amount: "Risk", odds_decimal: "Price" },
+    date_format: "DD/MM/YYYY",
+  };
+  const imported = await t.request("POST", "/api/bets/import", { token: admin.token, body });
+  assert.strictEqual(imported.status, 200);
+  const [row] = imported.body.rows;
+  assert.strictEqual(row.bet.user_id, bob.user.id);
+  assert.match(row.bet.date, /^2025-03-15/);
+  assert.strictEqual(Number(row.bet.potential_payout), 60);
+
+  // a user can only name themselves
+  const forBob = await t.request("POST", "/api/bets/import", { token: alice.token, body: { ...body, dry_run: true } });
+  assert.strictEqual(forBob.status, 403);
+  const own = await t.request("POST", "/api/bets/import", {
+    token: alice.token,
+    body: { ...body, user_id: alice.user.id, csv: "When,Game,Risk,Price\n16/03/2025,Chelsea v Leeds,5,1.8" },
+  });
+  assert.strictEqual(own.body.rows[0].bet.user_id, alice.user.id);
+
+  const noColumns = await t.request("POST", "/api/bets/import", { token: alice.token, body: { csv } });
+  assert.strictEqual(noColumns.body.code, "IMPORT_COLUMNS_MISSING");
+});
+
+test("amounts and odds are read with the decimal separator, and numbers that don't fit it are rejected", async () => {
+  const csv = 'date,matchup,amount,odds_decimal\n2025-04-01,Real v Barca,"10,50","1,85"\n2025-04-02,PSG v Lyon,"1.250,00 €","2,1"';
+  const european = await t.request("POST", "/api/bets/import", {
+    token: bob.token,
+    body: { csv, decimal_separator: ",", dry_run: true },
+  });
+  assert.strictEqual(european.status, 200);
+  assert.deepStrictEqual(
+    european.body.rows.map((row) => [row.bet.amount, row.bet.odds_decimal]),
+    [
+      [10.5, 1.85],
+      [1250, 2.1],
+    ]
+  );
+
+  const guessed = await t.request("POST", "/api/bets/import", { token: bob.token, body: { csv, dry_run: true } });
+  assert.strictEqual(guessed.body.summary.invalid, 2);
+  assert.deepStrictEqual(
+    guessed.body.rows[0].errors.map((error) => error.field),
+    ["amount", "odds_decimal"]
+  );
+  assert.match(guessed.body.rows[0].errors[0].message, /decimal separator/);
+});
+
+test("exports bigger than the default JSON body limit get through to validation", async () => {
+  const note = "x".repeat(150);
+  const lines = ["date,matchup,amount,selection"];
+  for (let i = 1; i <= 800; i += 1) {
+    lines.push(`2025-05-01,Game ${i},5,${note}`);
+  }
+  const csv = lines.join("\n");
+  assert.ok(csv.length > 100 * 1024);
+  const preview = await t.request("POST", "/api/bets/import", { token: bob.token, body: { csv, dry_run: true } });
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.body.summary.new, 800);
+});
+
+test("rows with a final result are settled on import, ledger and balance included", async () => {
+  const accountRes = await t.db.query(
+    "INSERT INTO accounts (user_id, name, balance) VALUES ($1, 'FanDuel', 100) RETURNING id",
+    [bob.user.id]
+  );
+  const fanduel = accountRes.rows[0].id;
+  const csv = [
+    "Placed,Event,Wager,Odds,Result,Cash Out",
+    "04/01/2025,Suns @ Jazz,10,+200,Won,",
+    "04/02/2025,Kings @ Hawks,20,-110,Cashed Out,15",
+    "04/03/2025,Bulls @ Heat,5,+100,Pending,",
+  ].join("\n");
+
+  const noAccount = await t.request("POST", "/api/bets/import", {
+    token: bob.token,
+    body: { csv, format: "fanduel", dry_run: true },
+  });
+  assert.deepStrictEqual(
+    noAccount.body.rows.map((row) => row.status === "invalid" && row.errors[0].code),
+    ["ACCOUNT_REQUIRED", "ACCOUNT_REQUIRED", false]
+  );
+
+  const imported = await t.request("POST", "/api/bets/import", { token: bob.token, body: { csv, account_id: fanduel } });
+  assert.strictEqual(imported.status, 200);
+  const [won, cashout, open] = imported.body.rows.map((row) => row.bet);
+  assert.strictEqual(won.result, "Won");
+  assert.ok(won.settled_at);
+  assert.strictEqual(Number(won.profit), 20);
+  assert.strictEqual(cashout.result, "Cashout");
+  assert.strictEqual(Number(cashout.cashout_amount), 15);
+  assert.strictEqual(Number(cashout.profit), -5);
+  assert.strictEqual(open.settled_at, null);
+
+  const ledger = await t.db.query("SELECT bet_id, type, amount FROM transactions WHERE user_id=$1 ORDER BY id", [
+    bob.user.id,
+  ]);
+  assert.deepStrictEqual(
+    ledger.rows.map((entry) => [entry.bet_id, entry.type, Number(entry.amount)]),
+    [
+      [won.id, "Bet Win", 20],
+      [cashout.id, "Bet Loss", 5],
+    ]
+  );
+  const balanceRes = await t.db.query("SELECT balance FROM accounts WHERE id=$1", [fanduel]);
+  assert.strictEqual(Number(balanceRes.rows[0].balance), 115);
+
+  // a cashout without the amount is a row error, not a failed import
+  const noAmount = await t.request("POST", "/api/bets/import", {
+    token: bob.token,
+    body: { csv: "Placed,Event,Wager,Odds,Result\n04/04/2025,Nets @ Magic,10,+100,Cash Out", account_id: fanduel },
+  });
+  assert.strictEqual(noAmount.body.code, "IMPORT_INVALID");
+  assert.deepStrictEqual(noAmount.body.details, [
+    { row: 2, in: "csv", code: "CASHOUT_AMOUNT_REQUIRED", message: "A cashout needs the cashed out amount" },
+  ]);
+});
+
+test("a date that isn't on the calendar is a row error", async () => {
+  const csv = "date,matchup,amount\n2025-02-31,Celtic v Rangers,5\n2025-02-28,Hearts v Hibs,5";
+  const preview = await t.request("POST", "/api/bets/import", { token: bob.token, body: { csv, dry_run: true } });
+  assert.strictEqual(preview.status, 200);
+  assert.deepStrictEqual(
+    preview.body.rows.map((row) => row.status),
+    ["invalid", "new"]
+  );
+  assert.strictEqual(preview.body.rows[0].errors[0].field, "date");
+});
+
+test("the CSV can be uploaded as text/csv with the options in the query string", async () => {
+  const csv = "When,Game,Risk\n20/04/2025,Ajax v PSV,7";
+  const query = "?dry_run=true&date_format=DD/MM/YYYY&columns[date]=When&columns[matchup]=Game&columns[amount]=Risk";
+  const preview = await t.request("POST", `/api/bets/import${query}`, {
+    token: bob.token,
+    body: csv,
+    contentType: "text/csv",
+  });
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.body.dry_run, true);
+  assert.deepStrictEqual(
+    [preview.body.rows[0].bet.date, preview.body.rows[0].bet.matchup, preview.body.rows[0].bet.amount],
+    ["2025-04-20", "Ajax v PSV", 7]
+  );
+});
@@ -0,0 +1,321 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+});
+
+after(() => t.close());
+
+async function createBet(who, body) {
+  const res = await t.request("POST", "/api/bets", { token: who.token, body });
+  assert.strictEqual(res.status, 200);
+  return res.body.bet;
+}
+
+test("users only see their own bets, admins see everyone's", async () => {
+  const aliceBet = await createBet(alice, { matchup: "Alice pick", amount: 10 });
+  const bobBet = await createBet(bob, { matchup: "Bob pick", amount: 20 });
+
+  const aliceList = await t.request("GET", "/api/bets", { token: alice.token });
+  assert.deepStrictEqual(aliceList.body.map((b) => b.id), [aliceBet.id]);
+
+  const adminList = await t.request("GET", "/api/bets", { token: admin.token });
+  const ids = adminList.body.map((b) => b.id);
+  assert.ok(ids.includes(aliceBet.id) && ids.includes(bobBet.id));
+});
+
+test("a user can't create a bet for someone else", async () => {
+  const bet = await createBet(alice, { matchup: "Sneaky", user_id: bob.user.id });
+  assert.strictEqual(bet.user_id, alice.user.id);
+});
+
+test("admins create bets for other users", async () => {
+  const bet = await createBet(admin, { matchup: "For Bob", user_id: bob.user.id });
+  assert.strictEqual(bet.user_id, bob.user.id);
+});
+
+test("only the owner or bets:write:any can edit a bet", async () => {
+  const bet = await createBet(alice, { matchup: "Edit me", amount: 5, odds_american: -110 });
+
+  const byBob = await t.request("PATCH", `/api/bets/${bet.id}`, { token: bob.token, body: { amount: 50 } });
+  assert.strictEqual(byBob.status, 403);
+
+  const byAlice = await t.request("PATCH", `/api/bets/${bet.id}`, { token: alice.token, body: { matchup: "Edited" } });
+  assert.strictEqual(byAlice.status, 200);
+  assert.strictEqual(byAlice.body.bet.matchup, "Edited");
+
+  const byAdmin = await t.request("PATCH", `/api/bets/${bet.id}`, { token: admin.token, body: { amount: 7 } });
+  assert.strictEqual(byAdmin.status, 200);
+});
+
+test("unknown bets and bad input", async () => {
+  const missing = await t.request("PATCH", "/api/bets/999999", { token: alice.token, body: { amount: 1 } });
+  assert.strictEqual(missing.status, 404);
+
+  const invalid = await t.request("POST", "/api/bets", { token: alice.token, body: { result: "Maybe" } });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.details[0].field, "result");
+
+  const anonymous = await t.request("GET", "/api/bets");
+  assert.strictEqual(anonymous.status, 401);
+});
+
+test("payout and profit are computed from the odds, not taken from the client", async () => {
+  const bet = await createBet(alice, { matchup: "Priced", amount: 110, odds_american: -110, profit: 1000 });
+  assert.strictEqual(Number(bet.odds_decimal), 1.9091);
+  assert.strictEqual(Number(bet.potential_payout), 210);
+  assert.strictEqual(Number(bet.profit), 0);
+
+  const repriced = await t.request("PATCH", `/api/bets/${bet.id}`, { token: alice.token, body: { odds_decimal: 2 } });
+  assert.strictEqual(repriced.body.bet.odds_american, 100);
+  assert.strictEqual(Number(repriced.body.bet.potential_payout), 220);
+
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'Bet365') RETURNING id", [
+    alice.user.id,
+  ]);
+  const settle = async (body, result) => {
+    const bet = await createBet(alice, { ...body, account_id: accountRes.rows[0].id });
+    const res = await t.request("POST", `/api/bets/${bet.id}/settle`, { token: alice.token, body: { result } });
+    return res.body.bet;
+  };
+  const won = await settle({ amount: 110, odds_american: -110 }, "Won");
+  assert.strictEqual(Number(won.profit), 100);
+  const lost = await settle({ amount: 110, odds_american: -110 }, "Lost");
+  assert.strictEqual(Number(lost.profit), -110);
+
+  // a free bet's stake isn't paid back
+  const free = await settle({ amount: 10, odds_decimal: 3, stake_type: "free_bet" }, "Won");
+  assert.strictEqual(free.odds_american, 200);
+  assert.strictEqual(Number(free.potential_payout), 20);
+  assert.strictEqual(Number(free.profit), 20);
+});
+
+test("bets are created open; a final result only comes from settling", async () => {
+  for (const path of ["/api/bets", "/api/admin/bets"]) {
+    const res = await t.request("POST", path, {
+      token: admin.token,
+      body: { user_id: alice.user.id, amount: 10, odds_decimal: 2, result: "Won" },
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.details[0].field, "result");
+  }
+});
+
+test("odds must agree and a won bet needs them", async () => {
+  const mismatch = await t.request("POST", "/api/bets", {
+    token: alice.token,
+    body: { amount: 10, odds_american: 150, odds_decimal: 1.5 },
+  });
+  assert.strictEqual(mismatch.status, 400);
+  assert.strictEqual(mismatch.body.code, "ODDS_MISMATCH");
+
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'Unibet') RETURNING id", [
+    alice.user.id,
+  ]);
+  const unpriced = await createBet(alice, { amount: 10, account_id: accountRes.rows[0].id });
+  const noOdds = await t.request("POST", `/api/bets/${unpriced.id}/settle`, {
+    token: alice.token,
+    body: { result: "Won" },
+  });
+  assert.strictEqual(noOdds.body.code, "ODDS_REQUIRED");
+
+  const badOdds = await t.request("POST", "/api/bets", { token: alice.token, body: { odds_american: 50 } });
+  assert.strictEqual(badOdds.body.details[0].field, "odds_american");
+});
+
+test("bets link to the owner's sportsbook accounts", async () => {
+  const accountRes = await t.db.query(
+    "INSERT INTO accounts (user_id, name) VALUES ($1, 'FanDuel') RETURNING id",
+    [alice.user.id]
+  );
+  const accountId = accountRes.rows[0].id;
+  const bet = await createBet(alice, { matchup: "On FanDuel", account_id: accountId, bet_type: "prop" });
+  assert.strictEqual(bet.sportsbook, "FanDuel");
+
+  const listed = await t.request("GET", "/api/bets?sportsbook=fanduel&bet_type=prop", { token: alice.token });
+  assert.deepStrictEqual(listed.body.map((b) => b.id), [bet.id]);
+
+  const notBobs = await t.request("POST", "/api/bets", { token: bob.token, body: { account_id: accountId } });
+  assert.strictEqual(notBobs.status, 400);
+  assert.strictEqual(notBobs.body.code, "INVALID_ACCOUNT");
+});
+
+test("settling posts the profit to the account and locks the bet; unsettling reverses it", async () => {
+  const accountRes = await t.db.query(
+    "INSERT INTO accounts (user_id, name, balance) VALUES ($1, 'BetMGM', 100) RETURNING id",
+    [alice.user.id]
+  );
+  const accountId = accountRes.rows[0].id;
+  const balance = async () =>
+    Number((await t.db.query("SELECT balance FROM accounts WHERE id=$1", [accountId])).rows[0].balance);
+  const bet = await createBet(alice, { matchup: "Settle me", amount: 20, odds_american: 150, account_id: accountId });
+
+  const settled = await t.request("POST", `/api/bets/${bet.id}/settle`, {
+    token: alice.token,
+    body: { result: "Won" },
+  });
+  assert.strictEqual(settled.status, 200);
+  assert.strictEqual(settled.body.bet.result, "Won");
+  assert.strictEqual(Number(settled.body.bet.profit), 30);
+  assert.ok(settled.body.bet.settled_at);
+  assert.strictEqual(settled.body.transactions[0].type, "Bet Win");
+  assert.strictEqual(settled.body.transactions[0].to_account, accountId);
+  assert.strictEqual(await balance(), 130);
+
+  const edit = await t.request("PATCH", `/api/bets/${bet.id}`, { token: alice.token, body: { amount: 1 } });
+  assert.strictEqual(edit.status, 409);
+  assert.strictEqual(edit.body.code, "BET_SETTLED");
+  const again = await t.request("POST", `/api/bets/${bet.id}/settle`, { token: alice.token, body: { result: "Lost" } });
+  assert.strictEqual(again.body.code, "BET_ALREADY_SETTLED");
+
+  // unsettling is for admins
+  const byAlice = await t.request("POST", `/api/bets/${bet.id}/unsettle`, { token: alice.token, body: {} });
+  assert.strictEqual(byAlice.status, 403);
+  const unsettled = await t.request("POST", `/api/bets/${bet.id}/unsettle`, {
+    token: admin.token,
+    body: { reason: "wrong result" },
+  });
+  assert.strictEqual(unsettled.status, 200);
+  assert.strictEqual(unsettled.body.bet.result, "Open");
+  assert.strictEqual(unsettled.body.bet.settled_at, null);
+  assert.strictEqual(unsettled.body.transactions[0].reversal_of, settled.body.transactions[0].id);
+  assert.strictEqual(unsettled.body.transactions[0].type, "Bet Reversal");
+  assert.strictEqual(await balance(), 100);
+
+  // and it can be settled again, this time as a cashout
+  const cashout = await t.request("POST", `/api/bets/${bet.id}/settle`, {
+    token: alice.token,
+    body: { result: "Cashout", cashout_amount: 12.5 },
+  });
+  assert.strictEqual(Number(cashout.body.bet.profit), -7.5);
+  assert.strictEqual(cashout.body.transactions[0].type, "Bet Loss");
+  assert.strictEqual(await balance(), 92.5);
+
+  // the ledger entries settlement posted can't be rewritten or forged by hand
+  for (const entry of [settled.body.transactions[0], unsettled.body.transactions[0]]) {
+    const rewrite = await t.request("PATCH", `/api/admin/finances/${entry.id}`, {
+      token: admin.token,
+      body: { amount: 1 },
+    });
+    assert.strictEqual(rewrite.status, 409);
+    assert.strictEqual(rewrite.body.code, "SETTLEMENT_ENTRY");
+  }
+  const forged = await t.request("POST", "/api/admin/finances", {
+    token: admin.token,
+    body: { user_id: alice.user.id, from_account: accountId, to_account: accountId, amount: 5, type: "Bet Win" },
+  });
+  assert.strictEqual(forged.status, 400);
+  assert.strictEqual(forged.body.details[0].field, "type");
+  assert.strictEqual(await balance(), 92.5);
+});
+
+test("settling needs an account, and push/void post nothing", async () => {
+  const unlinked = await createBet(alice, { amount: 10, odds_decimal: 2 });
+  const noAccount = await t.request("POST", `/api/bets/${unlinked.id}/settle`, {
+    token: alice.token,
+    body: { result: "Lost" },
+  });
+  assert.strictEqual(noAccount.body.code, "ACCOUNT_REQUIRED");
+
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'Caesars') RETURNING id", [
+    alice.user.id,
+  ]);
+  const bet = await createBet(alice, { amount: 10, odds_decimal: 2, account_id: accountRes.rows[0].id });
+  const byBob = await t.request("POST", `/api/bets/${bet.id}/settle`, { token: bob.token, body: { result: "Void" } });
+  assert.strictEqual(byBob.status, 403);
+  const voided = await t.request("POST", `/api/bets/${bet.id}/settle`, { token: alice.token, body: { result: "Void" } });
+  assert.strictEqual(voided.status, 200);
+  assert.deepStrictEqual(voided.body.transactions, []);
+  assert.strictEqual(Number(voided.body.bet.profit), 0);
+});
+
+test("parlays are priced from their legs and settle once every leg is graded", async () => {
+  const accountRes = await t.db.query(
+    "INSERT INTO accounts (user_id, name, balance) VALUES ($1, 'DraftKings', 100) RETURNING id",
+    [alice.user.id]
+  );
+  const accountId = accountRes.rows[0].id;
+  const legs = [
+    { event: "Lakers @ Celtics", selection: "Celtics ML", odds_decimal: 2 },
+    { event: "Chiefs @ Bills", selection: "Bills -3", odds_american: 150 },
+    { event: "Yankees @ Red Sox", selection: "Over 8.5", odds_decimal: 1.5 },
+  ];
+  const parlay = await createBet(alice, { amount: 10, account_id: accountId, legs });
+  assert.strictEqual(parlay.bet_type, "parlay");
+  assert.strictEqual(parlay.matchup, "Lakers @ Celtics / Chiefs @ Bills / Yankees @ Red Sox");
+  assert.strictEqual(Number(parlay.odds_decimal), 7.5);
+  assert.strictEqual(Number(parlay.potential_payout), 75);
+  assert.deepStrictEqual(parlay.legs.map((leg) => [leg.leg_number, leg.odds_american]), [[1, 100], [2, 150], [3, -200]]);
+
+  const priced = await t.request("PATCH", `/api/bets/${parlay.id}`, { token: alice.token, body: { odds_decimal: 3 } });
+  assert.strictEqual(priced.body.code, "PRICED_BY_LEGS");
+  const byHand = await t.request("POST", `/api/bets/${parlay.id}/settle`, { token: alice.token, body: { result: "Won" } });
+  assert.strictEqual(byHand.status, 400);
+  assert.strictEqual(byHand.body.code, "SETTLE_BY_LEGS");
+  assert.strictEqual(byHand.body.details.legs.length, 3);
+
+  const grade = (leg, result, token = alice.token) =>
+    t.request("POST", `/api/bets/${parlay.id}/legs/${leg.id}/grade`, { token, body: { result } });
+  assert.strictEqual((await grade(parlay.legs[0], "Won", bob.token)).status, 403);
+
+  // a pushed leg drops out of the price
+  const pushed = await grade(parlay.legs[2], "Push");
+  assert.strictEqual(pushed.status, 200);
+  assert.strictEqual(pushed.body.settled, false);
+  assert.strictEqual(Number(pushed.body.bet.odds_decimal), 5);
+  assert.strictEqual(Number(pushed.body.bet.potential_payout), 50);
+
+  await grade(parlay.legs[0], "Won");
+  const last = await grade(parlay.legs[1], "Won");
+  assert.strictEqual(last.body.settled, true);
+  assert.strictEqual(last.body.bet.result, "Won");
+  assert.strictEqual(Number(last.body.bet.profit), 40);
+  assert.strictEqual(last.body.transactions[0].type, "Bet Win");
+  const balanceRes = await t.db.query("SELECT balance FROM accounts WHERE id=$1", [accountId]);
+  assert.strictEqual(Number(balanceRes.rows[0].balance), 140);
+
+  const late = await grade(parlay.legs[0], "Lost");
+  assert.strictEqual(late.body.code, "BET_ALREADY_SETTLED");
+});
+
+test("a lost leg loses the parlay; legs only go on parlays priced by them", async () => {
+  const legs = [
+    { event: "A @ B", selection: "B", odds_decimal: 1.8 },
+    { event: "C @ D", selection: "C", odds_decimal: 2.1 },
+  ];
+  const notParlay = await t.request("POST", "/api/bets", { token: alice.token, body: { bet_type: "prop", legs } });
+  assert.strictEqual(notParlay.body.code, "LEGS_NOT_ALLOWED");
+  const ownOdds = await t.request("POST", "/api/bets", { token: alice.token, body: { odds_decimal: 4, legs } });
+  assert.strictEqual(ownOdds.body.code, "PRICED_BY_LEGS");
+  const noLegOdds = await t.request("POST", "/api/bets", {
+    token: alice.token,
+    body: { legs: [legs[0], { event: "E @ F", selection: "F" }] },
+  });
+  assert.strictEqual(noLegOdds.body.code, "LEG_ODDS_REQUIRED");
+
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'PointsBet') RETURNING id", [
+    alice.user.id,
+  ]);
+  const parlay = await createBet(alice, { amount: 10, account_id: accountRes.rows[0].id, legs });
+  await t.request("POST", `/api/bets/${parlay.id}/legs/${parlay.legs[0].id}/grade`, {
+    token: alice.token,
+    body: { result: "Lost" },
+  });
+  const settled = await t.request("POST", `/api/bets/${parlay.id}/legs/${parlay.legs[1].id}/grade`, {
+    token: alice.token,
+    body: { result: "Won" },
+  });
+  assert.strictEqual(settled.body.bet.result, "Lost");
+  assert.strictEqual(Number(settled.body.bet.profit), -10);
+  assert.strictEqual(settled.body.transactions[0].type, "Bet Loss");
+});
@@ -0,0 +1,59 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+});
+
+after(() => t.close());
+
+async function createEvent(who, body) {
+  const res = await t.request("POST", "/api/calendar", { token: who.token, body });
+  assert.strictEqual(res.status, 200);
+  return res.body.event;
+}
+
+test("users see their own events, admins can filter by user", async () => {
+  const aliceEvent = await createEvent(alice, { date: "2026-01-05", title: "Busy", is_blocked: true });
+  const bobEvent = await createEvent(bob, { date: "2026-01-06", title: "Free" });
+
+  const aliceList = await t.request("GET", "/api/calendar", { token: alice.token });
+  assert.deepStrictEqual(aliceList.body.map((e) => e.id), [aliceEvent.id]);
+
+  // a user's ?user_id is ignored
+  const peek = await t.request("GET", `/api/calendar?user_id=${bob.user.id}`, { token: alice.token });
+  assert.deepStrictEqual(peek.body.map((e) => e.id), [aliceEvent.id]);
+
+  const filtered = await t.request("GET", `/api/calendar?user_id=${bob.user.id}`, { token: admin.token });
+  assert.deepStrictEqual(filtered.body.map((e) => e.id), [bobEvent.id]);
+});
+
+test("only the owner or calendar:write:any can edit an event", async () => {
+  const event = await createEvent(admin, { title: "Team call", user_id: alice.user.id });
+  assert.strictEqual(event.user_id, alice.user.id);
+
+  const byBob = await t.request("PATCH", `/api/calendar/${event.id}`, { token: bob.token, body: { title: "x" } });
+  assert.strictEqual(byBob.status, 403);
+
+  const byAlice = await t.request("PATCH", `/api/calendar/${event.id}`, {
+    token: alice.token,
+    body: { is_blocked: true },
+  });
+  assert.strictEqual(byAlice.status, 200);
+  assert.strictEqual(byAlice.body.event.is_blocked, true);
+});
+
+test("bad dates are rejected", async () => {
+  const res = await t.request("POST", "/api/calendar", { token: alice.token, body: { date: "next tuesday" } });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.details[0].field, "date");
+});
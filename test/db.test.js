@@ -0,0 +1,26 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let db;
+
+before(async () => {
+  t = await startTestApp();
+  // after startTestApp, which points db.js at this file's database
+  db = require("../db");
+});
+
+after(() => t.close());
+
+test("a connection that dies mid-transaction isn't handed out again", async () => {
+  await assert.rejects(
+    db.withTransaction(async (client) => {
+      await client.query("SELECT pg_terminate_backend(pg_backend_pid())").catch(() => {});
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+  const next = await db.withTransaction((client) => client.query("SELECT 1 AS ok"));
+  assert.strictEqual(next.rows[0].ok, 1);
+});
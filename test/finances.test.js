@@ -0,0 +1,118 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+
+  const accounts = await t.db.query(
+    "INSERT INTO accounts (user_id, name) VALUES ($1, 'Bank'), ($1, 'DraftKings') RETURNING id",
+    [alice.user.id]
+  );
+  const [bank, book] = accounts.rows.map((row) => row.id);
+  for (const [type, amount] of [["Deposit", 100], ["Withdrawal", 30]]) {
+    const res = await t.request("POST", "/api/admin/finances", {
+      token: admin.token,
+      body: { user_id: alice.user.id, from_account: bank, to_account: book, amount, type },
+    });
+    assert.strictEqual(res.status, 200);
+  }
+});
+
+after(() => t.close());
+
+test("users only see their own transactions", async () => {
+  const mine = await t.request("GET", "/api/finances", { token: alice.token });
+  assert.strictEqual(mine.body.transactions.length, 2);
+
+  const theirs = await t.request("GET", `/api/finances?user_id=${alice.user.id}`, { token: bob.token });
+  assert.deepStrictEqual(theirs.body.transactions, []);
+
+  assert.strictEqual((await t.request("GET", `/api/finances/user/${alice.user.id}`, { token: bob.token })).status, 403);
+  assert.strictEqual((await t.request("GET", `/api/finances/user/${alice.user.id}`, { token: alice.token })).status, 200);
+});
+
+test("the overview needs finances:read", async () => {
+  assert.strictEqual((await t.request("GET", "/api/finances/overview", { token: alice.token })).status, 403);
+  const overview = await t.request("GET", "/api/finances/overview", { token: admin.token });
+  assert.strictEqual(overview.status, 200);
+  assert.strictEqual(Number(overview.body.totalDeposits), 100);
+  assert.strictEqual(overview.body.netBalance, 70);
+});
+
+test("transactions are validated", async () => {
+  const res = await t.request("POST", "/api/admin/finances", {
+    token: admin.token,
+    body: { user_id: alice.user.id, from_account: 1, to_account: 2, amount: -5, type: "Gift" },
+  });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.details.map((d) => d.field).sort(), ["amount", "type"]);
+});
+
+test("ledger rows must point at real accounts and go away with their user", async () => {
+  const missing = await t.request("POST", "/api/admin/finances", {
+    token: admin.token,
+    body: { user_id: bob.user.id, from_account: 999999, to_account: 999998, amount: 5 },
+  });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.code, "FOREIGN_KEY_VIOLATION");
+
+  const carol = await t.signIn();
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'Bank') RETURNING id", [
+    carol.user.id,
+  ]);
+  const accountId = accountRes.rows[0].id;
+  await t.db.query(
+    "INSERT INTO transactions (user_id, from_account, to_account, amount) VALUES ($1, $2, NULL, 5)",
+    [carol.user.id, accountId]
+  );
+  await assert.rejects(t.db.query("DELETE FROM accounts WHERE id=$1", [accountId]), /foreign key/);
+
+  await t.db.query("DELETE FROM users WHERE id=$1", [carol.user.id]);
+  const left = await t.db.query("SELECT COUNT(*)::int AS n FROM transactions WHERE user_id=$1", [carol.user.id]);
+  assert.strictEqual(left.rows[0].n, 0);
+});
+
+test("completed transactions move account balances, and edits move them again", async () => {
+  const accounts = await t.db.query(
+    "INSERT INTO accounts (user_id, name, balance) VALUES ($1, 'Bank', 500), ($1, 'FanDuel', 0) RETURNING id",
+    [bob.user.id]
+  );
+  const [bank, book] = accounts.rows.map((row) => row.id);
+  const balances = async () =>
+    (await t.db.query("SELECT balance FROM accounts WHERE id = ANY($1) ORDER BY id", [[bank, book]])).rows.map(
+      (row) => Number(row.balance)
+    );
+  const entry = { user_id: bob.user.id, from_account: bank, to_account: book, type: "Deposit" };
+
+  const completed = await t.request("POST", "/api/admin/finances", {
+    token: admin.token,
+    body: { ...entry, amount: 100, status: "Completed" },
+  });
+  assert.strictEqual(completed.status, 200);
+  assert.deepStrictEqual(await balances(), [400, 100]);
+
+  // a pending deposit moves nothing until it's confirmed
+  const pending = await t.request("POST", "/api/admin/finances", { token: admin.token, body: { ...entry, amount: 50 } });
+  assert.deepStrictEqual(await balances(), [400, 100]);
+  await t.request("PATCH", `/api/admin/finances/${pending.body.transaction.id}`, {
+    token: admin.token,
+    body: { status: "Completed" },
+  });
+  assert.deepStrictEqual(await balances(), [350, 150]);
+
+  // correcting the amount moves the difference, cancelling takes it all back
+  const id = completed.body.transaction.id;
+  await t.request("PATCH", `/api/admin/finances/${id}`, { token: admin.token, body: { amount: 120 } });
+  assert.deepStrictEqual(await balances(), [330, 170]);
+  await t.request("PATCH", `/api/admin/finances/${id}`, { token: admin.token, body: { status: "Cancelled" } });
+  assert.deepStrictEqual(await balances(), [450, 50]);
+});
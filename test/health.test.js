@@ -0,0 +1,76 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+const { getTransport, setTransport } = require("../mailer");
+
+let t;
+
+before(async () => {
+  t = await startTestApp();
+});
+
+after(() => t.close());
+
+test("ping answers with the database time", async () => {
+  const res = await t.request("GET", "/api/ping");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.message, "pong");
+  assert.ok(res.headers.get("x-request-id"));
+});
+
+test("the API docs are served", async () => {
+  const spec = await t.request("GET", "/api/docs/openapi.json");
+  assert.strictEqual(spec.status, 200);
+  assert.strictEqual(spec.body.openapi, "3.0.3");
+  assert.match((await t.request("GET", "/api/docs/")).body, /swagger-ui/);
+});
+
+test("unknown routes are a 404 with the error body", async () => {
+  const res = await t.request("GET", "/api/nope");
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.code, "ROUTE_NOT_FOUND");
+  assert.strictEqual(res.body.requestId, res.headers.get("x-request-id"));
+});
+
+test("metrics count requests per route", async () => {
+  await t.request("GET", "/api/ping");
+  await t.request("PATCH", "/api/bets/1", { body: {} });
+  const res = await t.request("GET", "/api/metrics");
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain/);
+  assert.match(res.body, /http_requests_total\{method="GET",route="\/api\/ping",status="200"\} \d+/);
+  assert.match(res.body, /http_request_duration_seconds_bucket\{method="GET",route="\/api\/ping",le="\+Inf"\}/);
+  assert.match(res.body, /http_errors_total\{route="\/api\/bets\/\{id\}",code="UNAUTHORIZED"\} 1/);
+  assert.match(res.body, /db_pool_connections\{state="idle"\} \d+/);
+});
+
+test("liveness and readiness", async () => {
+  const live = await t.request("GET", "/api/health/live");
+  assert.strictEqual(live.status, 200);
+  assert.strictEqual(live.body.status, "ok");
+
+  const ready = await t.request("GET", "/api/health/ready");
+  assert.strictEqual(ready.status, 200);
+  assert.deepStrictEqual(
+    Object.entries(ready.body.checks).map(([name, check]) => [name, check.ok]),
+    [["database", true], ["migrations", true], ["mail", true]]
+  );
+});
+
+test("readiness fails when a dependency does", async () => {
+  const working = getTransport();
+  setTransport({
+    async verify() {
+      throw new Error("smtp down");
+    },
+  });
+  try {
+    const res = await t.request("GET", "/api/health/ready");
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.body.code, "NOT_READY");
+    assert.strictEqual(res.body.details.checks.mail.error, "smtp down");
+    assert.strictEqual(res.body.details.checks.database.ok, true);
+  } finally {
+    setTransport(working);
+  }
+});
@@ -0,0 +1,148 @@
+/**
+ * Shared setup for the integration tests. startTestApp() gives each test file
+ * its own database (cloned from the template test/run.js migrated), boots the
+ * app on a random port with the json mail transport, and returns helpers for
+ * requests, fixtures and sent emails.
+ */
+const bcrypt = require("bcrypt");
+const { Client } = require("pg");
+
+const PASSWORD = "test-password-123";
+// low cost, the tests only need a valid hash
+const passwordHash = bcrypt.hash(PASSWORD, 4);
+
+function withDatabase(serverUrl, name) {
+  const url = new URL(serverUrl);
+  url.pathname = `/${name}`;
+  return url.toString();
+}
+
+async function adminQuery(serverUrl, sql) {
+  const client = new Client({ connectionString: serverUrl });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+async function startTestApp() {
+  const serverUrl = process.env.TEST_DATABASE_URL;
+  const template = process.env.TEST_TEMPLATE_DATABASE;
+  if (!serverUrl || !template) {
+    throw new Error("Run the integration tests with npm test (test/run.js sets up the database)");
+  }
+  const name = `betlogic_test_${process.pid}`;
+  await adminQuery(serverUrl, `CREATE DATABASE ${name} TEMPLATE ${template}`);
+
+  // set before the app is loaded: db.js and friends read them at require time
+  Object.assign(process.env, {
+    DATABASE_URL: withDatabase(serverUrl, name),
+    JWT_SECRET: "test-secret",
+    MAIL_TRANSPORT: "json",
+    MAIL_FROM: "noreply@betlogic.test",
+    SERVER_URL: "http://localhost",
+    ALLOW_OPEN_REGISTRATION: "true",
+    REQUIRE_ADMIN_2FA: "false",
+    // only unexpected errors, not a line per request
+    LOG_LEVEL: "error",
+  });
+  const { app } = require("../app");
+  const db = require("../db");
+  const { processOutbox, sentMessages } = require("../mailer");
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, body } for METHOD /api/...; token is a JWT or an API key
+  // body is sent as JSON, or as it is when a contentType is given
+  async function request(method, url, { token, body, contentType } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["Content-Type"] = contentType || "application/json";
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined || contentType ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // not JSON (e.g. the docs page), keep the text
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  let userCount = 0;
+  // inserts an account directly; every fixture user has the password PASSWORD
+  async function createUser({ email, role = "user", status = "active", firstName = null } = {}) {
+    userCount += 1;
+    const insertRes = await db.query(
+      `INSERT INTO users (email, password_hash, first_name, role, status)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, email, role, status`,
+      [email || `user${userCount}@betlogic.test`, await passwordHash, firstName, role, status]
+    );
+    return insertRes.rows[0];
+  }
+
+  async function login(email, password = PASSWORD) {
+    const res = await request("POST", "/api/auth/login", { body: { email, password } });
+    if (res.status !== 200) {
+      throw new Error(`Login as ${email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body.token;
+  }
+
+  // { user, token } for a fresh fixture user
+  async function signIn(options) {
+    const user = await createUser(options);
+    return { user, token: await login(user.email) };
+  }
+
+  // delivers the outbox, then returns the latest email sent to address (or undefined)
+  async function lastMailTo(address) {
+    // a flushOutbox() from the request may be sending it right now
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      await processOutbox();
+      const busy = await db.query("SELECT 1 FROM mail_outbox WHERE status IN ('pending', 'sending') LIMIT 1");
+      if (busy.rows.length === 0) break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return [...sentMessages]
+      .reverse()
+      .find((message) => message.to.some((to) => to.address === address));
+  }
+
+  async function close() {
+    await new Promise((resolve) => {
+      server.close(resolve);
+      // fetch keeps connections alive, don't wait for them to time out
+      server.closeAllConnections();
+    });
+    // let flushOutbox() calls queued by the last requests finish first
+    await new Promise((resolve) => setImmediate(resolve));
+    await processOutbox();
+    await db.pool.end();
+    await adminQuery(serverUrl, `DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+  }
+
+  return { baseUrl, db, request, createUser, login, signIn, lastMailTo, close };
+}
+
+// the token from a link in an email, e.g. .../verify/<token> or ?token=<token>
+function tokenFromMail(message) {
+  const match = /(?:\/|token=)([0-9a-f]{64})\b/.exec(message.text);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  PASSWORD,
+  startTestApp,
+  tokenFromMail,
+};
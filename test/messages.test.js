@@ -0,0 +1,76 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let carol;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  carol = await t.signIn();
+});
+
+after(() => t.close());
+
+async function startThread(who, participantIds) {
+  const res = await t.request("POST", "/api/messages/threads", {
+    token: who.token,
+    body: { title: "Weekend picks", participantIds },
+  });
+  assert.strictEqual(res.status, 200);
+  return res.body.thread;
+}
+
+test("the creator is always a participant", async () => {
+  const thread = await startThread(alice, [bob.user.id]);
+  const res = await t.request("GET", `/api/messages/threads/${thread.id}`, { token: alice.token });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(
+    res.body.participants.map((p) => p.user_id).sort((a, b) => a - b),
+    [alice.user.id, bob.user.id]
+  );
+
+  const threads = await t.request("GET", "/api/messages/threads", { token: bob.token });
+  assert.ok(threads.body.some((th) => th.id === thread.id));
+});
+
+test("only participants read, post and add people", async () => {
+  const thread = await startThread(alice, [bob.user.id]);
+  const base = `/api/messages/threads/${thread.id}`;
+
+  const posted = await t.request("POST", base, { token: bob.token, body: { content: "Lakers -3" } });
+  assert.strictEqual(posted.status, 200);
+
+  assert.strictEqual((await t.request("GET", base, { token: carol.token })).status, 403);
+  assert.strictEqual((await t.request("POST", base, { token: carol.token, body: { content: "hi" } })).status, 403);
+  const selfInvite = await t.request("POST", `${base}/participants`, {
+    token: carol.token,
+    body: { userIds: [carol.user.id] },
+  });
+  assert.strictEqual(selfInvite.status, 403);
+
+  const added = await t.request("POST", `${base}/participants`, {
+    token: bob.token,
+    body: { userIds: [carol.user.id, carol.user.id] },
+  });
+  assert.strictEqual(added.status, 200);
+  const read = await t.request("GET", base, { token: carol.token });
+  assert.strictEqual(read.status, 200);
+  assert.deepStrictEqual(read.body.messages.map((m) => m.content), ["Lakers -3"]);
+});
+
+test("a thread with an unknown participant is not created", async () => {
+  const before = await t.db.query("SELECT COUNT(*)::int AS n FROM threads");
+  const res = await t.request("POST", "/api/messages/threads", {
+    token: alice.token,
+    body: { title: "Nobody", participantIds: [999999] },
+  });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, "FOREIGN_KEY_VIOLATION");
+  const after = await t.db.query("SELECT COUNT(*)::int AS n FROM threads");
+  assert.strictEqual(after.rows[0].n, before.rows[0].n);
+});
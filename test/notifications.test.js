@@ -0,0 +1,39 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+});
+
+after(() => t.close());
+
+test("notifications are read and marked read by their owner only", async () => {
+  const created = await t.request("POST", "/api/notifications", {
+    token: admin.token,
+    body: { user_id: alice.user.id, title: "New promotion assigned" },
+  });
+  assert.strictEqual(created.status, 200);
+  const id = created.body.notification.id;
+
+  const list = await t.request("GET", "/api/notifications", { token: alice.token });
+  assert.deepStrictEqual(list.body.map((n) => [n.id, n.read]), [[id, false]]);
+  assert.deepStrictEqual((await t.request("GET", "/api/notifications", { token: bob.token })).body, []);
+
+  const byBob = await t.request("PATCH", `/api/notifications/${id}`, { token: bob.token, body: { read: true } });
+  assert.strictEqual(byBob.status, 403);
+
+  const byAlice = await t.request("PATCH", `/api/notifications/${id}`, { token: alice.token, body: { read: true } });
+  assert.strictEqual(byAlice.status, 200);
+  assert.strictEqual(byAlice.body.notification.read, true);
+
+  assert.strictEqual((await t.request("PATCH", "/api/notifications/999999", { token: alice.token, body: {} })).status, 404);
+});
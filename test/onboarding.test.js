@@ -0,0 +1,47 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { PASSWORD, startTestApp } = require("./helpers");
+
+let t;
+
+before(async () => {
+  t = await startTestApp();
+});
+
+after(() => t.close());
+
+test("finishing onboarding saves the answers and flags the user", async () => {
+  const alice = await t.signIn();
+  const res = await t.request("POST", "/api/onboarding", {
+    token: alice.token,
+    body: {
+      birthday: "1990-04-01",
+      has_paypal: true,
+      sportsbooks_used: ["FanDuel", "BetMGM"],
+      calendar_availability: { weekdays: ["mon", "wed"] },
+    },
+  });
+  assert.strictEqual(res.status, 200);
+
+  const saved = await t.db.query(
+    "SELECT sportsbooks_used, calendar_availability FROM user_onboarding WHERE user_id=$1",
+    [alice.user.id]
+  );
+  assert.deepStrictEqual(saved.rows[0], {
+    sportsbooks_used: ["FanDuel", "BetMGM"],
+    calendar_availability: { weekdays: ["mon", "wed"] },
+  });
+
+  const login = await t.request("POST", "/api/auth/login", { body: { email: alice.user.email, password: PASSWORD } });
+  assert.strictEqual(login.body.onboardingCompleted, true);
+});
+
+test("onboarding answers are validated", async () => {
+  const bob = await t.signIn();
+  const res = await t.request("POST", "/api/onboarding", {
+    token: bob.token,
+    body: { birthday: "01/04/1990", has_paypal: "sometimes" },
+  });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.details.map((d) => d.field).sort(), ["birthday", "has_paypal"]);
+});
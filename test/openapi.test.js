@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { app, routers } = require("../app");
+const { listRoutes, buildSpec } = require("../openapi");
+
+test("every mounted router is in the routers list", () => {
+  const listed = new Set(routers.map(([, router]) => router));
+  for (const layer of app._router.stack) {
+    assert.ok(!layer.route, `${layer.route && layer.route.path} is defined on the app, put it in a router`);
+    if (layer.name === "router") {
+      assert.ok(listed.has(layer.handle), "a router is mounted in app.js but missing from routers");
+    }
+  }
+});
+
+test("every route has an entry in the OpenAPI document", () => {
+  const spec = buildSpec(routers);
+  const missing = listRoutes(routers)
+    .filter((route) => !(spec.paths[route.path] && spec.paths[route.path][route.method]))
+    .map((route) => `${route.method.toUpperCase()} ${route.path}`);
+  assert.deepStrictEqual(missing, [], "add these to router.docs in their router");
+});
+
+test("router.docs has no entries for routes that don't exist", () => {
+  const existing = new Set(listRoutes(routers).map((route) => route.docsKey));
+  for (const [, router] of routers) {
+    for (const key of Object.keys(router.docs || {})) {
+      assert.ok(existing.has(key), `router.docs has "${key}" but there is no such route`);
+    }
+  }
+});
+
+test("request schemas come from the validate() middleware", () => {
+  const spec = buildSpec(routers);
+  const createBet = spec.paths["/api/bets"].post;
+  assert.ok(createBet.requestBody.content["application/json"].schema.properties.amount);
+  assert.deepStrictEqual(createBet.security, [{ bearerAuth: [] }, { apiKey: [] }]);
+
+  const updateBet = spec.paths["/api/bets/{id}"].patch;
+  assert.deepStrictEqual(
+    updateBet.parameters.find((p) => p.name === "id"),
+    { name: "id", in: "path", required: true, schema: { type: "integer", minimum: 1 } }
+  );
+});
@@ -0,0 +1,125 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let carol;
+let dave;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  carol = await t.signIn();
+  dave = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+
+  const accountRes = await t.db.query("INSERT INTO accounts (user_id, name) VALUES ($1, 'Caesars') RETURNING id", [
+    carol.user.id,
+  ]);
+  const bets = [
+    { date: "2025-01-05", matchup: "A", amount: 30, result: "Won", odds_decimal: 2 },
+    { date: "2025-01-10", matchup: "B", amount: 10, result: "Lost" },
+    { date: "2025-02-01", matchup: "C", amount: 20, result: "Won", odds_decimal: 1.5 },
+    { date: "2025-02-15", matchup: "D", amount: 40, result: "Open" },
+    { date: "2025-03-01", matchup: "E", amount: 50, result: "Push" },
+  ];
+  for (const { result, ...body } of bets) {
+    const res = await t.request("POST", "/api/bets", {
+      token: carol.token,
+      body: { ...body, account_id: accountRes.rows[0].id },
+    });
+    assert.strictEqual(res.status, 200);
+    if (result !== "Open") {
+      const settled = await t.request("POST", `/api/bets/${res.body.bet.id}/settle`, {
+        token: carol.token,
+        body: { result },
+      });
+      assert.strictEqual(settled.status, 200);
+    }
+  }
+  await t.request("POST", "/api/bets", { token: dave.token, body: { matchup: "Dave", amount: 5 } });
+});
+
+after(() => t.close());
+
+test("limit and offset page through the list with the total in a header", async () => {
+  const first = await t.request("GET", "/api/bets?limit=2&sort=date", { token: carol.token });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get("x-total-count"), "5");
+  assert.deepStrictEqual(first.body.map((b) => b.matchup), ["A", "B"]);
+  assert.match(first.headers.get("link"), /offset=2\b[^>]*>; rel="next"/);
+
+  const last = await t.request("GET", "/api/bets?limit=2&offset=4&sort=date", { token: carol.token });
+  assert.deepStrictEqual(last.body.map((b) => b.matchup), ["E"]);
+  assert.match(last.headers.get("link"), /offset=2\b[^>]*>; rel="prev"/);
+  assert.doesNotMatch(last.headers.get("link"), /rel="next"/);
+});
+
+test("sorting only accepts whitelisted fields", async () => {
+  const byAmount = await t.request("GET", "/api/bets?sort=-amount", { token: carol.token });
+  assert.deepStrictEqual(byAmount.body.map((b) => b.matchup), ["E", "D", "A", "C", "B"]);
+
+  const bad = await t.request("GET", "/api/bets?sort=password_hash", { token: carol.token });
+  assert.strictEqual(bad.status, 400);
+  assert.strictEqual(bad.body.details[0].field, "sort");
+
+  const tooMany = await t.request("GET", "/api/bets?limit=10000", { token: carol.token });
+  assert.strictEqual(tooMany.status, 400);
+});
+
+test("date range and status filters", async () => {
+  const january = await t.request("GET", "/api/bets?from=2025-01-01&to=2025-01-31&sort=date", {
+    token: carol.token,
+  });
+  assert.deepStrictEqual(january.body.map((b) => b.matchup), ["A", "B"]);
+
+  const won = await t.request("GET", "/api/bets?result=Won&sort=date", { token: carol.token });
+  assert.deepStrictEqual(won.body.map((b) => b.matchup), ["A", "C"]);
+  assert.strictEqual(won.headers.get("x-total-count"), "2");
+});
+
+test("user_id narrows the list for admins and is ignored for everyone else", async () => {
+  const forAdmin = await t.request("GET", `/api/bets?user_id=${dave.user.id}`, { token: admin.token });
+  assert.deepStrictEqual(forAdmin.body.map((b) => b.matchup), ["Dave"]);
+
+  const forCarol = await t.request("GET", `/api/bets?user_id=${dave.user.id}`, { token: carol.token });
+  assert.strictEqual(forCarol.headers.get("x-total-count"), "5");
+});
+
+test("admin user list filters by role and status", async () => {
+  const res = await t.request("GET", "/api/admin/users?role=admin&status=active", { token: admin.token });
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.length > 0);
+  assert.ok(res.body.every((u) => u.role === "admin" && u.status === "active"));
+});
+
+test("transaction lists take the shared filters", async () => {
+  const query = "?sportsbook=DraftKings&status=Completed&type=Deposit&from=2025-01-01&to=2025-12-31&sort=-amount";
+  const mine = await t.request("GET", `/api/finances${query}`, { token: carol.token });
+  assert.strictEqual(mine.status, 200);
+  assert.deepStrictEqual(mine.body.transactions, []);
+
+  const all = await t.request("GET", `/api/admin/finances${query}`, { token: admin.token });
+  assert.strictEqual(all.status, 200);
+  assert.strictEqual(all.headers.get("x-total-count"), "0");
+});
+
+test("admin bet and task lists are paginated and filtered too", async () => {
+  const bets = await t.request("GET", `/api/admin/bets?user_id=${carol.user.id}&limit=2&sort=date`, {
+    token: admin.token,
+  });
+  assert.strictEqual(bets.status, 200);
+  assert.strictEqual(bets.headers.get("x-total-count"), "5");
+  assert.deepStrictEqual(bets.body.map((b) => [b.matchup, b.legs]), [
+    ["A", []],
+    ["B", []],
+  ]);
+
+  await t.request("POST", "/api/admin/tasks", { token: admin.token, body: { user_id: dave.user.id, title: "Chase" } });
+  const tasks = await t.request("GET", `/api/admin/tasks?user_id=${dave.user.id}&status=todo`, { token: admin.token });
+  assert.strictEqual(tasks.headers.get("x-total-count"), "1");
+  assert.deepStrictEqual(tasks.body.map((task) => task.title), ["Chase"]);
+
+  const badSort = await t.request("GET", "/api/admin/bets?sort=password_hash", { token: admin.token });
+  assert.strictEqual(badSort.status, 400);
+});
@@ -0,0 +1,96 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+let promotion;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+
+  const created = await t.request("POST", "/api/promotions", {
+    token: admin.token,
+    body: {
+      title: "Deposit match",
+      sportsbook_name: "FanDuel",
+      steps: [
+        { step_number: 1, title: "Open an account" },
+        { step_number: 2, title: "Deposit $50" },
+      ],
+    },
+  });
+  assert.strictEqual(created.status, 200);
+  promotion = created.body.promotion;
+
+  const assigned = await t.request("POST", "/api/promotions/assign", {
+    token: admin.token,
+    body: { userId: alice.user.id, promotionId: promotion.id },
+  });
+  assert.strictEqual(assigned.status, 200);
+});
+
+after(() => t.close());
+
+test("creating and assigning promotions needs permissions", async () => {
+  const create = await t.request("POST", "/api/promotions", { token: alice.token, body: { title: "Mine" } });
+  assert.strictEqual(create.status, 403);
+  assert.deepStrictEqual(create.body.details, { permission: "promotions:write" });
+
+  const assign = await t.request("POST", "/api/promotions/assign", {
+    token: alice.token,
+    body: { userId: alice.user.id, promotionId: promotion.id },
+  });
+  assert.strictEqual(assign.status, 403);
+});
+
+test("assigning the same promotion twice is a conflict", async () => {
+  const again = await t.request("POST", "/api/promotions/assign", {
+    token: admin.token,
+    body: { userId: alice.user.id, promotionId: promotion.id },
+  });
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.code, "UNIQUE_VIOLATION");
+});
+
+test("only assigned users see a promotion", async () => {
+  const list = await t.request("GET", "/api/promotions", { token: alice.token });
+  assert.deepStrictEqual(list.body.map((p) => p.id), [promotion.id]);
+
+  const detail = await t.request("GET", `/api/promotions/${promotion.id}`, { token: alice.token });
+  assert.strictEqual(detail.status, 200);
+  assert.deepStrictEqual(detail.body.steps.map((s) => s.step_number), [1, 2]);
+
+  assert.strictEqual((await t.request("GET", `/api/promotions/${promotion.id}`, { token: bob.token })).status, 403);
+  const progress = await t.request("POST", `/api/promotions/${promotion.id}/progress`, {
+    token: bob.token,
+    body: { completedSteps: [1] },
+  });
+  assert.strictEqual(progress.status, 403);
+});
+
+test("progress is tracked and step 1 opens the sportsbook account", async () => {
+  const url = `/api/promotions/${promotion.id}/progress`;
+  const first = await t.request("POST", url, { token: alice.token, body: { completedSteps: [1, 1] } });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.message, "Progress created");
+  assert.strictEqual(first.body.progress.progress_pct, 50);
+  assert.strictEqual(first.body.progress.completed_at, null);
+
+  const accounts = await t.db.query("SELECT name FROM accounts WHERE user_id=$1", [alice.user.id]);
+  assert.deepStrictEqual(accounts.rows, [{ name: "FanDuel" }]);
+
+  const done = await t.request("POST", url, { token: alice.token, body: { completedSteps: [1, 2] } });
+  assert.strictEqual(done.body.message, "Progress updated");
+  assert.strictEqual(done.body.progress.progress_pct, 100);
+  assert.ok(done.body.progress.completed_at);
+
+  // the account is only created once
+  const after = await t.db.query("SELECT COUNT(*)::int AS n FROM accounts WHERE user_id=$1", [alice.user.id]);
+  assert.strictEqual(after.rows[0].n, 1);
+});
@@ -0,0 +1,93 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+// the same checks run against both stores, RATE_LIMIT_STORE is read at startup
+const STORE = process.env.RATE_LIMIT_STORE_UNDER_TEST || "memory";
+
+let t;
+let admin;
+let loadLimits;
+
+before(async () => {
+  process.env.RATE_LIMIT_STORE = STORE;
+  process.env.RATE_LIMITS = JSON.stringify({ bets: { user: { limit: 2 } }, tasks: { user: { limit: 1 } } });
+  t = await startTestApp();
+  ({ loadLimits } = require("../rateLimit"));
+  admin = await t.signIn({ role: "admin" });
+});
+
+after(() => t.close());
+
+test(`${STORE} store: over the per-user limit is a 429 with RateLimit headers`, async () => {
+  const user = await t.signIn();
+  const bet = (n) => t.request("POST", "/api/bets", { token: user.token, body: { matchup: `Game ${n}` } });
+
+  const first = await bet(1);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get("ratelimit-limit"), "2");
+  assert.strictEqual(first.headers.get("ratelimit-remaining"), "1");
+  assert.match(first.headers.get("ratelimit-policy"), /^2;w=60$/);
+
+  assert.strictEqual((await bet(2)).status, 200);
+  const third = await bet(3);
+  assert.strictEqual(third.status, 429);
+  assert.strictEqual(third.body.code, "RATE_LIMITED");
+  assert.strictEqual(third.body.details.keyType, "user");
+  assert.strictEqual(third.headers.get("ratelimit-remaining"), "0");
+  assert.ok(Number(third.headers.get("retry-after")) >= 1);
+
+  // other users and other route groups are unaffected
+  const other = await t.signIn();
+  const otherBet = await t.request("POST", "/api/bets", { token: other.token, body: { matchup: "Mine" } });
+  assert.strictEqual(otherBet.status, 200);
+  assert.strictEqual((await t.request("GET", "/api/bets", { token: user.token })).status, 200);
+
+  const view = await t.request("GET", "/api/admin/rate-limits", { token: admin.token });
+  assert.strictEqual(view.status, 200);
+  assert.strictEqual(view.body.limits.bets.user.limit, 2);
+  const entry = view.body.throttled.find((row) => row.keyType === "user" && row.keyValue === String(user.user.id));
+  assert.ok(entry, "the throttled user is listed");
+  assert.strictEqual(entry.group, "bets");
+  assert.strictEqual(entry.email, user.user.email);
+  assert.strictEqual(entry.blocked, 1);
+});
+
+test(`${STORE} store: only security:manage sees who is throttled`, async () => {
+  const user = await t.signIn();
+  const res = await t.request("GET", "/api/admin/rate-limits", { token: user.token });
+  assert.strictEqual(res.status, 403);
+});
+
+test(`${STORE} store: every router has its own group`, async () => {
+  const user = await t.signIn();
+  const task = () => t.request("POST", "/api/tasks", { token: user.token, body: { title: "Call the book" } });
+  assert.strictEqual((await task()).status, 200);
+  const second = await task();
+  assert.strictEqual(second.status, 429);
+  assert.strictEqual(second.body.details.group, "tasks");
+  const event = await t.request("POST", "/api/calendar", { token: user.token, body: { date: "2025-03-01", title: "Game night" } });
+  assert.strictEqual(event.status, 200);
+});
+
+test("RATE_LIMITS overrides limits, and a bad one fails with the variable's name", () => {
+  const loadWith = (value) => {
+    const saved = process.env.RATE_LIMITS;
+    process.env.RATE_LIMITS = value;
+    try {
+      return loadLimits();
+    } finally {
+      process.env.RATE_LIMITS = saved;
+    }
+  };
+  const limits = loadWith('{"auth":{"ip":{"limit":5}},"api":{"user":{"limit":100,"windowSeconds":60}}}');
+  assert.deepStrictEqual(limits.auth.ip, { limit: 5, windowSeconds: 60 });
+  assert.deepStrictEqual(limits.api.user, { limit: 100, windowSeconds: 60 });
+
+  assert.throws(() => loadWith("{bets:"), /^Error: RATE_LIMITS is not valid JSON: /);
+  assert.throws(() => loadWith("[]"), /^Error: RATE_LIMITS must be a JSON object/);
+  assert.throws(
+    () => loadWith('{"betz":{"user":{"limit":1}},"bets":{"user":{"limit":-1},"device":{}},"api":{"user":{"limit":5}}}'),
+    /RATE_LIMITS is invalid: betz is not a rate limit group .*; bets.user.limit must be a whole number; bets.device is not one of user, ip; api.user has no default/
+  );
+});
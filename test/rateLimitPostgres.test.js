@@ -0,0 +1,3 @@
+// test/rateLimit.test.js with RATE_LIMIT_STORE=postgres
+process.env.RATE_LIMIT_STORE_UNDER_TEST = "postgres";
+require("./rateLimit.test");
@@ -0,0 +1,61 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert");
+const { startTestApp } = require("./helpers");
+
+let t;
+let alice;
+let bob;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  alice = await t.signIn();
+  bob = await t.signIn();
+  admin = await t.signIn({ role: "admin" });
+});
+
+after(() => t.close());
+
+test("admins assign tasks, users see only theirs", async () => {
+  const assigned = await t.request("POST", "/api/tasks", {
+    token: admin.token,
+    body: { title: "Sign up at the new book", user_id: alice.user.id },
+  });
+  assert.strictEqual(assigned.status, 200);
+  assert.strictEqual(assigned.body.task.user_id, alice.user.id);
+  assert.strictEqual(assigned.body.task.status, "todo");
+
+  const aliceTasks = await t.request("GET", "/api/tasks", { token: alice.token });
+  assert.deepStrictEqual(aliceTasks.body.map((task) => task.id), [assigned.body.task.id]);
+  const bobTasks = await t.request("GET", "/api/tasks", { token: bob.token });
+  assert.deepStrictEqual(bobTasks.body, []);
+
+  const activity = await t.db.query("SELECT action FROM activity_log WHERE user_id=$1", [admin.user.id]);
+  assert.deepStrictEqual(activity.rows, [{ action: "TASK_CREATE" }]);
+});
+
+test("users can't assign tasks to others or edit theirs", async () => {
+  const own = await t.request("POST", "/api/tasks", {
+    token: bob.token,
+    body: { title: "Mine", user_id: alice.user.id },
+  });
+  assert.strictEqual(own.body.task.user_id, bob.user.id);
+
+  const byAlice = await t.request("PATCH", `/api/tasks/${own.body.task.id}`, {
+    token: alice.token,
+    body: { status: "done" },
+  });
+  assert.strictEqual(byAlice.status, 403);
+
+  const byBob = await t.request("PATCH", `/api/tasks/${own.body.task.id}`, {
+    token: bob.token,
+    body: { status: "done" },
+  });
+  assert.strictEqual(byBob.status, 200);
+  assert.strictEqual(byBob.body.task.status, "done");
+});
+
+test("admin task list needs tasks:read:any", async () => {
+  assert.strictEqual((await t.request("GET", "/api/admin/tasks", { token: alice.token })).status, 403);
+  assert.strictEqual((await t.request("GET", "/api/admin/tasks", { token: admin.token })).status, 200);
+});
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps), the defaults every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// accept codes one step before/after the current one to absorb clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// new random 160-bit secret, base32 encoded
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value for a given counter (RFC 4226)
+function hotp(secret, counter) {
+  const counterBuf = Buffer.alloc(8);
+  counterBuf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a 6-digit code against the secret.
+ * Returns the matching time step (so callers can reject replays), or null.
+ */
+function verifyCode(secret, code, now = Date.now()) {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const step = currentStep(now);
+  for (let i = -DRIFT_STEPS; i <= DRIFT_STEPS; i++) {
+    const candidate = Buffer.from(hotp(secret, step + i));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + i;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI, render it as a QR code in the frontend
+function provisioningUri(secret, accountName, issuer = "BetLogic") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// human-friendly single-use recovery codes, e.g. "4f9a-1c2e-77b0"
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const hex = crypto.randomBytes(6).toString("hex");
+    codes.push(`${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`);
+  }
+  return codes;
+}
+
+// recovery codes are compared case/dash-insensitively
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
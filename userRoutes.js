@@ -1,22 +1,26 @@
 require("dotenv").config();
 const express = require("express");
-const { Pool } = require("pg");
-const { requireAuth } = require("./authMiddleware"); // same folder as authMiddleware
+const db = require("./db");
+const { requireAuth, financialMutation } = require("./authMiddleware"); // same folder as authMiddleware
+const { v, validate } = require("./validation");
+const { NotFoundError } = require("./errors");
 
 const router = express.Router();
 
-// create PG pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  // ssl if needed:
-  // ssl: { rejectUnauthorized: false },
-});
+const updateProfileSchema = {
+  body: {
+    first_name: v.string({ max: 100 }).optional(),
+    last_name: v.string({ max: 100 }).optional(),
+    phone: v.string({ max: 50 }).optional(),
+    address: v.string({ max: 500 }).optional(),
+  },
+};
 
 /**
  * GET /api/users/me
  * Returns the currently logged-in user's data in the final shape needed by your front end.
  */
-router.get("/me", requireAuth, async (req, res) => {
+router.get("/me", requireAuth, async (req, res, next) => {
   try {
     // req.user was set by your JWT logic: { userId, role, ... }
     const userId = req.user.userId;
@@ -35,15 +39,14 @@ router.get("/me", requireAuth, async (req, res) => {
       FROM users
       WHERE id=$1
     `;
-    const result = await pool.query(query, [userId]);
+    const result = await db.query(query, [userId]);
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+      throw new NotFoundError("User not found");
     }
     // Return the single user object
     return res.json(result.rows[0]);
   } catch (err) {
-    console.error("// GET /api/users/me error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -52,7 +55,7 @@ router.get("/me", requireAuth, async (req, res) => {
  * Expects some combination of { first_name, last_name, phone, address } in the body.
  * Allows the user to update their own profile info.
  */
-router.patch("/me", requireAuth, async (req, res) => {
+router.patch("/me", requireAuth, financialMutation, validate(updateProfileSchema), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const { first_name, last_name, phone, address } = req.body;
@@ -83,7 +86,7 @@ router.patch("/me", requireAuth, async (req, res) => {
     // If no fields to update, return the existing row as is
     if (fields.length === 0) {
       // fetch the user to return the current data
-      const existingRes = await pool.query(
+      const existingRes = await db.query(
         `SELECT 
           id,
           email,
@@ -100,7 +103,7 @@ router.patch("/me", requireAuth, async (req, res) => {
         [userId]
       );
       if (existingRes.rows.length === 0) {
-        return res.status(404).json({ error: "User not found" });
+        throw new NotFoundError("User not found");
       }
       return res.json(existingRes.rows[0]);
     }
@@ -123,15 +126,14 @@ router.patch("/me", requireAuth, async (req, res) => {
     // add userId to the values
     values.push(userId);
 
-    const updateRes = await pool.query(baseQuery, values);
+    const updateRes = await db.query(baseQuery, values);
     if (updateRes.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+      throw new NotFoundError("User not found");
     }
     // Return the updated user
     return res.json(updateRes.rows[0]);
   } catch (err) {
-    console.error("// PATCH /api/users/me error", err);
-    return res.status(500).json({ error: "Server error" });
+    next(err);
   }
 });
 
@@ -0,0 +1,298 @@
+const { ROLE_NAME_PATTERN } = require("./enums");
+const { roleExists } = require("./permissions");
+const { ValidationError } = require("./errors");
+
+/**
+ * Small declarative validation for params, query and body.
+ *
+ *   router.post("/", requireAuth, validate({ body: { amount: v.number({ min: 0 }) } }), handler)
+ *
+ * Values are coerced where it's unambiguous ("12" -> 12 for integer(), "true" -> true
+ * for boolean()), unknown keys are dropped, and the handler sees the cleaned values
+ * in req.params / req.query / req.body. Anything invalid is passed on as a ValidationError
+ * (400 VALIDATION_FAILED) whose details list every problem:
+ *   [{ in: "body", field: "amount", message: "..." }]
+ */
+
+const INVALID = Symbol("invalid");
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD naming a real day; Date.parse alone lets "2025-02-31" through.
+// Postgres has no year 0.
+function isCalendarDate(s) {
+  if (!DATE_PATTERN.test(s) || s.startsWith("0000")) return false;
+  const time = Date.parse(s);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === s;
+}
+
+/**
+ * Every schema is a plain object; optional()/nullable()/default()/check()/describe()
+ * return a modified copy so the base schemas can be shared.
+ * `spec` holds the JSON-schema-ish description used for the API docs.
+ */
+function schema(type, parse, spec = {}) {
+  return {
+    type,
+    parse,
+    spec,
+    required: true,
+    allowNull: false,
+    defaultValue: undefined,
+    description: undefined,
+    checks: [],
+    optional() {
+      return { ...this, required: false };
+    },
+    nullable() {
+      return { ...this, allowNull: true };
+    },
+    default(value) {
+      return { ...this, required: false, defaultValue: value };
+    },
+    describe(description) {
+      return { ...this, description };
+    },
+    // async check, fn(value) resolves to an error message or null
+    check(fn) {
+      return { ...this, checks: [...this.checks, fn] };
+    },
+  };
+}
+
+function fail(ctx, path, message) {
+  ctx.errors.push({ in: ctx.location, field: path || ctx.location, message });
+  return INVALID;
+}
+
+function run(s, value, path, ctx) {
+  if (value === undefined) {
+    if (s.defaultValue !== undefined) {
+      return typeof s.defaultValue === "function" ? s.defaultValue() : s.defaultValue;
+    }
+    return s.required ? fail(ctx, path, "is required") : undefined;
+  }
+  if (value === null) {
+    return s.allowNull ? null : fail(ctx, path, "must not be null");
+  }
+  const result = s.parse(value, path, ctx);
+  if (result !== INVALID) {
+    for (const fn of s.checks) {
+      ctx.pending.push({ fn, value: result, path, location: ctx.location });
+    }
+  }
+  return result;
+}
+
+function string({ min, max, pattern, format, trim = true } = {}) {
+  return schema(
+    "string",
+    (value, path, ctx) => {
+      if (typeof value !== "string") return fail(ctx, path, "must be a string");
+      const s = trim ? value.trim() : value;
+      if (min !== undefined && s.length < min) {
+        return fail(ctx, path, min === 1 ? "must not be empty" : `must be at least ${min} characters`);
+      }
+      if (max !== undefined && s.length > max) return fail(ctx, path, `must be at most ${max} characters`);
+      if (pattern && !pattern.test(s)) return fail(ctx, path, "has an invalid format");
+      if (format === "email" && !EMAIL_PATTERN.test(s)) return fail(ctx, path, "must be an email address");
+      if (format === "date" && !isCalendarDate(s)) {
+        return fail(ctx, path, "must be a date (YYYY-MM-DD)");
+      }
+      if (format === "date-time" && Number.isNaN(Date.parse(s))) {
+        return fail(ctx, path, "must be a date-time");
+      }
+      return s;
+    },
+    { type: "string", minLength: min, maxLength: max, pattern: pattern && pattern.source, format }
+  );
+}
+
+function integer({ min, max } = {}) {
+  return schema(
+    "integer",
+    (value, path, ctx) => {
+      const n = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(n)) return fail(ctx, path, "must be an integer");
+      if (min !== undefined && n < min) return fail(ctx, path, `must be at least ${min}`);
+      if (max !== undefined && n > max) return fail(ctx, path, `must be at most ${max}`);
+      return n;
+    },
+    { type: "integer", minimum: min, maximum: max }
+  );
+}
+
+function number({ min, max } = {}) {
+  return schema(
+    "number",
+    (value, path, ctx) => {
+      const n = typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) return fail(ctx, path, "must be a number");
+      if (min !== undefined && n < min) return fail(ctx, path, `must be at least ${min}`);
+      if (max !== undefined && n > max) return fail(ctx, path, `must be at most ${max}`);
+      return n;
+    },
+    { type: "number", minimum: min, maximum: max }
+  );
+}
+
+function boolean() {
+  return schema(
+    "boolean",
+    (value, path, ctx) => {
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      return fail(ctx, path, "must be true or false");
+    },
+    { type: "boolean" }
+  );
+}
+
+function oneOf(values) {
+  return schema(
+    "enum",
+    (value, path, ctx) => {
+      if (!values.includes(value)) return fail(ctx, path, `must be one of: ${values.join(", ")}`);
+      return value;
+    },
+    { type: typeof values[0] === "number" ? "number" : "string", enum: values }
+  );
+}
+
+function array(item, { min, max } = {}) {
+  return schema(
+    "array",
+    (value, path, ctx) => {
+      if (!Array.isArray(value)) return fail(ctx, path, "must be an array");
+      if (min !== undefined && value.length < min) {
+        return fail(ctx, path, `must have at least ${min} item${min === 1 ? "" : "s"}`);
+      }
+      if (max !== undefined && value.length > max) return fail(ctx, path, `must have at most ${max} items`);
+      const out = value.map((el, i) => run(item, el, `${path}[${i}]`, ctx));
+      return out.includes(INVALID) ? INVALID : out;
+    },
+    { type: "array", items: item, minItems: min, maxItems: max }
+  );
+}
+
+// shape is { key: schema }; keys not in the shape are dropped
+function object(shape) {
+  return schema(
+    "object",
+    (value, path, ctx) => {
+      if (typeof value !== "object" || Array.isArray(value)) return fail(ctx, path, "must be an object");
+      const out = {};
+      let invalid = false;
+      for (const [key, s] of Object.entries(shape)) {
+        const result = run(s, value[key], path ? `${path}.${key}` : key, ctx);
+        if (result === INVALID) invalid = true;
+        else if (result !== undefined) out[key] = result;
+      }
+      return invalid ? INVALID : out;
+    },
+    { type: "object", properties: shape }
+  );
+}
+
+// any JSON value, kept as is (free-form answers like calendar_availability)
+function json() {
+  return schema("json", (value) => value, {});
+}
+
+// the building blocks, plus shorthands for the common cases
+const v = {
+  string,
+  integer,
+  number,
+  boolean,
+  oneOf,
+  array,
+  object,
+  json,
+  id: () => integer({ min: 1 }),
+  date: () => string({ format: "date" }),
+  email: () => string({ format: "email", max: 200 }),
+  // a role name that exists in the roles table
+  role: () =>
+    string({ pattern: ROLE_NAME_PATTERN }).check(async (name) =>
+      (await roleExists(name)) ? null : "is not a known role"
+    ),
+};
+
+// the async check()s, once everything parsed
+async function runChecks(ctx) {
+  if (ctx.errors.length > 0) return;
+  for (const { fn, value, path, location } of ctx.pending) {
+    const message = await fn(value);
+    if (message) {
+      ctx.errors.push({ in: location, field: path || location, message });
+    }
+  }
+}
+
+function toObjectSchema(shapeOrSchema) {
+  return shapeOrSchema && typeof shapeOrSchema.parse === "function"
+    ? shapeOrSchema
+    : object(shapeOrSchema || {});
+}
+
+/**
+ * Middleware validating req.params / req.query / req.body against
+ * { params, query, body } (each an object schema or a plain { key: schema } shape).
+ * The schemas are kept on the middleware (validationSchemas) for the API docs.
+ */
+function validate(schemas) {
+  const compiled = {};
+  for (const location of ["params", "query", "body"]) {
+    if (schemas[location]) {
+      compiled[location] = toObjectSchema(schemas[location]);
+    }
+  }
+
+  const middleware = async (req, res, next) => {
+    const ctx = { errors: [], pending: [], location: null };
+    const parsed = {};
+    for (const [location, s] of Object.entries(compiled)) {
+      ctx.location = location;
+      let input = req[location] === undefined ? {} : req[location];
+      if (location === "query") {
+        // ?user_id= means "not given"
+        input = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== ""));
+      }
+      parsed[location] = run(s, input, "", ctx);
+    }
+
+    try {
+      await runChecks(ctx);
+    } catch (err) {
+      return next(err);
+    }
+
+    if (ctx.errors.length > 0) {
+      return next(new ValidationError("Validation failed", ctx.errors));
+    }
+    if (parsed.params) Object.assign(req.params, parsed.params);
+    if (parsed.query) req.query = parsed.query;
+    if (parsed.body) req.body = parsed.body;
+    return next();
+  };
+  middleware.validationSchemas = compiled;
+  return middleware;
+}
+
+/**
+ * Validates a value that isn't part of the request as such, e.g. one row of an
+ * import. Returns { value, errors }, errors in the ValidationError details shape.
+ */
+async function validateValue(shapeOrSchema, input, location = "body") {
+  const ctx = { errors: [], pending: [], location };
+  const value = run(toObjectSchema(shapeOrSchema), input, "", ctx);
+  await runChecks(ctx);
+  return { value: ctx.errors.length > 0 ? null : value, errors: ctx.errors };
+}
+
+module.exports = {
+  v,
+  validate,
+  validateValue,
+};